@@ -1,6 +1,127 @@
-import { convertImage } from '../lib/gameboy-converter.js'
+import { convertImage, decodeToPNG } from '../lib/gameboy-converter.js'
+import { loadProjectConfig, buildProject, watchProject, formatSummaryTable } from '../lib/project.js'
+import { watchImages } from '../lib/watch.js'
+import { parseSize } from '../lib/spritesheet.js'
 import path from 'path'
 
+// Options that are followed by a value
+const VALUE_OPTIONS = ['--var', '--palette', '--dither', '--dither-strength', '--color-match', '--mode', '--target', '--max-palettes', '--alpha-threshold', '--transparent-color', '--sprite-size', '--format', '--section', '--bank', '--width-tiles', '--map', '--array', '--compress', '--config', '--frame-size', '--grid', '--sheet', '--charset', '--layers', '--workers', '--color-map', '--preview-scale', '--crop', '--resize', '--fit', '--resample', '--background-index', '--brightness', '--contrast', '--gamma', '--thresholds']
+
+/**
+ * Gets the value that follows an option
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name
+ * @returns {string|null} Option value or null if not present
+ */
+const getOptionValue = (args, name) => {
+    const index = args.indexOf(name)
+    return (index !== -1 && index + 1 < args.length) ? args[index + 1] : null
+}
+
+/**
+ * Parses the --palette value: a preset name, a JSON file or a comma-separated list of 4 hex colors
+ * @param {string|null} value - Raw option value
+ * @returns {string|Array<string>|undefined} Palette option for convertImage
+ */
+const parsePaletteOption = (value) => {
+    if (!value) return undefined
+    return value.includes(',') ? value.split(',') : value
+}
+
+/**
+ * Runs the decode command: renders 2bpp tile data or a GBDK C file as a PNG image
+ * @param {Array<string>} args - Command line arguments
+ * @param {Array<string>} filteredArgs - Arguments that are not options ('decode', input, output)
+ * @param {boolean} quiet - Silent mode
+ */
+const runDecode = async (args, filteredArgs, quiet) => {
+    const [, inputPath, outputPath] = filteredArgs
+
+    if (!inputPath) {
+        console.error('❌ You must specify the tile data file to decode')
+        process.exit(1)
+    }
+
+    const widthValue = getOptionValue(args, '--width-tiles')
+
+    const result = await decodeToPNG(inputPath, outputPath, {
+        verbose: !quiet,
+        palette: parsePaletteOption(getOptionValue(args, '--palette')),
+        arrayName: getOptionValue(args, '--array') || undefined,
+        tileMap: getOptionValue(args, '--map') || undefined,
+        widthInTiles: widthValue === null ? undefined : Number(widthValue),
+        spriteSize: getOptionValue(args, '--sprite-size') || undefined,
+        indexed: args.includes('--indexed')
+    })
+
+    if (!result.success) {
+        process.exit(1)
+    }
+}
+
+/**
+ * Runs the build command: converts every asset listed in the project config and prints
+ * a summary table. Exits with code 1 if any asset fails, unless watching.
+ * @param {Array<string>} args - Command line arguments
+ * @param {boolean} quiet - Silent mode
+ * @param {boolean} watch - Keep converting assets when they change
+ */
+const runBuild = async (args, quiet, watch) => {
+    try {
+        const { config, configPath, rootDir } = await loadProjectConfig(getOptionValue(args, '--config') || undefined)
+
+        !quiet && console.log(`📦 Building assets from ${configPath}`)
+
+        const workersValue = getOptionValue(args, '--workers')
+        const buildConfig = args.includes('--strict') ? { ...config, defaults: { ...config.defaults, strict: true } } : config
+        const { success, results, failed, error } = await buildProject(buildConfig, {
+            rootDir,
+            verbose: !quiet,
+            workers: workersValue === null ? undefined : Number(workersValue)
+        })
+
+        if (error) {
+            console.error(`❌ ${error}`)
+            process.exit(1)
+        }
+
+        if (results.length === 0 && !watch) {
+            console.error('❌ No files match the asset patterns')
+            process.exit(1)
+        }
+
+        if (results.length > 0) {
+            console.log('')
+            console.log(formatSummaryTable(results))
+            console.log('')
+            console.log(success
+                ? `✅ ${results.length} assets built`
+                : `❌ ${failed} of ${results.length} assets failed`)
+        }
+
+        if (watch) {
+            watchProject(buildConfig, {
+                rootDir,
+                generatedFiles: results.flatMap(result => result.files),
+                onResult: (result) => {
+                    console.log('')
+                    console.log(formatSummaryTable([result]))
+                },
+                onError: (error) => console.error(`❌ ${error.message}`)
+            })
+            !quiet && console.log('👀 Watching for changes (Ctrl+C to stop)')
+            return
+        }
+
+        if (!success) {
+            process.exit(1)
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`)
+        process.exit(1)
+    }
+}
+
 /**
  * Main CLI function
  */
@@ -12,36 +133,215 @@ const main = async () => {
         console.log('🎮 PNG to Game Boy palette converter')
         console.log('')
         console.log('Usage:')
-        console.log('  npx gameboy-png-converter <input_file.png> [output_file.png] [--gbdk]')
-        console.log('  gameboy-convert <input_file.png> [output_file.png] [--gbdk]')
+        console.log('  npx gameboy-png-converter <input_file> [output_file.png] [--gbdk]')
+        console.log('  gameboy-convert <input_file> [output_file.png] [--gbdk]')
+        console.log('  gameboy-convert decode <tiles.c|tiles.2bpp> [output_file.png]')
+        console.log('  gameboy-convert build [--config gameboy.config.json] [--workers <n>] [--strict]')
         console.log('')
         console.log('Options:')
         console.log('  --gbdk              Also generates C code for GBDK')
+        console.log('  --format <formats>  Output formats separated by commas: c (same as --gbdk), bin, asm')
+        console.log('                      (bin writes rgbgfx-compatible .2bpp, .tilemap, .pal and .attrmap,')
+        console.log('                      asm writes RGBDS .asm and .inc files)')
+        console.log('  --section <name>    RGBDS section name (default: the variable name)')
+        console.log('  --bank <n>          ROM bank of the generated data (0-511, #pragma bank for GBDK)')
+        console.log('  --header            Also generates a .h file for the GBDK C code')
+        console.log('  --indexed           Writes a palette-indexed PNG (2 bits per pixel) instead of RGBA')
+        console.log('  --compress <mode>   Tile and map compression: none (default), rle, gbcompress')
         console.log('  --var <name>        Custom name for GBDK variables')
+        console.log('  --mode <mode>       GBDK code mode: tiles (default), background, sprite, sheet or font')
+        console.log('                      (background removes duplicate tiles and adds a tile map,')
+        console.log('                      sprite keeps transparent pixels as color 0,')
+        console.log('                      sheet slices a sprite sheet into animation frames,')
+        console.log('                      font writes glyphs with a character lookup table)')
+        console.log('  --frame-size <WxH>  Sheet frame size in pixels (e.g. 16x16)')
+        console.log('  --grid <CxR>        Sheet frames per row and column, instead of --frame-size')
+        console.log('  --sheet <file>      Sheet JSON file with frameWidth, frameHeight, grid and animations')
+        console.log('  --charset <chars>   Font characters in sheet order, or a range (default: "\' \'..\'~\'")')
+        console.log('  --variable-width    Font mode: also write the width of every glyph')
+        console.log('  --layers <names>    Aseprite layers to draw, separated by commas (default: the visible ones)')
+        console.log('  --sprite-size <size>')
+        console.log('                      Hardware sprite size: 8x8 (default) or 8x16')
+        console.log('  --alpha-threshold <n>')
+        console.log('                      Sprite pixels with a lower alpha are transparent (0-255, default: 128)')
+        console.log('  --transparent-color <#RRGGBB>')
+        console.log('                      Sprite key color that is also transparent')
+        console.log('  --target <target>   Target hardware: dmg (default) or cgb (Game Boy Color)')
+        console.log('  --max-palettes <n>  Maximum number of CGB palettes (1-8, default: 8)')
+        console.log('  --palette <value>   Output palette: dmg (default), pocket, bgb, grayscale,')
+        console.log('                      a JSON palette file or 4 hex colors separated by commas')
+        console.log('  --dither <mode>     Dithering: none (default), floyd-steinberg, atkinson, sierra,')
+        console.log('                      bayer2, bayer4, bayer8')
+        console.log('  --dither-strength <n>')
+        console.log('                      Dithering strength from 0 to 1 (default: 1)')
+        console.log('  --color-match <mode>')
+        console.log('                      Color matching: rgb (default), luma601, luma709, redmean,')
+        console.log('                      cie76, ciede2000')
+        console.log('  --crop <x,y,w,h>    Keep only this rectangle of the image (before resizing)')
+        console.log('  --resize <size>     Resize before the palette mapping: screen (160x144) or WIDTHxHEIGHT')
+        console.log('  --fit <mode>        Resize fit: fit (default, whole image with background bars),')
+        console.log('                      fill (cropped to cover the size) or stretch')
+        console.log('  --resample <mode>   Resampling: area (default, area average) or nearest (pixel art)')
+        console.log('  --pad               Pad the image to a multiple of 8 pixels')
+        console.log('  --background-index <n>')
+        console.log('                      Palette index of the padding and the fit bars (0-3, default: 0)')
+        console.log('  --brightness <n>    Brightness adjustment from -1 to 1 (default: 0)')
+        console.log('  --contrast <n>      Contrast adjustment from -1 to 1 (default: 0)')
+        console.log('  --gamma <n>         Gamma from 0.1 to 10, above 1 brightens the midtones (default: 1)')
+        console.log('  --auto-levels       Stretch the luminance range of the image to full black and white')
+        console.log('  --thresholds <a,b,c>')
+        console.log('                      Luminance cut-offs (0-255) between the 4 shades, instead of')
+        console.log('                      color matching (e.g. 64,128,192)')
+        console.log('  --strict            Fail on hardware limit errors and warnings (VRAM tiles, sprites per')
+        console.log('                      scanline, CGB colors per tile...) instead of only reporting them')
+        console.log('  --exact             Pixels must already use the palette colors: report every other')
+        console.log('                      pixel with its position and tile and fail')
+        console.log('  --color-map <value> Palette index of every color: a JSON file or #RRGGBB=index pairs')
+        console.log('                      separated by commas (implies --exact)')
+        console.log('  --preview           Also writes an upscaled preview (<output>_preview.png)')
+        console.log('  --preview-scale <n> Preview scale from 2 to 8 (default: 4)')
+        console.log('  --preview-grid, --preview-labels, --preview-duplicates')
+        console.log('                      Draw the 8x8 tile grid, the tile indices and the duplicate tiles')
+        console.log('                      on the preview (imply --preview)')
+        console.log('  --report            Also writes an HTML report (<output>_report.html) with the original')
+        console.log('                      and converted images, tile statistics and hardware limit issues')
+        console.log('  --watch             Convert again when the input changes (also for build)')
         console.log('  --quiet             Silent mode (no verbose output)')
         console.log('')
+        console.log('Decode options:')
+        console.log('  --width-tiles <n>   Image width in tiles (default: from the C file, or up to 16)')
+        console.log('  --map <file>        Binary tile map (.tilemap) used to place the tiles')
+        console.log('  --array <name>      C array with the tile data (default: first *_data or *_tiles)')
+        console.log('  --palette, --sprite-size, --indexed')
+        console.log('                      Same as above')
+        console.log('')
+        console.log('Build options:')
+        console.log('  --config <file>     Project config (default: gameboy.config.json or gameboy.config.js)')
+        console.log('  --workers <n>       Convert assets in n worker threads (default: 1)')
+        console.log('')
         console.log('Examples:')
         console.log('  gameboy-convert image.png')
         console.log('  gameboy-convert image.png gameboy_image.png')
         console.log('  gameboy-convert image.png --gbdk')
         console.log('  gameboy-convert sprite.png --gbdk --var player_sprite')
+        console.log('  gameboy-convert level.png --gbdk --mode background')
+        console.log('  gameboy-convert player.png --gbdk --mode sprite --transparent-color "#FF00FF"')
+        console.log('  gameboy-convert hero.png --gbdk --mode sprite --sprite-size 8x16')
+        console.log('  gameboy-convert hero_sheet.png --gbdk --mode sheet --frame-size 16x16')
+        console.log('  gameboy-convert hero_sheet.png --gbdk --mode sheet --sheet hero_sheet.json')
+        console.log('  gameboy-convert walk.gif --gbdk --mode sheet')
+        console.log('  gameboy-convert hero.aseprite --gbdk --mode sheet --layers body,outline')
+        console.log('  gameboy-convert font.png --gbdk --mode font --charset "\' \'..\'Z\'" --variable-width')
+        console.log('  gameboy-convert level.png --gbdk --mode background --target cgb')
+        console.log('  gameboy-convert level.png --format bin --mode background')
+        console.log('  gameboy-convert level.png --gbdk --header --bank 3')
+        console.log('  gameboy-convert hero.png --gbdk --mode sprite --indexed')
+        console.log('  gameboy-convert level.png --gbdk --mode background --compress gbcompress')
+        console.log('  gameboy-convert level.png --gbdk --mode background --target cgb --strict')
+        console.log('  gameboy-convert level.png --format asm --section "Level Graphics" --bank 2')
+        console.log('  gameboy-convert photo.png --palette pocket')
+        console.log('  gameboy-convert photo.png --palette my_palette.json --gbdk')
+        console.log('  gameboy-convert photo.png --dither floyd-steinberg --dither-strength 0.8')
+        console.log('  gameboy-convert photo.png --color-match ciede2000')
+        console.log('  gameboy-convert screenshot.png --gbdk --mode background --resize screen --fit fill')
+        console.log('  gameboy-convert logo.png --gbdk --crop 32,16,120,40 --pad --background-index 3')
+        console.log('  gameboy-convert photo.png --auto-levels --gamma 1.4 --dither bayer4')
+        console.log('  gameboy-convert night.png --brightness 0.2 --thresholds 40,90,150')
+        console.log('  gameboy-convert tiles.png --gbdk --exact')
+        console.log('  gameboy-convert hero.png --mode sprite --preview-scale 8 --preview-grid --preview-labels')
+        console.log('  gameboy-convert level.png --gbdk --mode background --preview-duplicates --report')
+        console.log('  gameboy-convert art.png --gbdk --color-map "#FFFFFF=0,#FF0000=1,#0000FF=2,#000000=3"')
         console.log('  gameboy-convert image.png output.png --gbdk --quiet')
+        console.log('  gameboy-convert decode old_sprite.c --palette grayscale')
+        console.log('  gameboy-convert decode level.2bpp level.png --map level.tilemap --width-tiles 20')
+        console.log('  gameboy-convert hero.png --gbdk --mode sprite --watch')
+        console.log('  gameboy-convert build')
+        console.log('  gameboy-convert build --watch')
+        console.log('  gameboy-convert build --config assets/gameboy.config.js')
+        console.log('  gameboy-convert build --workers 4')
+        console.log('  gameboy-convert build --strict')
         console.log('')
-        console.log('Note: Accepts PNG images of any size')
+        console.log('Note: Accepts PNG, JPEG, BMP, GIF and Aseprite images of any size (detected by content).')
+        console.log('      Every frame of GIF and Aseprite files is converted, Aseprite tags become animations.')
         return
     }
     
     // Process arguments
     const generateGBDK = args.includes('--gbdk')
     const quiet = args.includes('--quiet')
+    const header = args.includes('--header')
+    const indexed = args.includes('--indexed')
+    const watch = args.includes('--watch')
+    const strict = args.includes('--strict')
+    const exact = args.includes('--exact')
+    const colorMap = getOptionValue(args, '--color-map') || undefined
+    const report = args.includes('--report')
+    const previewScaleValue = getOptionValue(args, '--preview-scale')
+    const preview = ['--preview', '--preview-grid', '--preview-labels', '--preview-duplicates'].some(flag => args.includes(flag)) || previewScaleValue !== null
+        ? {
+            scale: previewScaleValue === null ? undefined : Number(previewScaleValue),
+            grid: args.includes('--preview-grid'),
+            labels: args.includes('--preview-labels'),
+            duplicates: args.includes('--preview-duplicates')
+        }
+        : undefined
+    const compression = getOptionValue(args, '--compress') || undefined
+    const crop = getOptionValue(args, '--crop') || undefined
+    const resize = getOptionValue(args, '--resize') || undefined
+    const fit = getOptionValue(args, '--fit') || undefined
+    const resample = getOptionValue(args, '--resample') || undefined
+    const pad = args.includes('--pad')
+    const backgroundIndexValue = getOptionValue(args, '--background-index')
+    const backgroundIndex = backgroundIndexValue === null ? undefined : Number(backgroundIndexValue)
+    const brightnessValue = getOptionValue(args, '--brightness')
+    const brightness = brightnessValue === null ? undefined : Number(brightnessValue)
+    const contrastValue = getOptionValue(args, '--contrast')
+    const contrast = contrastValue === null ? undefined : Number(contrastValue)
+    const gammaValue = getOptionValue(args, '--gamma')
+    const gamma = gammaValue === null ? undefined : Number(gammaValue)
+    const autoLevels = args.includes('--auto-levels')
+    const thresholds = getOptionValue(args, '--thresholds') || undefined
     
-    const varIndex = args.indexOf('--var')
-    const variableName = (varIndex !== -1 && varIndex + 1 < args.length) 
-        ? args[varIndex + 1] 
-        : null
-
+    const variableName = getOptionValue(args, '--var')
+    const palette = parsePaletteOption(getOptionValue(args, '--palette'))
+    const dither = getOptionValue(args, '--dither') || undefined
+    const ditherStrengthValue = getOptionValue(args, '--dither-strength')
+    const ditherStrength = ditherStrengthValue === null ? undefined : Number(ditherStrengthValue)
+    const colorMatch = getOptionValue(args, '--color-match') || undefined
+    const mode = getOptionValue(args, '--mode') || undefined
+    const target = getOptionValue(args, '--target') || undefined
+    const maxPalettesValue = getOptionValue(args, '--max-palettes')
+    const maxPalettes = maxPalettesValue === null ? undefined : Number(maxPalettesValue)
+    const alphaThresholdValue = getOptionValue(args, '--alpha-threshold')
+    const alphaThreshold = alphaThresholdValue === null ? undefined : Number(alphaThresholdValue)
+    const transparentColor = getOptionValue(args, '--transparent-color') || undefined
+    const spriteSize = getOptionValue(args, '--sprite-size') || undefined
+    const formatValue = getOptionValue(args, '--format')
+    const sectionName = getOptionValue(args, '--section') || undefined
+    const bankValue = getOptionValue(args, '--bank')
+    const bank = bankValue === null ? undefined : Number(bankValue)
+    const frameSizeValue = getOptionValue(args, '--frame-size')
+    const frameSize = frameSizeValue === null ? [] : parseSize(frameSizeValue)
+    const [frameWidth, frameHeight] = frameSize || []
+    const grid = getOptionValue(args, '--grid') || undefined
+    const sheet = getOptionValue(args, '--sheet') || undefined
+    const charset = getOptionValue(args, '--charset') || undefined
+    const variableWidth = args.includes('--variable-width')
+    const layersValue = getOptionValue(args, '--layers')
+    const layers = layersValue === null ? undefined : layersValue.split(',')
+    const outputFormats = formatValue === null
+        ? undefined
+        : [...new Set([...(generateGBDK ? ['c'] : []), ...formatValue.split(',')])]
+    
+    const filteredArgs = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]))
     
-    const filteredArgs = args.filter( arg => !['--gbdk', '--quiet', '--var'].includes(arg) && arg !== variableName )
+    if (filteredArgs[0] === 'decode') {
+        return runDecode(args, filteredArgs, quiet)
+    }
+    
+    if (filteredArgs[0] === 'build') {
+        return runBuild(args, quiet, watch)
+    }
     
     const inputPath = filteredArgs[0]
     const outputPath = filteredArgs[1]
@@ -51,13 +351,65 @@ const main = async () => {
         return
     }
     
-    // Execute conversion
-    const result = await convertImage(inputPath, {
+    if (frameSize === null) {
+        console.error(`❌ Invalid --frame-size "${frameSizeValue}" (expected <width>x<height>, like 16x16)`)
+        process.exit(1)
+    }
+    
+    const convertOptions = {
         outputPath,
         generateGBDK,
         verbose: !quiet,
-        variableName
-    })
+        variableName,
+        palette,
+        dither,
+        ditherStrength,
+        colorMatch,
+        mode,
+        target,
+        maxPalettes,
+        alphaThreshold,
+        transparentColor,
+        spriteSize,
+        outputFormats,
+        sectionName,
+        bank,
+        header,
+        compression,
+        frameWidth,
+        frameHeight,
+        grid,
+        sheet,
+        charset,
+        variableWidth,
+        layers,
+        indexed,
+        strict,
+        exact,
+        colorMap,
+        preview,
+        report,
+        crop,
+        resize,
+        fit,
+        resample,
+        pad,
+        backgroundIndex,
+        brightness,
+        contrast,
+        gamma,
+        autoLevels,
+        thresholds
+    }
+    
+    // Execute conversion
+    const result = await convertImage(inputPath, convertOptions)
+    
+    if (watch) {
+        watchImages([inputPath], convertOptions)
+        !quiet && console.log(`👀 Watching ${inputPath} for changes (Ctrl+C to stop)`)
+        return
+    }
     
     if (!result.success) {
         process.exit(1)
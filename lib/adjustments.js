@@ -0,0 +1,142 @@
+import { REC_601_WEIGHTS, luma } from './color-matching.js'
+
+// Share of the darkest and the brightest pixels that auto levels clip
+const AUTO_LEVELS_CLIP = 0.005
+
+// Shades of the threshold mode, from the darkest to the brightest band
+const THRESHOLD_SHADES = [3, 2, 1, 0]
+
+/**
+ * Resolves the image adjustments of a conversion
+ * @param {Object} options - Conversion options
+ * @param {number} options.brightness - Brightness from -1 to 1 (default: 0)
+ * @param {number} options.contrast - Contrast from -1 (flat gray) to 1 (black and white, default: 0)
+ * @param {number} options.gamma - Gamma from 0.1 to 10: above 1 brightens the midtones (default: 1)
+ * @param {boolean} options.autoLevels - Stretch the luminance range of the image to 0-255
+ * @returns {Object|null} { brightness, contrast, gamma, autoLevels }, or null without adjustments
+ */
+const resolveAdjustments = (options = {}) => {
+    const { brightness = 0, contrast = 0, gamma = 1, autoLevels = false } = options
+
+    if (!(typeof brightness === 'number' && brightness >= -1 && brightness <= 1)) {
+        throw new Error('Brightness must be a number between -1 and 1')
+    }
+    if (!(typeof contrast === 'number' && contrast >= -1 && contrast <= 1)) {
+        throw new Error('Contrast must be a number between -1 and 1')
+    }
+    if (!(typeof gamma === 'number' && gamma >= 0.1 && gamma <= 10)) {
+        throw new Error('Gamma must be a number between 0.1 and 10')
+    }
+
+    return brightness !== 0 || contrast !== 0 || gamma !== 1 || autoLevels
+        ? { brightness, contrast, gamma, autoLevels: Boolean(autoLevels) }
+        : null
+}
+
+/**
+ * Parses the luminance thresholds of the threshold mode
+ * @param {string|Array<number>} thresholds - 3 ascending luminance values (0-255) as an
+ *   array or separated by commas ('64,128,192')
+ * @returns {Array<number>|null} Thresholds, or null without thresholds
+ */
+const parseThresholds = (thresholds) => {
+    if (thresholds === undefined || thresholds === null) return null
+
+    const values = typeof thresholds === 'string'
+        ? thresholds.split(',').map(value => value.trim() === '' ? NaN : Number(value))
+        : thresholds
+
+    if (!Array.isArray(values) || values.length !== 3 ||
+        !values.every((value, i) => Number.isInteger(value) && value >= 0 && value <= 255 && (i === 0 || value > values[i - 1]))) {
+        throw new Error(`Invalid thresholds ${JSON.stringify(thresholds)}. Use 3 ascending luminance values from 0 to 255`)
+    }
+
+    return values
+}
+
+/**
+ * Finds the luminance range of the visible pixels, without the darkest and brightest
+ * AUTO_LEVELS_CLIP of them
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Function} include - pixelIndex => whether the pixel counts
+ * @returns {Array<number>} [low, high] luminance
+ */
+const findLevels = (data, include) => {
+    const histogram = new Uint32Array(256)
+
+    for (let offset = 0; offset < data.length; offset += 4) {
+        if (data[offset + 3] > 0 && include(offset / 4)) {
+            histogram[Math.round(luma({ r: data[offset], g: data[offset + 1], b: data[offset + 2] }, REC_601_WEIGHTS))] += 1
+        }
+    }
+
+    const total = histogram.reduce((sum, count) => sum + count, 0)
+    const clipped = Math.floor(total * AUTO_LEVELS_CLIP)
+    const cumulative = new Uint32Array(256)
+    histogram.forEach((count, value) => {
+        cumulative[value] = (value > 0 ? cumulative[value - 1] : 0) + count
+    })
+    const low = cumulative.findIndex(sum => sum > clipped)
+    const high = cumulative.findIndex(sum => sum >= total - clipped)
+
+    return total > 0 ? [low, high] : [0, 255]
+}
+
+/**
+ * Builds the tone curve of the adjustments: auto levels, then brightness, contrast and gamma
+ * @param {Object} adjustments - Adjustments (see resolveAdjustments)
+ * @param {Array<number>} levels - [low, high] luminance that auto levels stretch to 0-255
+ * @returns {Uint8ClampedArray} Adjusted value of every channel value (0-255)
+ */
+const buildToneCurve = ({ brightness, contrast, gamma, autoLevels }, levels) => {
+    const [low, high] = autoLevels && levels[1] > levels[0] ? levels : [0, 255]
+
+    // tan maps contrast -1..1 to a slope of 0..infinity, 1 at contrast 0
+    const slope = Math.tan((contrast + 1) * Math.PI / 4)
+
+    return new Uint8ClampedArray(256).map((_, value) => {
+        const stretched = (value - low) * 255 / (high - low)
+        const contrasted = (stretched + brightness * 255 - 127.5) * slope + 127.5
+        const clamped = Math.min(Math.max(contrasted, 0), 255)
+
+        return 255 * Math.pow(clamped / 255, 1 / gamma)
+    })
+}
+
+/**
+ * Applies brightness, contrast, gamma and auto levels to the colors of an image. The same
+ * curve is applied to the red, green and blue channels, so hues are kept; alpha is unchanged.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Object} adjustments - Adjustments (see resolveAdjustments)
+ * @param {Function} include - pixelIndex => whether the pixel counts for auto levels
+ *   (default: every pixel; transparent pixels never count)
+ * @returns {Uint8ClampedArray} New RGBA pixel data
+ */
+const adjustImage = (data, adjustments, include = () => true) => {
+    const curve = buildToneCurve(adjustments, adjustments.autoLevels ? findLevels(data, include) : [0, 255])
+    return Uint8ClampedArray.from(data, (value, i) => i % 4 === 3 ? value : curve[value])
+}
+
+/**
+ * Finds the shade of a color in threshold mode: its luminance (Rec. 601) is compared with
+ * the thresholds, the darkest band getting index 3 and the brightest index 0
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @param {Array<number>} thresholds - 3 ascending luminance values
+ * @param {number} firstIndex - Lowest index to use (1 in sprite modes, where 0 is transparent)
+ * @returns {number} Palette index (0-3)
+ */
+const thresholdIndex = (r, g, b, thresholds, firstIndex = 0) => {
+    const value = luma({ r, g, b }, REC_601_WEIGHTS)
+    const band = thresholds.filter(threshold => value >= threshold).length
+
+    return Math.max(THRESHOLD_SHADES[band], firstIndex)
+}
+
+export {
+    resolveAdjustments,
+    parseThresholds,
+    adjustImage,
+    thresholdIndex
+}
@@ -0,0 +1,329 @@
+import zlib from 'zlib'
+
+// Magic numbers of the file header and of every frame header
+const ASEPRITE_MAGIC = 0xA5E0
+const FRAME_MAGIC = 0xF1FA
+
+// Chunk types used to build the frames
+const CHUNK_TYPES = {
+    oldPalette: 0x0004,
+    layer: 0x2004,
+    cel: 0x2005,
+    tags: 0x2018,
+    palette: 0x2019
+}
+
+// Cel types
+const CEL_RAW = 0
+const CEL_LINKED = 1
+const CEL_COMPRESSED = 2
+
+// Layer flags
+const LAYER_VISIBLE = 0x01
+const LAYER_BACKGROUND = 0x08
+
+// Layer type of groups, which only hold other layers
+const LAYER_GROUP = 1
+
+// Tag directions, in the order of the file format
+const TAG_DIRECTIONS = ['forward', 'reverse', 'pingpong', 'pingpong_reverse']
+
+/**
+ * Reads a string (length word + UTF-8 bytes)
+ * @param {Buffer} buffer - Aseprite file
+ * @param {number} offset - Offset of the string
+ * @returns {Object} { value, end: offset after the string }
+ */
+const readString = (buffer, offset) => {
+    const length = buffer.readUInt16LE(offset)
+    return { value: buffer.toString('utf8', offset + 2, offset + 2 + length), end: offset + 2 + length }
+}
+
+/**
+ * Reads a layer chunk
+ * @param {Buffer} data - Chunk data
+ * @returns {Object} { name, flags, type, childLevel, opacity }
+ */
+const readLayer = (data) => ({
+    flags: data.readUInt16LE(0),
+    type: data.readUInt16LE(2),
+    childLevel: data.readUInt16LE(4),
+    opacity: data[12],
+    name: readString(data, 16).value
+})
+
+/**
+ * Reads the tags chunk
+ * @param {Buffer} data - Chunk data
+ * @returns {Array<Object>} Tags { name, from, to, direction }
+ */
+const readTags = (data) => {
+    const count = data.readUInt16LE(0)
+    const tags = []
+    let offset = 10
+
+    for (let i = 0; i < count; i++) {
+        const name = readString(data, offset + 17)
+        tags.push({
+            name: name.value,
+            from: data.readUInt16LE(offset),
+            to: data.readUInt16LE(offset + 2),
+            direction: TAG_DIRECTIONS[data[offset + 4]] || 'forward'
+        })
+        offset = name.end
+    }
+
+    return tags
+}
+
+/**
+ * Reads a palette chunk into the current palette
+ * @param {Buffer} data - Chunk data
+ * @param {Array<Array<number>>} palette - Current palette, updated in place
+ * @returns {Array<Array<number>>} Palette with the entries of the chunk, [r, g, b, a] each
+ */
+const readPalette = (data, palette) => {
+    const first = data.readUInt32LE(4)
+    const last = data.readUInt32LE(8)
+    let offset = 20
+
+    for (let index = first; index <= last; index++) {
+        const flags = data.readUInt16LE(offset)
+        palette[index] = [data[offset + 2], data[offset + 3], data[offset + 4], data[offset + 5]]
+        offset = flags & 0x01 ? readString(data, offset + 6).end : offset + 6
+    }
+
+    return palette
+}
+
+/**
+ * Reads an old palette chunk (files saved by old versions) into the current palette
+ * @param {Buffer} data - Chunk data
+ * @param {Array<Array<number>>} palette - Current palette, updated in place
+ * @returns {Array<Array<number>>} Palette with the entries of the chunk, [r, g, b, a] each
+ */
+const readOldPalette = (data, palette) => {
+    const packets = data.readUInt16LE(0)
+    let offset = 2
+    let index = 0
+
+    for (let packet = 0; packet < packets; packet++) {
+        index += data[offset]
+        const count = data[offset + 1] || 256
+
+        for (let i = 0; i < count; i++) {
+            const color = offset + 2 + i * 3
+            palette[index + i] = [data[color], data[color + 1], data[color + 2], 255]
+        }
+
+        offset += 2 + count * 3
+        index += count
+    }
+
+    return palette
+}
+
+/**
+ * Reads a cel chunk
+ * @param {Buffer} data - Chunk data
+ * @returns {Object} { layer, x, y, opacity, linkedFrame } or { layer, x, y, opacity, width, height, pixels }
+ */
+const readCel = (data) => {
+    const cel = {
+        layer: data.readUInt16LE(0),
+        x: data.readInt16LE(2),
+        y: data.readInt16LE(4),
+        opacity: data[6]
+    }
+    const celType = data.readUInt16LE(7)
+
+    if (celType === CEL_LINKED) return { ...cel, linkedFrame: data.readUInt16LE(16) }
+
+    if (celType !== CEL_RAW && celType !== CEL_COMPRESSED) {
+        throw new Error(`Unsupported Aseprite cel type ${celType} (tilemap layers are not supported)`)
+    }
+
+    const pixels = data.subarray(20)
+    return {
+        ...cel,
+        width: data.readUInt16LE(16),
+        height: data.readUInt16LE(18),
+        pixels: celType === CEL_COMPRESSED ? zlib.inflateSync(pixels) : pixels
+    }
+}
+
+/**
+ * Reads the chunks of one frame
+ * @param {Buffer} buffer - Aseprite file
+ * @param {number} offset - Offset of the frame header
+ * @returns {Object} { duration, chunks: [{ type, data }], end: offset of the next frame }
+ */
+const readFrame = (buffer, offset) => {
+    if (buffer.readUInt16LE(offset + 4) !== FRAME_MAGIC) {
+        throw new Error(`Invalid Aseprite frame at offset ${offset}`)
+    }
+
+    const oldChunkCount = buffer.readUInt16LE(offset + 6)
+    const chunkCount = buffer.readUInt32LE(offset + 12) || oldChunkCount
+    const chunks = []
+    let position = offset + 16
+
+    for (let i = 0; i < chunkCount; i++) {
+        const size = buffer.readUInt32LE(position)
+        chunks.push({ type: buffer.readUInt16LE(position + 4), data: buffer.subarray(position + 6, position + size) })
+        position += size
+    }
+
+    return {
+        duration: buffer.readUInt16LE(offset + 8),
+        chunks,
+        end: offset + buffer.readUInt32LE(offset)
+    }
+}
+
+/**
+ * Decides which layers are drawn: visible layers whose groups are visible too, or the
+ * layers named in the list
+ * @param {Array<Object>} layers - Layers in file order
+ * @param {Array<string>} names - Names of the layers to draw, optional
+ * @returns {Array<boolean>} Whether every layer is drawn
+ */
+const resolveDrawnLayers = (layers, names) => layers.map((layer, index) => {
+    if (layer.type === LAYER_GROUP) return false
+    if (names) return names.includes(layer.name)
+
+    // Walk up the groups: the parent is the closest previous layer one level up
+    const isVisible = (position, level) => {
+        if (position < 0 || level < 0) return true
+        const candidate = layers[position]
+        if (candidate.childLevel !== level) return isVisible(position - 1, level)
+        return Boolean(candidate.flags & LAYER_VISIBLE) && isVisible(position - 1, level - 1)
+    }
+
+    return isVisible(index, layer.childLevel)
+})
+
+/**
+ * Converts the pixels of a cel to RGBA
+ * @param {Buffer} pixels - Cel pixels in the color depth of the file
+ * @param {number} colorDepth - 32 (RGBA), 16 (grayscale) or 8 (indexed)
+ * @param {Array<Array<number>>} palette - Palette of indexed files
+ * @param {number} transparentIndex - Transparent palette index (ignored on background layers)
+ * @returns {Function} (pixel) => [r, g, b, a]
+ */
+const celPixelReader = (pixels, colorDepth, palette, transparentIndex) => {
+    if (colorDepth === 32) {
+        return (pixel) => [pixels[pixel * 4], pixels[pixel * 4 + 1], pixels[pixel * 4 + 2], pixels[pixel * 4 + 3]]
+    }
+    if (colorDepth === 16) {
+        return (pixel) => [pixels[pixel * 2], pixels[pixel * 2], pixels[pixel * 2], pixels[pixel * 2 + 1]]
+    }
+    return (pixel) => pixels[pixel] === transparentIndex
+        ? [0, 0, 0, 0]
+        : (palette[pixels[pixel]] || [0, 0, 0, 255])
+}
+
+/**
+ * Decodes an Aseprite (.aseprite/.ase) file: layers are composed with normal blending
+ * into one RGBA image per frame.
+ * @param {Buffer} buffer - Aseprite file
+ * @param {Object} options - Decoding options
+ * @param {Array<string>} options.layers - Names of the layers to draw (default: the visible ones)
+ * @returns {Object} { width, height, frames: [{ data, duration: ms }], layers: [names], tags: [{ name, from, to, direction }] }
+ */
+const decodeAseprite = (buffer, options = {}) => {
+    if (buffer.length < 128 || buffer.readUInt16LE(4) !== ASEPRITE_MAGIC) {
+        throw new Error('Not an Aseprite file')
+    }
+
+    const frameCount = buffer.readUInt16LE(6)
+    const width = buffer.readUInt16LE(8)
+    const height = buffer.readUInt16LE(10)
+    const colorDepth = buffer.readUInt16LE(12)
+    const hasLayerOpacity = Boolean(buffer.readUInt32LE(14) & 0x01)
+    const transparentIndex = buffer[28]
+
+    if (![8, 16, 32].includes(colorDepth)) {
+        throw new Error(`Unsupported Aseprite color depth ${colorDepth}`)
+    }
+
+    const rawFrames = []
+    let offset = 128
+
+    for (let i = 0; i < frameCount; i++) {
+        const frame = readFrame(buffer, offset)
+        rawFrames.push(frame)
+        offset = frame.end
+    }
+
+    // Layers, tags and palettes can be in any frame but apply to the whole file
+    const chunks = rawFrames.flatMap(frame => frame.chunks)
+    const layers = chunks.filter(chunk => chunk.type === CHUNK_TYPES.layer).map(chunk => readLayer(chunk.data))
+    const tags = chunks.filter(chunk => chunk.type === CHUNK_TYPES.tags).flatMap(chunk => readTags(chunk.data))
+    // Old palette chunks are only used when the file has no new ones
+    const hasNewPalette = chunks.some(chunk => chunk.type === CHUNK_TYPES.palette)
+    const palette = chunks.reduce((colors, chunk) => {
+        if (chunk.type === CHUNK_TYPES.palette) return readPalette(chunk.data, colors)
+        if (chunk.type === CHUNK_TYPES.oldPalette && !hasNewPalette) return readOldPalette(chunk.data, colors)
+        return colors
+    }, [])
+
+    const drawn = resolveDrawnLayers(layers, options.layers)
+    const frameCels = rawFrames.map(frame => frame.chunks
+        .filter(chunk => chunk.type === CHUNK_TYPES.cel)
+        .map(chunk => readCel(chunk.data)))
+
+    const frames = frameCels.map((cels, frameIndex) => {
+        const data = new Uint8ClampedArray(width * height * 4)
+
+        // Cels are drawn in layer order, linked cels take the pixels of another frame
+        const resolved = cels
+            .map(cel => cel.linkedFrame === undefined
+                ? cel
+                : { ...frameCels[cel.linkedFrame].find(other => other.layer === cel.layer), opacity: cel.opacity })
+            .filter(cel => cel && cel.pixels && drawn[cel.layer])
+            .sort((a, b) => a.layer - b.layer)
+
+        resolved.forEach(cel => {
+            const layer = layers[cel.layer]
+            const isBackground = Boolean(layer.flags & LAYER_BACKGROUND)
+            const readPixel = celPixelReader(cel.pixels, colorDepth, palette, isBackground ? -1 : transparentIndex)
+            const opacity = (cel.opacity / 255) * (hasLayerOpacity ? layer.opacity / 255 : 1)
+
+            for (let pixel = 0; pixel < cel.width * cel.height; pixel++) {
+                const x = cel.x + (pixel % cel.width)
+                const y = cel.y + Math.floor(pixel / cel.width)
+                if (x < 0 || y < 0 || x >= width || y >= height) continue
+
+                const [r, g, b, a] = readPixel(pixel)
+                const sourceAlpha = (a / 255) * opacity
+                if (sourceAlpha === 0) continue
+
+                // Normal blending (source over destination)
+                const position = (y * width + x) * 4
+                const destinationAlpha = data[position + 3] / 255
+                const alpha = sourceAlpha + destinationAlpha * (1 - sourceAlpha)
+                const destinationWeight = destinationAlpha * (1 - sourceAlpha)
+
+                data[position] = (r * sourceAlpha + data[position] * destinationWeight) / alpha
+                data[position + 1] = (g * sourceAlpha + data[position + 1] * destinationWeight) / alpha
+                data[position + 2] = (b * sourceAlpha + data[position + 2] * destinationWeight) / alpha
+                data[position + 3] = alpha * 255
+            }
+        })
+
+        return { data, duration: rawFrames[frameIndex].duration }
+    })
+
+    return {
+        width,
+        height,
+        frames,
+        layers: layers.filter((_, index) => drawn[index]).map(layer => layer.name),
+        tags
+    }
+}
+
+export {
+    decodeAseprite
+}
@@ -0,0 +1,44 @@
+import { toRGB555 } from './cgb.js'
+
+// Tiles per VRAM bank, higher tile IDs are stored in bank 1 on the CGB
+const TILES_PER_BANK = 256
+
+/**
+ * Encodes palettes as little-endian RGB555 words, 4 colors per palette
+ * @param {Array<Array<Object>>} palettes - Palettes of RGB colors
+ * @returns {Uint8Array} Palette data
+ */
+const encodePalettes = (palettes) => Uint8Array.from(palettes.flatMap(palette =>
+    palette.flatMap(color => {
+        const value = toRGB555(color)
+        return [value & 0xFF, value >> 8]
+    })
+))
+
+/**
+ * Builds the contents of the binary files written by rgbgfx for the same image:
+ * planar 2bpp tiles, a tile map and attribute map with one byte per tile and the palettes.
+ * Tile IDs are stored modulo 256; on the CGB bit 3 of the attribute selects VRAM bank 1
+ * for the higher IDs.
+ * @param {Object} asset - Generated tile data
+ * @param {Array<Array<number>>} asset.tiles - Encoded tiles
+ * @param {Array<number>} asset.tileMap - Tile ID of every tile of the image, row by row
+ * @param {Array<number>|null} asset.attributeMap - CGB attributes of every tile of the image
+ * @param {Array<Array<Object>>} asset.palettes - Palettes of the image
+ * @returns {Object} File contents (Uint8Array) by extension
+ */
+const buildBinaryFiles = ({ tiles, tileMap, attributeMap, palettes }) => ({
+    '.2bpp': Uint8Array.from(tiles.flat()),
+    '.tilemap': Uint8Array.from(tileMap, tileId => tileId % TILES_PER_BANK),
+    '.pal': encodePalettes(palettes),
+    ...(attributeMap && {
+        '.attrmap': Uint8Array.from(attributeMap, (attribute, position) =>
+            attribute | (tileMap[position] >= TILES_PER_BANK ? 0x08 : 0)
+        )
+    })
+})
+
+export {
+    encodePalettes,
+    buildBinaryFiles
+}
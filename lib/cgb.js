@@ -0,0 +1,470 @@
+import { getColorDistance, DEFAULT_COLOR_MATCH } from './color-matching.js'
+import { TILE_SIZE } from './tiles.js'
+
+// Game Boy Color hardware limits
+const CGB_MAX_PALETTES = 8
+const CGB_COLORS_PER_PALETTE = 4
+
+// Palettes every palette is tried to be merged with (the nearest ones)
+const MERGE_CANDIDATES = 16
+
+/**
+ * Converts an 8-bit RGB color to a 15-bit CGB color (RGB555)
+ * @param {Object} color - RGB color {r, g, b}
+ * @returns {number} RGB555 value (red in bits 0-4, green in 5-9, blue in 10-14)
+ */
+const toRGB555 = ({ r, g, b }) => (r >> 3) | ((g >> 3) << 5) | ((b >> 3) << 10)
+
+/**
+ * Converts a 15-bit CGB color to 8-bit RGB
+ * @param {number} value - RGB555 value
+ * @returns {Object} RGB color {r, g, b}
+ */
+const fromRGB555 = (value) => {
+    const expand = (channel) => (channel << 3) | (channel >> 2)
+
+    return {
+        r: expand(value & 0x1F),
+        g: expand((value >> 5) & 0x1F),
+        b: expand((value >> 10) & 0x1F)
+    }
+}
+
+/**
+ * Rounds a color to the nearest color the CGB can display
+ * @param {Object} color - RGB color {r, g, b}
+ * @returns {Object} RGB color {r, g, b}
+ */
+const snapToRGB555 = (color) => fromRGB555(toRGB555(color))
+
+const colorKey = ({ r, g, b }) => (r << 16) | (g << 8) | b
+const luminance = ({ r, g, b }) => r * 0.299 + g * 0.587 + b * 0.114
+
+/**
+ * Reduces a weighted color list to at most maxColors colors by repeatedly merging
+ * the two closest colors into their weighted average
+ * @param {Array<Object>} colors - Entries { color, weight }
+ * @param {number} maxColors - Maximum number of colors
+ * @param {Function} distance - Color distance function
+ * @returns {Array<Object>} Reduced entries { color, weight }
+ */
+const reduceColors = (colors, maxColors, distance) => {
+    if (colors.length <= maxColors) return colors
+
+    // Every merge adds one entry: the distances of all entries ever created fit in one matrix
+    const entries = [...colors]
+    const size = colors.length * 2
+    const distances = new Float64Array(size * size)
+    const setDistances = (index) => {
+        for (let other = 0; other < index; other++) {
+            distances[other * size + index] = distance(entries[other].color, entries[index].color)
+        }
+    }
+    entries.forEach((_, index) => setDistances(index))
+
+    // Active entries in ascending order (merged entries go last), ties pick the first pair.
+    // Every entry keeps its cheapest merge with a later entry, so only the entries that
+    // lose their partner are searched again after a merge.
+    let active = entries.map((_, index) => index)
+    const partners = new Int32Array(size)
+    const partnerCosts = new Float64Array(size)
+    const mergeCost = (i, j) => distances[i * size + j] * Math.min(entries[i].weight, entries[j].weight)
+    const findPartner = (position) => {
+        const i = active[position]
+        partners[i] = -1
+        partnerCosts[i] = Infinity
+
+        for (let next = position + 1; next < active.length; next++) {
+            const cost = mergeCost(i, active[next])
+            if (cost < partnerCosts[i]) {
+                partners[i] = active[next]
+                partnerCosts[i] = cost
+            }
+        }
+    }
+    active.forEach((_, position) => findPartner(position))
+
+    while (active.length > maxColors) {
+        const i = active.reduce((best, index) => partnerCosts[index] < partnerCosts[best] ? index : best, active[0])
+        const j = partners[i]
+        const first = entries[i]
+        const second = entries[j]
+        const weight = first.weight + second.weight
+        const average = (channel) => Math.round((first.color[channel] * first.weight + second.color[channel] * second.weight) / weight)
+        const merged = entries.length
+
+        entries.push({ color: snapToRGB555({ r: average('r'), g: average('g'), b: average('b') }), weight })
+        setDistances(merged)
+        active = [...active.filter(index => index !== i && index !== j), merged]
+
+        partners[merged] = -1
+        partnerCosts[merged] = Infinity
+        active.slice(0, -1).forEach((index, position) => {
+            if (partners[index] === i || partners[index] === j) {
+                findPartner(position)
+            } else if (mergeCost(index, merged) < partnerCosts[index]) {
+                partners[index] = merged
+                partnerCosts[index] = mergeCost(index, merged)
+            }
+        })
+    }
+
+    return active.map(index => entries[index])
+}
+
+/**
+ * Weighted cost of representing a color list with a palette
+ * @param {Array<Object>} colors - Entries { color, weight }
+ * @param {Array<Object>} palette - Palette colors
+ * @param {Function} distance - Color distance function
+ * @returns {number} Sum of weighted distances to the closest palette color
+ */
+const paletteError = (colors, palette, distance) =>
+    colors.reduce((total, { color, weight }) =>
+        total + weight * palette.reduce((closest, paletteColor) => Math.min(closest, distance(color, paletteColor)), Infinity), 0)
+
+/**
+ * Merges two weighted color lists, adding the weights of repeated colors
+ * @param {Array<Object>} first - Entries { color, weight }
+ * @param {Array<Object>} second - Entries { color, weight }
+ * @returns {Array<Object>} Merged entries
+ */
+const mergeColorLists = (first, second) => {
+    const byKey = new Map(first.map(entry => [colorKey(entry.color), entry]))
+
+    second.forEach(entry => {
+        const key = colorKey(entry.color)
+        const existing = byKey.get(key)
+        byKey.set(key, existing ? { color: entry.color, weight: existing.weight + entry.weight } : entry)
+    })
+
+    return [...byKey.values()]
+}
+
+/**
+ * Collects the weighted colors of every 8x8 tile
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {boolean} skipTransparent - Ignore pixels with alpha 0
+ * @returns {Array<Array<Object>>} Entries { color, weight } of every tile, row by row
+ */
+const collectTileColors = (data, width, height, skipTransparent = false) => {
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const tileHeight = Math.ceil(height / TILE_SIZE)
+
+    return Array.from({ length: tileWidth * tileHeight }, (_, tileIndex) => {
+        const tileX = tileIndex % tileWidth
+        const tileY = Math.floor(tileIndex / tileWidth)
+        const counts = new Map()
+
+        Array.from({ length: TILE_SIZE * TILE_SIZE }).forEach((_, i) => {
+            const x = tileX * TILE_SIZE + (i % TILE_SIZE)
+            const y = tileY * TILE_SIZE + Math.floor(i / TILE_SIZE)
+            if (x >= width || y >= height) return
+
+            const offset = (y * width + x) * 4
+            if (skipTransparent && data[offset + 3] === 0) return
+
+            const color = snapToRGB555({ r: data[offset], g: data[offset + 1], b: data[offset + 2] })
+            const key = colorKey(color)
+            const existing = counts.get(key)
+            counts.set(key, { color, weight: (existing ? existing.weight : 0) + 1 })
+        })
+
+        return [...counts.values()]
+    })
+}
+
+/**
+ * Compares two candidate merges: cheapest first, then the oldest
+ * @param {Object} first - Merge { cost, order }
+ * @param {Object} second - Merge { cost, order }
+ * @returns {boolean} Whether first comes before second
+ */
+const mergeBefore = (first, second) => first.cost < second.cost || (first.cost === second.cost && first.order < second.order)
+
+/**
+ * Adds a merge to a binary min-heap
+ * @param {Array<Object>} heap - Heap of merges
+ * @param {Object} merge - Merge { cost, order, ... }
+ */
+const pushMerge = (heap, merge) => {
+    heap.push(merge)
+    let index = heap.length - 1
+
+    while (index > 0 && mergeBefore(heap[index], heap[(index - 1) >> 1])) {
+        const parent = (index - 1) >> 1
+        ;[heap[index], heap[parent]] = [heap[parent], heap[index]]
+        index = parent
+    }
+}
+
+/**
+ * Removes the cheapest merge from a binary min-heap
+ * @param {Array<Object>} heap - Heap of merges
+ * @returns {Object} Cheapest merge
+ */
+const popMerge = (heap) => {
+    const top = heap[0]
+    const last = heap.pop()
+    if (heap.length === 0) return top
+
+    heap[0] = last
+    let index = 0
+
+    while (true) {
+        const smallest = [2 * index + 1, 2 * index + 2]
+            .filter(child => child < heap.length)
+            .reduce((best, child) => mergeBefore(heap[child], heap[best]) ? child : best, index)
+        if (smallest === index) return top
+
+        ;[heap[index], heap[smallest]] = [heap[smallest], heap[index]]
+        index = smallest
+    }
+}
+
+/**
+ * Weighted average color of a palette, used to find the palettes worth merging
+ * @param {Array<Object>} palette - Entries { color, weight }
+ * @returns {Array<number>} [r, g, b]
+ */
+const paletteCenter = (palette) => {
+    const weight = palette.reduce((total, entry) => total + entry.weight, 0)
+    return ['r', 'g', 'b'].map(channel => palette.reduce((total, entry) => total + entry.color[channel] * entry.weight, 0) / weight)
+}
+
+/**
+ * Squared distance between two palette centers
+ * @param {Array<number>} first - [r, g, b]
+ * @param {Array<number>} second - [r, g, b]
+ * @returns {number} Squared distance
+ */
+const centerGap = (first, second) =>
+    (first[0] - second[0]) ** 2 + (first[1] - second[1]) ** 2 + (first[2] - second[2]) ** 2
+
+/**
+ * Finds the MERGE_CANDIDATES palettes whose centers are nearest to a palette, keeping
+ * a bounded list sorted by distance instead of sorting every palette
+ * @param {Object} palette - Palette { center }
+ * @param {Array<Object>} palettes - Palettes to search (the palette itself is skipped)
+ * @returns {Set<Object>} Nearest palettes
+ */
+const nearestPalettes = (palette, palettes) => {
+    const nearest = []
+
+    palettes.forEach(other => {
+        if (other === palette) return
+
+        const gap = centerGap(other.center, palette.center)
+        if (nearest.length === MERGE_CANDIDATES && gap >= nearest[nearest.length - 1].gap) return
+
+        // Equal gaps keep the list order
+        let index = nearest.length
+        while (index > 0 && nearest[index - 1].gap > gap) index--
+        nearest.splice(index, 0, { other, gap })
+        if (nearest.length > MERGE_CANDIDATES) nearest.pop()
+    })
+
+    return new Set(nearest.map(({ other }) => other))
+}
+
+/**
+ * Merges palettes until at most maxPalettes are left, always taking the merge that adds
+ * the least error. Only the merges of every palette with its MERGE_CANDIDATES nearest
+ * palettes are evaluated; they are kept in a heap between merges.
+ * @param {Array<Array<Object>>} packed - Palettes of entries { color, weight }
+ * @param {number} maxPalettes - Maximum number of palettes
+ * @param {number} colorsPerPalette - Colors available in every palette
+ * @param {Function} distance - Color distance function
+ * @returns {Array<Array<Object>>} Palettes, the merged ones last
+ */
+const mergePalettes = (packed, maxPalettes, colorsPerPalette, distance) => {
+    const heap = []
+    let order = 0
+    const active = packed.map(entries => ({ entries, center: paletteCenter(entries), active: true }))
+
+    const addMerge = (first, second) => {
+        const union = mergeColorLists(first.entries, second.entries)
+        const merged = reduceColors(union, colorsPerPalette, distance)
+        const cost = paletteError(union, merged.map(entry => entry.color), distance)
+        pushMerge(heap, { first, second, merged, cost, order: order++ })
+    }
+
+    // Merges of every palette with its nearest palettes, each pair once and in list order
+    const addAllMerges = () => {
+        const positions = new Map(active.map((palette, index) => [palette, index]))
+        const pairs = new Set()
+
+        active.forEach((palette, i) => nearestPalettes(palette, active).forEach(other => {
+            pairs.add(Math.min(i, positions.get(other)) * active.length + Math.max(i, positions.get(other)))
+        }))
+
+        ;[...pairs]
+            .sort((first, second) => first - second)
+            .forEach(pair => addMerge(active[Math.floor(pair / active.length)], active[pair % active.length]))
+    }
+
+    // Merges of the new (last) palette with its nearest palettes: the only new pairs
+    const addNewMerges = (palette) => {
+        const nearest = nearestPalettes(palette, active)
+        active.forEach(other => nearest.has(other) && addMerge(other, palette))
+    }
+
+    while (active.length > maxPalettes) {
+        // First step, or every candidate of the remaining palettes was used up by merges
+        if (heap.length === 0) addAllMerges()
+
+        const best = popMerge(heap)
+        if (!best.first.active || !best.second.active) continue
+
+        const merged = { entries: best.merged, center: paletteCenter(best.merged), active: true }
+        best.first.active = false
+        best.second.active = false
+        active.splice(active.indexOf(best.first), 1)
+        active.splice(active.indexOf(best.second), 1)
+        active.push(merged)
+        addNewMerges(merged)
+    }
+
+    return active.map(palette => palette.entries)
+}
+
+/**
+ * Builds up to maxPalettes palettes of 4 colors that cover the tiles as well as possible
+ * Tiles are first reduced to 4 colors each, then packed into shared palettes, and palettes
+ * are merged pairwise (cheapest merge first) until the limit is met.
+ * @param {Array<Array<Object>>} tileColors - Weighted colors of every tile
+ * @param {number} maxPalettes - Maximum number of palettes
+ * @param {number} colorsPerPalette - Colors available in every palette
+ * @param {Function} distance - Color distance function
+ * @returns {Object} { palettes, requiredPalettes } - palettes holds up to maxPalettes lists of
+ *   up to colorsPerPalette colors, requiredPalettes the number of palettes before merging
+ */
+const buildPalettes = (tileColors, maxPalettes, colorsPerPalette, distance) => {
+    const tileSets = tileColors
+        .map(colors => reduceColors(colors, colorsPerPalette, distance))
+        .sort((first, second) => second.length - first.length)
+
+    // Pack tiles into palettes that still have room for their colors: the one that needs
+    // the fewest new colors, the first one on ties
+    const packed = []
+    const packedKeys = []
+    tileSets.forEach(colors => {
+        const keys = colors.map(entry => colorKey(entry.color))
+        const best = { index: -1, length: colorsPerPalette + 1 }
+
+        packedKeys.forEach((paletteKeys, index) => {
+            const length = keys.reduce((count, key) => paletteKeys.has(key) ? count : count + 1, paletteKeys.size)
+            if (length < best.length) Object.assign(best, { index, length })
+        })
+
+        if (best.index === -1) {
+            packed.push(colors)
+            packedKeys.push(new Set(keys))
+        } else {
+            packed[best.index] = mergeColorLists(packed[best.index], colors)
+            keys.forEach(key => packedKeys[best.index].add(key))
+        }
+    })
+
+    const palettes = mergePalettes(packed, maxPalettes, colorsPerPalette, distance).map(palette =>
+        palette.map(entry => entry.color).sort((first, second) => luminance(second) - luminance(first))
+    )
+
+    return { palettes, requiredPalettes: packed.length }
+}
+
+/**
+ * Quantizes an image for the Game Boy Color: up to 8 palettes of 4 colors with one
+ * palette per 8x8 tile
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - Quantization options
+ * @param {number} options.maxPalettes - Maximum number of palettes (1-8, default: 8)
+ * @param {string} options.colorMatch - Color matching strategy (default: 'rgb')
+ * @param {boolean} options.transparent - Reserve color 0 of every palette for transparency
+ *   (sprites). Pixels with alpha 0 are ignored and only 3 colors per palette are generated.
+ * @returns {Object} { palettes, tilePalettes, tileColorCounts, requiredPalettes } - palettes
+ *   are padded to 4 colors and ordered from lightest to darkest, tilePalettes holds the
+ *   palette index of every tile, tileColorCounts the number of colors of every source tile
+ *   and requiredPalettes the number of palettes the tiles needed before merging
+ */
+const quantizeCGB = (data, width, height, options = {}) => {
+    const { maxPalettes = CGB_MAX_PALETTES, colorMatch = DEFAULT_COLOR_MATCH, transparent = false } = options
+    const distance = getColorDistance(colorMatch)
+    const colorsPerPalette = transparent ? CGB_COLORS_PER_PALETTE - 1 : CGB_COLORS_PER_PALETTE
+    const black = () => ({ r: 0, g: 0, b: 0 })
+
+    const tileColors = collectTileColors(data, width, height, transparent)
+    const built = buildPalettes(tileColors, Math.min(maxPalettes, CGB_MAX_PALETTES), colorsPerPalette, distance)
+    const palettes = built.palettes
+        .map(palette => [
+            ...(transparent ? [black()] : []),
+            ...palette,
+            ...Array.from({ length: colorsPerPalette - palette.length }, black)
+        ])
+
+    const tilePalettes = tileColors.map(colors => palettes
+        .map((palette, index) => ({ index, error: paletteError(colors, transparent ? palette.slice(1) : palette, distance) }))
+        .reduce((best, candidate) => candidate.error < best.error ? candidate : best)
+        .index
+    )
+
+    return {
+        palettes,
+        tilePalettes,
+        tileColorCounts: tileColors.map(colors => colors.length),
+        requiredPalettes: built.requiredPalettes
+    }
+}
+
+/**
+ * Finds the palette index of every tile of an image that was already converted for the
+ * CGB: the first palette that contains all the colors of the tile (or the closest one)
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Array<Object>>} palettes - CGB palettes
+ * @param {boolean} transparent - Color 0 of every palette is transparent (pixels with alpha 0)
+ * @returns {Array<number>} Palette index of every tile
+ */
+const matchTilePalettes = (data, width, height, palettes, transparent = false) => {
+    const distance = getColorDistance('rgb')
+
+    return collectTileColors(data, width, height, transparent).map(colors => palettes
+        .map((palette, index) => ({
+            index,
+            error: paletteError(colors, (transparent ? palette.slice(1) : palette).map(snapToRGB555), distance)
+        }))
+        .reduce((best, candidate) => candidate.error < best.error ? candidate : best)
+        .index
+    )
+}
+
+/**
+ * Gets the palette index of the tile a pixel belongs to
+ * @param {Array<number>} tilePalettes - Palette index of every tile
+ * @param {number} width - Image width in pixels
+ * @param {number} pixelIndex - Pixel index (y * width + x)
+ * @returns {number} Palette index
+ */
+const tilePaletteAt = (tilePalettes, width, pixelIndex) => {
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const x = pixelIndex % width
+    const y = Math.floor(pixelIndex / width)
+
+    return tilePalettes[Math.floor(y / TILE_SIZE) * tileWidth + Math.floor(x / TILE_SIZE)]
+}
+
+export {
+    CGB_MAX_PALETTES,
+    CGB_COLORS_PER_PALETTE,
+    toRGB555,
+    fromRGB555,
+    snapToRGB555,
+    quantizeCGB,
+    matchTilePalettes,
+    tilePaletteAt
+}
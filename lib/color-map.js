@@ -0,0 +1,109 @@
+import fs from 'fs'
+import { parseColor, colorToHex } from './palettes.js'
+import { TILE_SIZE } from './tiles.js'
+
+// Off-palette pixels listed in error messages (the result lists all of them)
+const MAX_LISTED_PIXELS = 5
+
+const colorKey = ({ r, g, b }) => (r << 16) | (g << 8) | b
+
+/**
+ * Parses a color map: the palette index of every color of hand-made art drawn in
+ * arbitrary but fixed colors
+ * @param {string|Object} colorMap - Object { '#RRGGBB': index }, path of a JSON file with
+ *   such an object, or a string of color=index pairs separated by commas
+ *   ('#FFFFFF=0,#FF0000=1')
+ * @returns {Map<number, number>|null} Palette index (0-3) by 24-bit color, or null without a map
+ */
+const parseColorMap = (colorMap) => {
+    if (colorMap === undefined || colorMap === null) return null
+
+    const entries = (() => {
+        if (typeof colorMap !== 'string') return Object.entries(colorMap)
+        if (colorMap.toLowerCase().endsWith('.json')) return Object.entries(JSON.parse(fs.readFileSync(colorMap, 'utf8')))
+
+        return colorMap.split(',').map(pair => pair.split('='))
+    })()
+
+    if (entries.length === 0) {
+        throw new Error('The color map is empty')
+    }
+
+    return new Map(entries.map(([color, index]) => {
+        const value = Number(index)
+
+        if (index === undefined || index === '' || !Number.isInteger(value) || value < 0 || value > 3) {
+            throw new Error(`Invalid palette index for ${color} in the color map: ${index}. It must be 0-3`)
+        }
+
+        return [colorKey(parseColor(color)), value]
+    }))
+}
+
+/**
+ * Maps every pixel to a palette index by exact color, without matching the closest color.
+ * Pixels whose color is not in the palette (or in the color map) get index 0 and are
+ * listed as off-palette pixels.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - Lookup options
+ * @param {Function} options.paletteAt - pixelIndex => palette of the pixel
+ * @param {Map<number, number>} options.colorMap - Palette index by color (parseColorMap),
+ *   used instead of the palette
+ * @param {boolean} options.transparent - Pixels with alpha 0 are transparent (index 0) and
+ *   visible pixels must use palette colors 1-3 (sprites)
+ * @param {Function} options.snap - Rounds pixel colors before comparing them (CGB: RGB555)
+ * @returns {Object} { indices, offPalettePixels } - offPalettePixels holds { x, y, tile,
+ *   tileX, tileY, color } for every pixel that does not match, row by row
+ */
+const indexExactColors = (data, width, height, options = {}) => {
+    const { paletteAt, colorMap = null, transparent = false, snap = color => color } = options
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const firstIndex = transparent ? 1 : 0
+    const offPalettePixels = []
+
+    const indices = new Uint8Array(width * height).map((_, pixelIndex) => {
+        const offset = pixelIndex * 4
+        if (transparent && data[offset + 3] === 0) return 0
+
+        const color = { r: data[offset], g: data[offset + 1], b: data[offset + 2] }
+        const key = colorKey(snap(color))
+        const index = colorMap
+            ? (colorMap.has(key) ? colorMap.get(key) : -1)
+            : paletteAt(pixelIndex).findIndex(paletteColor => colorKey(paletteColor) === key)
+
+        // Color map entries are explicit, also index 0 for visible sprite pixels
+        if (index >= (colorMap ? 0 : firstIndex)) return index
+
+        const x = pixelIndex % width
+        const y = (pixelIndex - x) / width
+        const tileX = Math.floor(x / TILE_SIZE)
+        const tileY = Math.floor(y / TILE_SIZE)
+        offPalettePixels.push({ x, y, tile: tileY * tileWidth + tileX, tileX, tileY, color: colorToHex(color) })
+
+        return 0
+    })
+
+    return { indices, offPalettePixels }
+}
+
+/**
+ * Describes the off-palette pixels of an image, listing the first ones
+ * @param {Array<Object>} offPalettePixels - Pixels of indexExactColors
+ * @returns {string} Error message
+ */
+const formatOffPalettePixels = (offPalettePixels) => {
+    const listed = offPalettePixels
+        .slice(0, MAX_LISTED_PIXELS)
+        .map(({ x, y, tile, color }) => `${color} at (${x}, ${y}) in tile ${tile}`)
+    const more = offPalettePixels.length - listed.length
+
+    return `${offPalettePixels.length} pixels do not match the palette: ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`
+}
+
+export {
+    parseColorMap,
+    indexExactColors,
+    formatOffPalettePixels
+}
@@ -0,0 +1,243 @@
+/**
+ * Calculates the Euclidean distance between two RGB colors
+ * @param {Object} color1 - RGB color {r, g, b}
+ * @param {Object} color2 - RGB color {r, g, b}
+ * @returns {number} Euclidean distance
+ */
+const colorDistance = (color1, color2) => {
+    const redDistance = color1.r - color2.r
+    const greenDistance = color1.g - color2.g
+    const blueDistance = color1.b - color2.b
+
+    return Math.sqrt(
+        redDistance * redDistance +
+        greenDistance * greenDistance +
+        blueDistance * blueDistance
+    )
+}
+
+/**
+ * Calculates the luma of an RGB color
+ * @param {Object} color - RGB color {r, g, b}
+ * @param {Array<number>} weights - Red, green and blue coefficients
+ * @returns {number} Luma (0-255)
+ */
+const luma = ({ r, g, b }, [redWeight, greenWeight, blueWeight]) =>
+    r * redWeight + g * greenWeight + b * blueWeight
+
+const REC_601_WEIGHTS = [0.299, 0.587, 0.114]
+const REC_709_WEIGHTS = [0.2126, 0.7152, 0.0722]
+
+/**
+ * Weighted RGB distance ("redmean" approximation of perceived difference)
+ * @param {Object} color1 - RGB color {r, g, b}
+ * @param {Object} color2 - RGB color {r, g, b}
+ * @returns {number} Weighted distance
+ */
+const redmeanDistance = (color1, color2) => {
+    const redMean = (color1.r + color2.r) / 2
+    const redDistance = color1.r - color2.r
+    const greenDistance = color1.g - color2.g
+    const blueDistance = color1.b - color2.b
+
+    return Math.sqrt(
+        (2 + redMean / 256) * redDistance * redDistance +
+        4 * greenDistance * greenDistance +
+        (2 + (255 - redMean) / 256) * blueDistance * blueDistance
+    )
+}
+
+/**
+ * Converts an sRGB color to CIELAB (D65 white point)
+ * @param {Object} color - RGB color {r, g, b}
+ * @returns {Object} Lab color {L, a, b}
+ */
+const rgbToLab = ({ r, g, b }) => {
+    const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4)
+    })
+
+    const x = (red * 0.4124564 + green * 0.3575761 + blue * 0.1804375) / 0.95047
+    const y = (red * 0.2126729 + green * 0.7151522 + blue * 0.0721750) / 1.00000
+    const z = (red * 0.0193339 + green * 0.1191920 + blue * 0.9503041) / 1.08883
+
+    const [fx, fy, fz] = [x, y, z].map(value =>
+        value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116
+    )
+
+    return {
+        L: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    }
+}
+
+/**
+ * CIE76 color difference (Euclidean distance in CIELAB)
+ * @param {Object} color1 - RGB color {r, g, b}
+ * @param {Object} color2 - RGB color {r, g, b}
+ * @returns {number} ΔE*76
+ */
+const cie76Distance = (color1, color2) => {
+    const lab1 = rgbToLab(color1)
+    const lab2 = rgbToLab(color2)
+
+    return Math.hypot(lab1.L - lab2.L, lab1.a - lab2.a, lab1.b - lab2.b)
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+const toDegrees = (radians) => radians * 180 / Math.PI
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * @param {Object} lab1 - Lab color {L, a, b}
+ * @param {Object} lab2 - Lab color {L, a, b}
+ * @returns {number} ΔE*00
+ */
+const deltaE2000 = (lab1, lab2) => {
+    const chromaMean = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2
+    const g = 0.5 * (1 - Math.sqrt(Math.pow(chromaMean, 7) / (Math.pow(chromaMean, 7) + Math.pow(25, 7))))
+
+    const [primed1, primed2] = [lab1, lab2].map(lab => {
+        const a = lab.a * (1 + g)
+        const chroma = Math.hypot(a, lab.b)
+        const hue = (a === 0 && lab.b === 0) ? 0 : (toDegrees(Math.atan2(lab.b, a)) + 360) % 360
+        return { L: lab.L, chroma, hue }
+    })
+
+    const deltaL = primed2.L - primed1.L
+    const deltaC = primed2.chroma - primed1.chroma
+    const chromaProduct = primed1.chroma * primed2.chroma
+
+    const hueDifference = primed2.hue - primed1.hue
+    const deltaHue = chromaProduct === 0
+        ? 0
+        : hueDifference > 180 ? hueDifference - 360
+        : hueDifference < -180 ? hueDifference + 360
+        : hueDifference
+    const deltaH = 2 * Math.sqrt(chromaProduct) * Math.sin(toRadians(deltaHue / 2))
+
+    const meanL = (primed1.L + primed2.L) / 2
+    const meanChroma = (primed1.chroma + primed2.chroma) / 2
+    const hueSum = primed1.hue + primed2.hue
+    const meanHue = chromaProduct === 0
+        ? hueSum
+        : Math.abs(primed1.hue - primed2.hue) <= 180 ? hueSum / 2
+        : hueSum < 360 ? (hueSum + 360) / 2
+        : (hueSum - 360) / 2
+
+    const t = 1 -
+        0.17 * Math.cos(toRadians(meanHue - 30)) +
+        0.24 * Math.cos(toRadians(2 * meanHue)) +
+        0.32 * Math.cos(toRadians(3 * meanHue + 6)) -
+        0.20 * Math.cos(toRadians(4 * meanHue - 63))
+
+    const deltaTheta = 30 * Math.exp(-Math.pow((meanHue - 275) / 25, 2))
+    const rotationChroma = 2 * Math.sqrt(Math.pow(meanChroma, 7) / (Math.pow(meanChroma, 7) + Math.pow(25, 7)))
+    const lightnessOffset = Math.pow(meanL - 50, 2)
+    const scaleL = 1 + (0.015 * lightnessOffset) / Math.sqrt(20 + lightnessOffset)
+    const scaleC = 1 + 0.045 * meanChroma
+    const scaleH = 1 + 0.015 * meanChroma * t
+    const rotation = -Math.sin(toRadians(2 * deltaTheta)) * rotationChroma
+
+    return Math.sqrt(
+        Math.pow(deltaL / scaleL, 2) +
+        Math.pow(deltaC / scaleC, 2) +
+        Math.pow(deltaH / scaleH, 2) +
+        rotation * (deltaC / scaleC) * (deltaH / scaleH)
+    )
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {Object} color1 - RGB color {r, g, b}
+ * @param {Object} color2 - RGB color {r, g, b}
+ * @returns {number} ΔE*00
+ */
+const ciede2000Distance = (color1, color2) => deltaE2000(rgbToLab(color1), rgbToLab(color2))
+
+// Available color matching strategies
+const COLOR_MATCH_DISTANCES = {
+    rgb: colorDistance,
+    luma601: (color1, color2) => Math.abs(luma(color1, REC_601_WEIGHTS) - luma(color2, REC_601_WEIGHTS)),
+    luma709: (color1, color2) => Math.abs(luma(color1, REC_709_WEIGHTS) - luma(color2, REC_709_WEIGHTS)),
+    redmean: redmeanDistance,
+    cie76: cie76Distance,
+    ciede2000: ciede2000Distance
+}
+
+const COLOR_MATCH_MODES = Object.keys(COLOR_MATCH_DISTANCES)
+
+const DEFAULT_COLOR_MATCH = 'rgb'
+
+/**
+ * Gets the distance function of a color matching strategy
+ * @param {string} mode - One of COLOR_MATCH_MODES (default: 'rgb')
+ * @returns {Function} (color1, color2) => distance
+ */
+const getColorDistance = (mode = DEFAULT_COLOR_MATCH) => {
+    if (!COLOR_MATCH_DISTANCES[mode]) {
+        throw new Error(`Unknown color matching mode "${mode}". Available modes: ${COLOR_MATCH_MODES.join(', ')}`)
+    }
+
+    return COLOR_MATCH_DISTANCES[mode]
+}
+
+/**
+ * Finds the index of the closest palette color, measuring every distance only once
+ * @param {Object} color - RGB color {r, g, b}
+ * @param {Array<Object>} palette - Palette of RGB colors
+ * @param {Function} distance - Color distance function
+ * @param {number} firstIndex - First palette index that can be matched (default: 0)
+ * @returns {number} Palette index (the first one on ties)
+ */
+const findClosestIndex = (color, palette, distance, firstIndex = 0) =>
+    palette.reduce((closest, paletteColor, index) => {
+        if (index < firstIndex) return closest
+
+        const currentDistance = distance(color, paletteColor)
+        return currentDistance < closest.distance ? { index, distance: currentDistance } : closest
+    }, { index: firstIndex, distance: Infinity }).index
+
+/**
+ * Creates a cached closest color lookup. The result of every RGB value is kept per palette
+ * in a Map keyed by the 24-bit color, so each distinct color of an image is only matched
+ * once and the cache only grows with the colors that appear in the image.
+ * @param {string} mode - One of COLOR_MATCH_MODES (default: 'rgb')
+ * @returns {Function} (r, g, b, palette, firstIndex) => index of the closest palette color.
+ *   Channels must be integers (0-255); firstIndex skips the first colors of the palette.
+ */
+const createColorLookup = (mode = DEFAULT_COLOR_MATCH) => {
+    const distance = getColorDistance(mode)
+    const cachesByPalette = new WeakMap()
+
+    return (r, g, b, palette, firstIndex = 0) => {
+        const caches = cachesByPalette.get(palette) || cachesByPalette.set(palette, []).get(palette)
+        const cache = caches[firstIndex] || (caches[firstIndex] = new Map())
+        const key = (r << 16) | (g << 8) | b
+        const cached = cache.get(key)
+
+        if (cached !== undefined) return cached
+
+        const index = findClosestIndex({ r, g, b }, palette, distance, firstIndex)
+        cache.set(key, index)
+        return index
+    }
+}
+
+export {
+    COLOR_MATCH_MODES,
+    DEFAULT_COLOR_MATCH,
+    REC_601_WEIGHTS,
+    luma,
+    colorDistance,
+    redmeanDistance,
+    cie76Distance,
+    ciede2000Distance,
+    rgbToLab,
+    deltaE2000,
+    getColorDistance,
+    findClosestIndex,
+    createColorLookup
+}
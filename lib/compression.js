@@ -0,0 +1,252 @@
+// Compression formats for tile and map data
+const COMPRESSION_MODES = ['none', 'rle', 'gbcompress']
+
+// gbcompress blocks hold 1-64 bytes/words
+const GB_MAX_LENGTH = 64
+const GB_RLE_BYTE = 0x00
+const GB_RLE_WORD = 0x40
+const GB_BACK_REFERENCE = 0x80
+const GB_LITERAL = 0xC0
+const GB_MAX_DISTANCE = 0xFFFF
+
+// Candidate positions kept per 3-byte prefix when looking for back references
+const GB_MATCH_CANDIDATES = 32
+
+// RLE runs hold 1-128 repeated bytes or 1-127 literal bytes
+const RLE_MAX_RUN = 128
+const RLE_MAX_LITERALS = 127
+
+/**
+ * Splits pending literal bytes into blocks of at most maxLength bytes
+ * @param {Array<number>} literals - Literal bytes
+ * @param {number} maxLength - Maximum block length
+ * @param {Function} header - length => header byte of the block
+ * @returns {Array<number>} Encoded blocks
+ */
+const encodeLiterals = (literals, maxLength, header) =>
+    Array.from({ length: Math.ceil(literals.length / maxLength) }, (_, i) => {
+        const chunk = literals.slice(i * maxLength, (i + 1) * maxLength)
+        return [header(chunk.length), ...chunk]
+    }).flat()
+
+/**
+ * Counts how many times a byte is repeated from a position
+ * @param {Uint8Array|Array<number>} data - Data
+ * @param {number} position - Start position
+ * @param {number} maxLength - Maximum count
+ * @returns {number} Run length (at least 1)
+ */
+const countByteRun = (data, position, maxLength) => {
+    const end = Math.min(data.length, position + maxLength)
+    const mismatch = Array.from({ length: end - position }, (_, i) => position + i)
+        .find(index => data[index] !== data[position])
+    return (mismatch === undefined ? end : mismatch) - position
+}
+
+/**
+ * Compresses data in the run-length format read by GBDK's rle_decompress: a signed
+ * control byte followed by data. A negative count -n repeats the next byte n times,
+ * a positive count n copies the next n bytes and 0 ends the data.
+ * @param {Uint8Array|Array<number>} data - Uncompressed bytes
+ * @returns {Uint8Array} Compressed bytes
+ */
+const rleCompress = (data) => {
+    const { output, literals } = Array.from(data).reduce((state, byte, position) => {
+        if (position < state.next) return state
+
+        const run = countByteRun(data, position, RLE_MAX_RUN)
+        if (run < 3) {
+            state.literals.push(byte)
+            return { ...state, next: position + 1 }
+        }
+
+        state.output.push(...encodeLiterals(state.literals, RLE_MAX_LITERALS, length => length), (256 - run) & 0xFF, byte)
+        return { output: state.output, literals: [], next: position + run }
+    }, { output: [], literals: [], next: 0 })
+
+    return Uint8Array.from([...output, ...encodeLiterals(literals, RLE_MAX_LITERALS, length => length), 0])
+}
+
+/**
+ * Decompresses data written by rleCompress
+ * @param {Uint8Array|Array<number>} data - Compressed bytes
+ * @returns {Uint8Array} Uncompressed bytes
+ */
+const rleDecompress = (data) => {
+    const output = []
+    let position = 0
+
+    while (data[position] !== 0 && data[position] !== undefined) {
+        const control = data[position]
+
+        if (control & 0x80) {
+            for (let i = 0; i < 256 - control; i++) output.push(data[position + 1])
+            position += 2
+        } else {
+            const end = Math.min(position + 1 + control, data.length)
+            for (let i = position + 1; i < end; i++) output.push(data[i])
+            position += 1 + control
+        }
+    }
+
+    return Uint8Array.from(output)
+}
+
+/**
+ * Finds the best gbcompress block that starts at a position
+ * @param {Uint8Array|Array<number>} data - Uncompressed data
+ * @param {number} position - Current position
+ * @param {Map} prefixes - Earlier positions by 3-byte prefix
+ * @returns {Object|null} { bytes, length } - encoded block and number of input bytes it covers
+ */
+const findGBBlock = (data, position, prefixes) => {
+    const byteRun = countByteRun(data, position, GB_MAX_LENGTH)
+
+    const wordCount = position + 1 < data.length
+        ? Array.from({ length: GB_MAX_LENGTH - 1 }, (_, i) => i + 1)
+            .find(count => !(data[position + count * 2] === data[position] &&
+                data[position + count * 2 + 1] === data[position + 1] &&
+                position + count * 2 + 1 < data.length)) || GB_MAX_LENGTH
+        : 0
+
+    const candidates = prefixes.get(`${data[position]},${data[position + 1]},${data[position + 2]}`) || []
+    const match = candidates
+        .filter(candidate => position - candidate <= GB_MAX_DISTANCE)
+        .map(candidate => {
+            const limit = Math.min(GB_MAX_LENGTH, data.length - position)
+            const mismatch = Array.from({ length: limit }, (_, i) => i).find(i => data[candidate + i] !== data[position + i])
+            return { distance: position - candidate, length: mismatch === undefined ? limit : mismatch }
+        })
+        .reduce((best, current) => (!best || current.length > best.length) ? current : best, null)
+
+    const options = [
+        byteRun >= 3 && { bytes: [GB_RLE_BYTE | (byteRun - 1), data[position]], length: byteRun },
+        wordCount >= 2 && {
+            bytes: [GB_RLE_WORD | (wordCount - 1), data[position], data[position + 1]],
+            length: wordCount * 2
+        },
+        match && match.length >= 4 && (() => {
+            const offset = (0x10000 - match.distance) & 0xFFFF
+            return { bytes: [GB_BACK_REFERENCE | (match.length - 1), offset & 0xFF, offset >> 8], length: match.length }
+        })()
+    ].filter(Boolean)
+
+    return options.reduce((best, option) =>
+        (!best || option.length - option.bytes.length > best.length - best.bytes.length) ? option : best, null)
+}
+
+/**
+ * Compresses data in the gbcompress format read by GBDK's gb_decompress. Every block starts
+ * with a byte whose top 2 bits select the type and low 6 bits hold the length - 1:
+ * 00 repeats the next byte, 01 repeats the next 2 bytes, 10 copies earlier output (16-bit
+ * little-endian negative offset) and 11 copies the following bytes. 0x00 ends the data.
+ * @param {Uint8Array|Array<number>} data - Uncompressed bytes
+ * @returns {Uint8Array} Compressed bytes
+ */
+const gbCompress = (data) => {
+    const prefixes = new Map()
+    const rememberPosition = (position) => {
+        if (position + 2 >= data.length) return
+        const key = `${data[position]},${data[position + 1]},${data[position + 2]}`
+        prefixes.set(key, [position, ...(prefixes.get(key) || [])].slice(0, GB_MATCH_CANDIDATES))
+    }
+    const literalHeader = length => GB_LITERAL | (length - 1)
+
+    const { output, literals } = Array.from(data).reduce((state, byte, position) => {
+        if (position < state.next) {
+            rememberPosition(position)
+            return state
+        }
+
+        const block = findGBBlock(data, position, prefixes)
+        rememberPosition(position)
+
+        if (!block) {
+            state.literals.push(byte)
+            return { ...state, next: position + 1 }
+        }
+
+        state.output.push(...encodeLiterals(state.literals, GB_MAX_LENGTH, literalHeader), ...block.bytes)
+        return { output: state.output, literals: [], next: position + block.length }
+    }, { output: [], literals: [], next: 0 })
+
+    return Uint8Array.from([...output, ...encodeLiterals(literals, GB_MAX_LENGTH, literalHeader), 0])
+}
+
+/**
+ * Decompresses gbcompress data the same way as GBDK's gb_decompress
+ * @param {Uint8Array|Array<number>} data - Compressed bytes
+ * @returns {Uint8Array} Uncompressed bytes
+ */
+const gbDecompress = (data) => {
+    const output = []
+    let position = 0
+
+    while (data[position] !== 0 && data[position] !== undefined) {
+        const command = data[position]
+        const length = (command & 0x3F) + 1
+        const type = command & 0xC0
+
+        if (type === GB_RLE_BYTE) {
+            for (let i = 0; i < length; i++) output.push(data[position + 1])
+            position += 2
+        } else if (type === GB_RLE_WORD) {
+            for (let i = 0; i < length; i++) output.push(data[position + 1], data[position + 2])
+            position += 3
+        } else if (type === GB_BACK_REFERENCE) {
+            const offset = data[position + 1] | (data[position + 2] << 8)
+            const start = output.length + offset - 0x10000
+            // Byte by byte, so a copy may overlap the bytes it writes
+            for (let i = 0; i < length; i++) output.push(output[start + i])
+            position += 3
+        } else {
+            const end = Math.min(position + 1 + length, data.length)
+            for (let i = position + 1; i < end; i++) output.push(data[i])
+            position += 1 + length
+        }
+    }
+
+    return Uint8Array.from(output)
+}
+
+/**
+ * Compresses data with one of COMPRESSION_MODES
+ * @param {Uint8Array|Array<number>} data - Uncompressed bytes
+ * @param {string} mode - 'none', 'rle' or 'gbcompress'
+ * @returns {Array<number>} Compressed bytes (the data itself for 'none')
+ */
+const compressData = (data, mode) => {
+    if (!COMPRESSION_MODES.includes(mode)) {
+        throw new Error(`Unknown compression "${mode}". Available modes: ${COMPRESSION_MODES.join(', ')}`)
+    }
+
+    if (mode === 'rle') return Array.from(rleCompress(data))
+    if (mode === 'gbcompress') return Array.from(gbCompress(data))
+    return Array.from(data)
+}
+
+/**
+ * Decompresses data written by compressData
+ * @param {Uint8Array|Array<number>} data - Compressed bytes
+ * @param {string} mode - 'none', 'rle' or 'gbcompress'
+ * @returns {Array<number>} Uncompressed bytes (the data itself for 'none')
+ */
+const decompressData = (data, mode) => {
+    if (!COMPRESSION_MODES.includes(mode)) {
+        throw new Error(`Unknown compression "${mode}". Available modes: ${COMPRESSION_MODES.join(', ')}`)
+    }
+
+    if (mode === 'rle') return Array.from(rleDecompress(data))
+    if (mode === 'gbcompress') return Array.from(gbDecompress(data))
+    return Array.from(data)
+}
+
+export {
+    COMPRESSION_MODES,
+    rleCompress,
+    rleDecompress,
+    gbCompress,
+    gbDecompress,
+    compressData,
+    decompressData
+}
@@ -0,0 +1,11 @@
+import { parentPort } from 'worker_threads'
+import { convertImage } from './gameboy-converter.js'
+
+// Worker of the batch conversion pool: runs convertImage for every { inputPath, options } task
+parentPort.on('message', async ({ task }) => {
+    try {
+        parentPort.postMessage({ result: await convertImage(task.inputPath, task.options) })
+    } catch (error) {
+        parentPort.postMessage({ error: error.message })
+    }
+})
@@ -0,0 +1,148 @@
+import { TILE_SIZE, BYTES_PER_TILE, decodeTile } from './tiles.js'
+import { spriteTileOrder } from './sprites.js'
+import { COMPRESSION_MODES, decompressData } from './compression.js'
+
+// Tiles per row when the width is not known
+const DEFAULT_WIDTH_IN_TILES = 16
+
+/**
+ * Parses the numeric constant arrays of a C source file (as written by generateGBDKCode).
+ * Arrays with other values (such as metasprites) are skipped.
+ * @param {string} source - C source code
+ * @returns {Object} Array values (Array<number>) by variable name, in source order
+ */
+const parseCArrays = (source) => {
+    const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '')
+    const arrayPattern = /(\w+)\s*\[[^\]]*\]\s*=\s*\{([^}]*)\}/g
+
+    return Object.fromEntries([...code.matchAll(arrayPattern)]
+        .map(([, name, body]) => [
+            name,
+            body.split(',')
+                .map(value => value.trim())
+                .filter(value => value !== '')
+                .map(value => Number(value.replace(/[uUlL]+$/, '')))
+        ])
+        .filter(([, numbers]) => numbers.every(Number.isInteger))
+    )
+}
+
+/**
+ * Parses the numeric #defines of a C source file
+ * @param {string} source - C source code
+ * @returns {Object} Values by macro name
+ */
+const parseCDefines = (source) => Object.fromEntries(
+    [...source.matchAll(/^\s*#define\s+(\w+)\s+(0x[0-9a-fA-F]+|\d+)\s*$/gm)]
+        .map(([, name, value]) => [name, Number(value)])
+)
+
+/**
+ * Finds the compression of an array from its comment, as written by generateGBDKCode:
+ * "// ... (rle compressed)" on the line above the array
+ * @param {string} source - C source code
+ * @param {string} name - Array name
+ * @returns {string} Compression mode ('none' without a compression note)
+ */
+const findCCompression = (source, name) => {
+    const notePattern = new RegExp(`\\((${COMPRESSION_MODES.join('|')}) compressed\\)[ \\t]*\\r?\\n[^\\n]*\\b${name}\\s*\\[`)
+    const match = source.match(notePattern)
+
+    return match ? match[1] : 'none'
+}
+
+/**
+ * Finds the tile data of a GBDK C file: the requested array, or the first array ending
+ * in _data or _tiles. A matching _map array and _TILE_WIDTH define are also returned.
+ * Compressed arrays (rle or gbcompress) are decompressed.
+ * @param {string} source - C source code
+ * @param {string} [arrayName] - Name of the tile data array
+ * @returns {Object} { name, tiles, map, widthInTiles } (map and widthInTiles may be null)
+ */
+const findCTileData = (source, arrayName) => {
+    const arrays = parseCArrays(source)
+    const defines = parseCDefines(source)
+    const name = arrayName || Object.keys(arrays).find(key => /_(data|tiles)$/.test(key))
+
+    if (!name || !arrays[name]) {
+        throw new Error(arrayName ? `Array "${arrayName}" not found` : 'No tile data array (*_data or *_tiles) found')
+    }
+
+    const baseName = name.replace(/_(data|tiles)$/, '')
+    const widthDefine = defines[`${baseName.toUpperCase()}_TILE_WIDTH`]
+    const compression = findCCompression(source, name)
+    const map = arrays[`${baseName}_map`]
+
+    if (compression === 'none' && defines[`${baseName.toUpperCase()}_COMPRESSED`]) {
+        throw new Error(`Array "${name}" is compressed but its compression (${COMPRESSION_MODES.slice(1).join(' or ')}) is not noted in its comment`)
+    }
+
+    return {
+        name,
+        tiles: decompressData(arrays[name], compression),
+        map: map ? decompressData(map, findCCompression(source, `${baseName}_map`)) : null,
+        widthInTiles: widthDefine === undefined ? null : widthDefine
+    }
+}
+
+/**
+ * Decodes 2bpp tile data into an indexed image
+ * @param {Uint8Array|Array<number>} tileData - Planar 2bpp data (16 bytes per tile)
+ * @param {Object} options - Decoding options
+ * @param {Array<number>} options.tileMap - Tile ID of every tile of the image, row by row.
+ *   Without a map the tiles are drawn in order.
+ * @param {number} options.widthInTiles - Image width in tiles (default: 16, or fewer tiles)
+ * @param {string} options.spriteSize - '8x16' undoes the 8x16 sprite tile order (default: '8x8')
+ * @returns {Object} { width, height, indices } - indices holds the palette index of every pixel
+ */
+const decodeTileData = (tileData, options = {}) => {
+    if (tileData.length % BYTES_PER_TILE !== 0) {
+        throw new Error(`Tile data must be a multiple of ${BYTES_PER_TILE} bytes (got ${tileData.length})`)
+    }
+
+    const invalidByte = Array.from(tileData).find(byte => !(byte >= 0 && byte <= 255))
+    if (invalidByte !== undefined) {
+        throw new Error(`Tile data must contain bytes (got ${invalidByte})`)
+    }
+
+    const tileCount = tileData.length / BYTES_PER_TILE
+    const { spriteSize = '8x8' } = options
+    const widthInTiles = options.widthInTiles || Math.max(1, Math.min(tileCount, DEFAULT_WIDTH_IN_TILES))
+    const rowsPerStep = spriteSize === '8x16' ? 2 : 1
+    const heightInTiles = options.tileMap
+        ? Math.ceil(options.tileMap.length / widthInTiles)
+        : Math.ceil(tileCount / (widthInTiles * rowsPerStep)) * rowsPerStep
+
+    const tileMap = options.tileMap || (() => {
+        const vramIndexByTile = new Map(
+            spriteTileOrder(widthInTiles, heightInTiles, spriteSize).map((tileIndex, vramIndex) => [tileIndex, vramIndex])
+        )
+        return Array.from({ length: widthInTiles * heightInTiles }, (_, tileIndex) => vramIndexByTile.get(tileIndex))
+    })()
+
+    const missingTile = tileMap.find(tileId => tileId >= tileCount)
+    if (options.tileMap && missingTile !== undefined) {
+        throw new Error(`Tile map references tile ${missingTile} but only ${tileCount} tiles were found`)
+    }
+
+    const decodedTiles = Array.from({ length: tileCount }, (_, tileIndex) => decodeTile(tileData, tileIndex * BYTES_PER_TILE))
+    const width = widthInTiles * TILE_SIZE
+    const height = heightInTiles * TILE_SIZE
+
+    const indices = Uint8Array.from({ length: width * height }, (_, pixelIndex) => {
+        const x = pixelIndex % width
+        const y = Math.floor(pixelIndex / width)
+        const tile = decodedTiles[tileMap[Math.floor(y / TILE_SIZE) * widthInTiles + Math.floor(x / TILE_SIZE)]]
+
+        return tile ? tile[(y % TILE_SIZE) * TILE_SIZE + (x % TILE_SIZE)] : 0
+    })
+
+    return { width, height, indices }
+}
+
+export {
+    parseCArrays,
+    parseCDefines,
+    findCTileData,
+    decodeTileData
+}
@@ -0,0 +1,163 @@
+// Error diffusion kernels: [dx, dy, weight] entries relative to the current pixel
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        entries: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    atkinson: {
+        divisor: 8,
+        entries: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    sierra: {
+        divisor: 32,
+        entries: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+}
+
+/**
+ * Builds a Bayer threshold matrix of the given size (power of 2)
+ * @param {number} size - Matrix size (2, 4 or 8)
+ * @returns {Array<Array<number>>} Matrix with values 0 to size² - 1
+ */
+const createBayerMatrix = (size) => {
+    if (size === 1) return [[0]]
+
+    const half = createBayerMatrix(size / 2)
+    const quadrantOffsets = [[0, 2], [3, 1]]
+
+    return Array.from({ length: size }, (_, y) =>
+        Array.from({ length: size }, (_, x) =>
+            4 * half[y % (size / 2)][x % (size / 2)] +
+            quadrantOffsets[Math.floor(y / (size / 2))][Math.floor(x / (size / 2))]
+        )
+    )
+}
+
+const BAYER_MATRICES = {
+    bayer2: createBayerMatrix(2),
+    bayer4: createBayerMatrix(4),
+    bayer8: createBayerMatrix(8)
+}
+
+const DITHER_MODES = ['none', ...Object.keys(ERROR_DIFFUSION_KERNELS), ...Object.keys(BAYER_MATRICES)]
+
+const clampChannel = (value) => Math.min(255, Math.max(0, value))
+
+/**
+ * Error diffusion dithering. The quantization error of each pixel is spread to its
+ * unprocessed neighbours, so a working copy of the color channels is kept.
+ * Fully transparent pixels don't spread any error.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Object>} palette - Palette of RGB colors
+ * @param {Function} findColorIndex - (r, g, b, pixelIndex) => index of the closest palette color
+ * @param {Object} kernel - Entry of ERROR_DIFFUSION_KERNELS
+ * @param {number} strength - Fraction of the error that is spread (0-1)
+ * @param {Function} paletteAt - pixelIndex => palette used for that pixel
+ * @returns {Uint8Array} Palette index of every pixel
+ */
+const diffuseError = (data, width, height, palette, findColorIndex, kernel, strength, paletteAt) => {
+    const channels = new Float32Array(width * height * 3).map((_, i) => data[Math.floor(i / 3) * 4 + (i % 3)])
+    const indices = new Uint8Array(width * height)
+    const entries = kernel.entries.map(([dx, dy, weight]) => ({ dx, dy, factor: (weight / kernel.divisor) * strength }))
+
+    indices.forEach((_, pixelIndex) => {
+        const x = pixelIndex % width
+        const y = (pixelIndex - x) / width
+        const r = clampChannel(channels[pixelIndex * 3])
+        const g = clampChannel(channels[pixelIndex * 3 + 1])
+        const b = clampChannel(channels[pixelIndex * 3 + 2])
+        const colorIndex = findColorIndex(Math.round(r), Math.round(g), Math.round(b), pixelIndex)
+        const color = paletteAt(pixelIndex)[colorIndex]
+
+        indices[pixelIndex] = colorIndex
+
+        if (data[pixelIndex * 4 + 3] === 0) return
+
+        const [redError, greenError, blueError] = [r - color.r, g - color.g, b - color.b]
+
+        entries.forEach(({ dx, dy, factor }) => {
+            if (x + dx < 0 || x + dx >= width || y + dy >= height) return
+
+            const neighbourIndex = ((y + dy) * width + x + dx) * 3
+            channels[neighbourIndex] += redError * factor
+            channels[neighbourIndex + 1] += greenError * factor
+            channels[neighbourIndex + 2] += blueError * factor
+        })
+    })
+
+    return indices
+}
+
+/**
+ * Ordered (Bayer) dithering. Each pixel is offset by its threshold in the matrix,
+ * scaled to the average distance between palette shades.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Object>} palette - Palette of RGB colors
+ * @param {Function} findColorIndex - (r, g, b, pixelIndex) => index of the closest palette color
+ * @param {Array<Array<number>>} matrix - Entry of BAYER_MATRICES
+ * @param {number} strength - Scale of the threshold offsets (0-1)
+ * @returns {Uint8Array} Palette index of every pixel
+ */
+const orderedDither = (data, width, height, palette, findColorIndex, matrix, strength) => {
+    const size = matrix.length
+    const spread = (256 / palette.length) * strength
+
+    return new Uint8Array(width * height).map((_, pixelIndex) => {
+        const x = pixelIndex % width
+        const y = Math.floor(pixelIndex / width)
+        const offset = ((matrix[y % size][x % size] + 0.5) / (size * size) - 0.5) * spread
+        const [r, g, b] = [0, 1, 2].map(c => Math.round(clampChannel(data[pixelIndex * 4 + c] + offset)))
+
+        return findColorIndex(r, g, b, pixelIndex)
+    })
+}
+
+/**
+ * Maps every pixel to a palette index applying the selected dithering mode
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - Dithering options
+ * @param {Array<Object>} options.palette - Palette of RGB colors
+ * @param {Function} options.findColorIndex - (r, g, b, pixelIndex) => index of the closest palette color
+ * @param {string} options.mode - One of DITHER_MODES (default: 'none')
+ * @param {number} options.strength - Dithering strength from 0 to 1 (default: 1)
+ * @param {Function} options.paletteAt - pixelIndex => palette of that pixel, for images that
+ *   use more than one palette (default: always options.palette)
+ * @returns {Uint8Array} Palette index of every pixel
+ */
+const ditherImage = (data, width, height, options) => {
+    const { palette, findColorIndex, mode = 'none', strength = 1, paletteAt = () => palette } = options
+
+    if (!DITHER_MODES.includes(mode)) {
+        throw new Error(`Unknown dithering mode "${mode}". Available modes: ${DITHER_MODES.join(', ')}`)
+    }
+
+    if (mode in ERROR_DIFFUSION_KERNELS) {
+        return diffuseError(data, width, height, palette, findColorIndex, ERROR_DIFFUSION_KERNELS[mode], strength, paletteAt)
+    }
+
+    if (mode in BAYER_MATRICES) {
+        return orderedDither(data, width, height, palette, findColorIndex, BAYER_MATRICES[mode], strength)
+    }
+
+    return new Uint8Array(width * height).map((_, pixelIndex) =>
+        findColorIndex(data[pixelIndex * 4], data[pixelIndex * 4 + 1], data[pixelIndex * 4 + 2], pixelIndex)
+    )
+}
+
+export {
+    DITHER_MODES,
+    ERROR_DIFFUSION_KERNELS,
+    BAYER_MATRICES,
+    createBayerMatrix,
+    ditherImage
+}
@@ -0,0 +1,96 @@
+import { TILE_SIZE } from './tiles.js'
+
+// Printable ASCII characters, the default character list of font mode
+const DEFAULT_CHARSET = "' '..'~'"
+
+// Highest character code of the lookup table (8-bit character sets)
+const MAX_CHAR_CODE = 255
+
+/**
+ * Parses the character list of a font. A range like "' '..'~'" or "A..Z" lists every
+ * character between both ends, any other string lists its characters in order.
+ * @param {string|Array<string>} charset - Range, string or array of characters
+ * @returns {Array<string>} Characters in glyph order
+ */
+const parseCharset = (charset = DEFAULT_CHARSET) => {
+    const range = typeof charset === 'string' && /^(?:'(.)'|(.))\.\.(?:'(.)'|(.))$/u.exec(charset)
+    const characters = range
+        ? (() => {
+            const first = (range[1] || range[2]).codePointAt(0)
+            const last = (range[3] || range[4]).codePointAt(0)
+
+            if (last < first) {
+                throw new Error(`Invalid character range "${charset}": the last character comes before the first one`)
+            }
+
+            return Array.from({ length: last - first + 1 }, (_, i) => String.fromCodePoint(first + i))
+        })()
+        : Array.from(charset)
+
+    if (characters.length === 0) {
+        throw new Error('The character list is empty')
+    }
+
+    const invalidCharacter = characters.find(character => character.codePointAt(0) > MAX_CHAR_CODE)
+    if (invalidCharacter !== undefined) {
+        throw new Error(`Character "${invalidCharacter}" is out of the 8-bit range (0-${MAX_CHAR_CODE})`)
+    }
+
+    const repeatedCharacter = characters.find((character, index) => characters.indexOf(character) !== index)
+    if (repeatedCharacter !== undefined) {
+        throw new Error(`Character "${repeatedCharacter}" appears more than once`)
+    }
+
+    return characters
+}
+
+/**
+ * Builds the lookup table from character code to glyph tile index. Characters that are not
+ * in the font use the space glyph if there is one, otherwise glyph 0.
+ * @param {Array<string>} characters - Characters in glyph order
+ * @returns {Array<number>} Tile index of every character code from 0 to the highest one
+ */
+const buildCharMap = (characters) => {
+    const codes = characters.map(character => character.codePointAt(0))
+    const fallback = Math.max(characters.indexOf(' '), 0)
+
+    return Array.from({ length: Math.max(...codes) + 1 }, (_, code) => {
+        const glyph = codes.indexOf(code)
+        return glyph === -1 ? fallback : glyph
+    })
+}
+
+/**
+ * Measures the width of every glyph for variable-width text: from the left edge of the
+ * cell to the last column that has a pixel other than color 0. Empty glyphs (such as
+ * the space) are half a tile wide.
+ * @param {Uint8Array} indices - Palette index of every pixel of the font sheet
+ * @param {number} width - Sheet width in pixels
+ * @param {number} height - Sheet height in pixels
+ * @param {number} glyphCount - Number of glyphs (8x8 cells, row by row)
+ * @returns {Array<number>} Width of every glyph in pixels (1-8)
+ */
+const measureGlyphWidths = (indices, width, height, glyphCount) => {
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+
+    return Array.from({ length: glyphCount }, (_, glyph) => {
+        const originX = (glyph % tileWidth) * TILE_SIZE
+        const originY = Math.floor(glyph / tileWidth) * TILE_SIZE
+        const isInked = (column) => Array.from({ length: TILE_SIZE }).some((_, row) => {
+            const x = originX + column
+            const y = originY + row
+            return x < width && y < height && indices[y * width + x] !== 0
+        })
+        const lastColumn = Array.from({ length: TILE_SIZE }, (_, column) => column).filter(isInked).pop()
+
+        return lastColumn === undefined ? TILE_SIZE / 2 : lastColumn + 1
+    })
+}
+
+export {
+    DEFAULT_CHARSET,
+    MAX_CHAR_CODE,
+    parseCharset,
+    buildCharMap,
+    measureGlyphWidths
+}
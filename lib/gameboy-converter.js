@@ -1,31 +1,53 @@
-import { createCanvas, loadImage } from 'canvas'
+import { createCanvas, ImageData } from 'canvas'
 import fs from 'fs'
 import path from 'path'
+import { PALETTES, parseColor, resolvePalette, loadPaletteFile, colorToHex } from './palettes.js'
+import { DITHER_MODES, ditherImage } from './dithering.js'
+import { COLOR_MATCH_MODES, DEFAULT_COLOR_MATCH, colorDistance, getColorDistance, findClosestIndex, createColorLookup } from './color-matching.js'
+import { TILE_SIZE, BYTES_PER_TILE, encodeTiles, deduplicateTiles } from './tiles.js'
+import { formatCArray, formatPaletteArray, formatMetaspriteArray, formatPointerArray } from './gbdk-code.js'
+import { CGB_MAX_PALETTES, CGB_COLORS_PER_PALETTE, toRGB555, snapToRGB555, quantizeCGB, matchTilePalettes, tilePaletteAt } from './cgb.js'
+import { DEFAULT_ALPHA_THRESHOLD, applyTransparency } from './transparency.js'
+import { SPRITE_SIZES, spriteTileOrder, buildMetasprite, createEmptyTile } from './sprites.js'
+import { buildBinaryFiles } from './binary-export.js'
+import { formatAsmLabel, formatSection, formatAsmInclude } from './rgbds-code.js'
+import { findCTileData, decodeTileData } from './decoder.js'
+import { COMPRESSION_MODES, compressData } from './compression.js'
+import { loadSheetFile, resolveSheetOptions, resolveSheetLayout, buildSpriteSheet } from './spritesheet.js'
+import { parseCharset, buildCharMap, measureGlyphWidths } from './font.js'
+import { INPUT_FORMATS, detectImageFormat, readFrameSize, decodeImage } from './image-input.js'
+import { encodeIndexedPNG, decodeIndexedPNG } from './png.js'
+import { parseColorMap, indexExactColors, formatOffPalettePixels } from './color-map.js'
+import { resolvePreviewOptions, renderPreview } from './preview.js'
+import { buildHTMLReport } from './report.js'
+import { resolvePreprocessOptions, preprocessImage } from './preprocess.js'
+import { resolveAdjustments, parseThresholds, adjustImage, thresholdIndex } from './adjustments.js'
+import { createValidation, mergeValidations, validateCGBConversion, validateAsset, getStrictError, formatValidation } from './validation.js'
 
 // Game Boy color palette (4 shades of green)
-const GAMEBOY_PALETTE = [
-    { r: 155, g: 188, b: 15 },   // Lightest green
-    { r: 139, g: 172, b: 15 },   // Light green
-    { r: 48, g: 98, b: 48 },     // Dark green
-    { r: 15, g: 56, b: 15 }      // Darkest green
-]
+const GAMEBOY_PALETTE = PALETTES.dmg
 
-/**
- * Calculates the Euclidean distance between two RGB colors
- * @param {Object} color1 - RGB color {r, g, b}
- * @param {Object} color2 - RGB color {r, g, b}
- * @returns {number} Euclidean distance
- */
-const colorDistance = (color1, color2) => {
-    const redDistance = color1.r - color2.r
-    const greenDistance = color1.g - color2.g
-    const blueDistance = color1.b - color2.b
-
-    return Math.sqrt(
-        redDistance * redDistance + 
-        greenDistance * greenDistance + 
-        blueDistance * blueDistance
-    )
+// Code generation modes
+const OUTPUT_MODES = ['tiles', 'background', 'sprite', 'sheet', 'font']
+
+// Modes whose color 0 is transparent
+const SPRITE_MODES = ['sprite', 'sheet']
+
+// Target hardware: original Game Boy (DMG) or Game Boy Color (CGB)
+const TARGETS = ['dmg', 'cgb']
+
+// Generated file formats: GBDK C code, rgbgfx-compatible binary files and RGBDS assembly
+const OUTPUT_FORMATS = ['c', 'bin', 'asm']
+
+// Highest ROM bank number (MBC5)
+const MAX_ROM_BANK = 511
+
+// Verbose messages of the generated files by extension (other extensions are binary files)
+const GENERATED_FILE_LABELS = {
+    '.c': '🎮 GBDK code generated',
+    '.h': '📄 GBDK header generated',
+    '.asm': '🧾 RGBDS file generated',
+    '.inc': '🧾 RGBDS file generated'
 }
 
 /**
@@ -33,96 +55,412 @@ const colorDistance = (color1, color2) => {
  * @param {number} r - Red component (0-255)
  * @param {number} g - Green component (0-255)
  * @param {number} b - Blue component (0-255)
+ * @param {Array<Object>} palette - Palette of 4 RGB colors (default: GAMEBOY_PALETTE)
+ * @param {string} colorMatch - Color matching strategy (see COLOR_MATCH_MODES, default: 'rgb')
  * @returns {Object} Closest color {r, g, b}
  */
-const findClosestGameBoyColor = (r, g, b) => {
-    return GAMEBOY_PALETTE.reduce((closest, paletteColor) => {
-        const currentDistance = colorDistance({ r, g, b }, paletteColor)
-        const closestDistance = colorDistance({ r, g, b }, closest)
-        
-        return currentDistance < closestDistance ? paletteColor : closest
-    })
-}
+const findClosestGameBoyColor = (r, g, b, palette = GAMEBOY_PALETTE, colorMatch = DEFAULT_COLOR_MATCH) =>
+    palette[findClosestIndex({ r, g, b }, palette, getColorDistance(colorMatch))]
 
 /**
  * Converts Game Boy colors to 2-bit values for GBDK
  * @param {number} r - Red component
  * @param {number} g - Green component
  * @param {number} b - Blue component
- * @returns {number} 2-bit value (0-3)
+ * @param {Array<Object>} palette - Palette of 4 RGB colors (default: GAMEBOY_PALETTE)
+ * @returns {number} 2-bit value (0-3), the position of the color in the palette, or 0 for
+ *   colors that are not in the palette (see indexExactColors to reject them)
+ */
+const colorToGBDKValue = (r, g, b, palette = GAMEBOY_PALETTE) => {
+    // Map palette colors to 2-bit values (0-3)
+    const value = palette.findIndex(color => color.r === r && color.g === g && color.b === b)
+    return value === -1 ? 0 : value // Default
+}
+
+/**
+ * Encodes RGBA pixels as a PNG image
+ * @param {Object} image - { width, height, data }
+ * @returns {Buffer} PNG file contents
  */
-const colorToGBDKValue = (r, g, b) => {
-    // Map Game Boy colors to 2-bit values (0-3)
-    if (r === 155 && g === 188 && b === 15) return 0 // Lightest green
-    if (r === 139 && g === 172 && b === 15) return 1 // Light green  
-    if (r === 48  && g === 98  && b === 48) return 2 // Dark green
-    if (r === 15  && g === 56  && b === 15) return 3 // Darkest green
-    return 0 // Default
+const encodePNG = ({ width, height, data }) => {
+    const canvas = createCanvas(width, height)
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0)
+    return canvas.toBuffer('image/png')
 }
 
 /**
- * Converts a PNG image to Game Boy palette
+ * Encodes a converted image as a palette-indexed PNG: 2 bits per pixel with the 4 palette
+ * colors, or on the CGB 8 bits per pixel with every palette (palette * 4 + color). Color 0
+ * of every palette is transparent in sprite modes.
+ * @param {Object} image - Indexed image as returned by convertImageData
+ * @returns {Buffer} PNG file contents
+ */
+const encodeConvertedPNG = ({ width, height, indices, palette, palettes, tilePalettes, target, mode }) => {
+    const pngPalettes = target === 'cgb' ? palettes : [palette]
+
+    return encodeIndexedPNG({
+        width,
+        height,
+        indices: target === 'cgb'
+            ? indices.map((colorIndex, pixelIndex) =>
+                tilePaletteAt(tilePalettes, width, pixelIndex) * CGB_COLORS_PER_PALETTE + colorIndex)
+            : indices,
+        palette: pngPalettes.flat(),
+        transparentIndices: SPRITE_MODES.includes(mode)
+            ? pngPalettes.map((_, paletteIndex) => paletteIndex * CGB_COLORS_PER_PALETTE)
+            : []
+    })
+}
+
+/**
+ * Converts RGBA pixels to Game Boy palette, without touching the filesystem
+ * @param {Object} imageData - ImageData-like object { width, height, data: RGBA pixels }
+ * @param {Object} options - Conversion options
+ * @param {string|Array} options.palette - Output palette (preset name, JSON file or 4 colors)
+ * @param {string} options.dither - Dithering mode (see DITHER_MODES, default: 'none')
+ * @param {number} options.ditherStrength - Dithering strength from 0 to 1 (default: 1)
+ * @param {string} options.colorMatch - Color matching strategy (see COLOR_MATCH_MODES, default: 'rgb')
+ * @param {string} options.target - 'dmg' (default) or 'cgb' (up to 8 palettes of 4 colors, one per tile)
+ * @param {number} options.maxPalettes - Maximum number of CGB palettes (1-8, default: 8)
+ * @param {string} options.mode - 'sprite' and 'sheet' make transparent pixels color 0 and map
+ *   visible pixels to colors 1-3 only. Other modes convert every pixel.
+ * @param {number} options.alphaThreshold - Sprite pixels with a lower alpha are transparent (default: 128)
+ * @param {string|Array|Object} options.transparentColor - Sprite key color that is also transparent
+ * @param {boolean} options.strict - Throw if the conversion breaks a hardware limit (see validation)
+ * @param {boolean} options.exact - Pixels must already use the palette colors (on the CGB,
+ *   the colors of their tile palette): they are mapped by exact color instead of the closest
+ *   one, without dithering
+ * @param {string|Object} options.colorMap - Palette index of every color of the image (see
+ *   parseColorMap), for art drawn in fixed colors. Implies exact colors (DMG only).
+ * @param {string|Object} options.crop - Rectangle of the image to keep: 'x,y,width,height'
+ *   or { x, y, width, height }
+ * @param {string|Object} options.resize - Size to resize to: 'screen' (160x144), 'WIDTHxHEIGHT'
+ *   or { width, height }
+ * @param {string} options.fit - How the image fits the resize size: 'fit' (default, whole
+ *   image with background bars), 'fill' (cropped to cover it) or 'stretch'
+ * @param {string} options.resample - Resampling: 'area' (default, area average) or 'nearest'
+ * @param {boolean} options.pad - Pad the width and height to a multiple of 8
+ * @param {number} options.backgroundIndex - Palette index (0-3) of the padding and the fit
+ *   bars (default: 0, transparent in sprite modes)
+ * @param {number} options.brightness - Brightness adjustment from -1 to 1 (default: 0)
+ * @param {number} options.contrast - Contrast adjustment from -1 to 1 (default: 0)
+ * @param {number} options.gamma - Gamma from 0.1 to 10, above 1 brightens the midtones (default: 1)
+ * @param {boolean} options.autoLevels - Stretch the luminance range of the image to 0-255
+ * @param {string|Array<number>} options.thresholds - 3 ascending luminance cut-offs (0-255)
+ *   that choose the shade of every pixel instead of the closest color: index 3 below the
+ *   first one, 0 from the last one (DMG only)
+ * @returns {Object} Indexed image { width, height, indices, data, palette, validation, ... } -
+ *   indices holds the palette index (0-3) of every pixel and data the converted RGBA pixels.
+ *   On the CGB, palettes and tilePalettes hold the generated palettes and the palette of
+ *   every tile. validation holds the { errors, warnings } of the CGB color limits. With exact
+ *   colors, offPalettePixels lists the pixels that match no color (mapped to index 0).
+ *   Preprocessed images have the sourceWidth and sourceHeight of the input and the content
+ *   rectangle { x, y, width, height } of the image (the rest is background). The resolved
+ *   adjustments and thresholds are returned when used.
+ */
+const convertImageData = (imageData, options = {}) => {
+    const {
+        dither = 'none',
+        ditherStrength = 1,
+        colorMatch = DEFAULT_COLOR_MATCH,
+        target = 'dmg',
+        maxPalettes = CGB_MAX_PALETTES,
+        mode = 'tiles',
+        alphaThreshold = DEFAULT_ALPHA_THRESHOLD,
+        transparentColor
+    } = options
+    const isSprite = SPRITE_MODES.includes(mode)
+    const palette = resolvePalette(options.palette)
+    const colorMap = parseColorMap(options.colorMap)
+    const preprocessing = resolvePreprocessOptions(options)
+    const adjustments = resolveAdjustments(options)
+    const thresholds = parseThresholds(options.thresholds)
+    
+    if (colorMap && target === 'cgb') {
+        throw new Error('A color map can only be used with the dmg target')
+    }
+    
+    if (thresholds && target === 'cgb') {
+        throw new Error('Thresholds can only be used with the dmg target')
+    }
+    
+    if ((adjustments || thresholds) && (options.exact || colorMap)) {
+        throw new Error('Adjustments and thresholds cannot be combined with exact colors')
+    }
+    
+    // Crop, resize and pad before the palette mapping. The background pixels are drawn in
+    // the background color and get the background index after the mapping.
+    const image = preprocessing
+        ? preprocessImage(imageData, preprocessing, {
+            ...palette[preprocessing.backgroundIndex],
+            a: isSprite && preprocessing.backgroundIndex === 0 ? 0 : 255
+        })
+        : imageData
+    const { width, height } = image
+    const content = image.content || null
+    const isBackground = (pixelIndex) => content !== null && !(
+        pixelIndex % width >= content.x && pixelIndex % width < content.x + content.width &&
+        Math.floor(pixelIndex / width) >= content.y && Math.floor(pixelIndex / width) < content.y + content.height
+    )
+    
+    // Sprites: transparent pixels get alpha 0, visible pixels alpha 255 (before the
+    // adjustments, which would change the key color)
+    const visibleData = isSprite
+        ? applyTransparency(image.data, { alphaThreshold, transparentColor })
+        : image.data
+    const data = adjustments
+        ? adjustImage(visibleData, adjustments, pixelIndex => !isBackground(pixelIndex))
+        : visibleData
+    
+    // On the CGB every 8x8 tile uses one of up to 8 generated palettes
+    const quantization = target === 'cgb'
+        ? quantizeCGB(data, width, height, { maxPalettes, colorMatch, transparent: isSprite })
+        : null
+    const { palettes, tilePalettes } = quantization || { palettes: [palette], tilePalettes: null }
+    const validation = quantization
+        ? validateCGBConversion(quantization, { maxPalettes, transparent: isSprite })
+        : createValidation()
+    const strictError = options.strict && getStrictError(validation)
+    
+    if (strictError) {
+        throw new Error(strictError)
+    }
+    
+    const paletteAt = target === 'cgb'
+        ? (pixelIndex) => palettes[tilePaletteAt(tilePalettes, width, pixelIndex)]
+        : () => palette
+    
+    // Exact colors: every pixel must already use a palette (or color map) color
+    const exactColors = (options.exact || colorMap) && indexExactColors(data, width, height, {
+        paletteAt,
+        colorMap,
+        transparent: isSprite,
+        snap: target === 'cgb' ? snapToRGB555 : undefined
+    })
+    
+    // Map each pixel to a palette index (with the selected dithering mode). Every distinct
+    // color is only matched once per palette. Thresholds pick the shade by luminance instead.
+    const findColorIndex = thresholds
+        ? (r, g, b, _, firstIndex) => thresholdIndex(r, g, b, thresholds, firstIndex)
+        : createColorLookup(colorMatch)
+    const mappedIndices = exactColors ? exactColors.indices : ditherImage(data, width, height, {
+        palette,
+        paletteAt,
+        mode: dither,
+        strength: ditherStrength,
+        findColorIndex: (r, g, b, pixelIndex) => (isSprite && data[pixelIndex * 4 + 3] === 0)
+            ? 0
+            : findColorIndex(r, g, b, paletteAt(pixelIndex), isSprite ? 1 : 0)
+    })
+    const indices = content
+        ? mappedIndices.map((colorIndex, pixelIndex) => isBackground(pixelIndex) ? preprocessing.backgroundIndex : colorIndex)
+        : mappedIndices
+    
+    // Convert each pixel to Game Boy palette, keeping the original alpha (explicit for sprites,
+    // where color 0 is transparent also when a color map assigns it to a visible color)
+    const convertedData = new Uint8ClampedArray(width * height * 4)
+    indices.forEach((colorIndex, pixelIndex) => {
+        const gameBoyColor = paletteAt(pixelIndex)[colorIndex]
+        const offset = pixelIndex * 4
+
+        convertedData[offset] = gameBoyColor.r
+        convertedData[offset + 1] = gameBoyColor.g
+        convertedData[offset + 2] = gameBoyColor.b
+        convertedData[offset + 3] = isSprite && colorIndex === 0 ? 0 : data[offset + 3]
+    })
+    
+    return {
+        width,
+        height,
+        indices,
+        data: convertedData,
+        target,
+        palette,
+        ...(target === 'cgb' && { palettes, tilePalettes }),
+        dither: exactColors ? 'none' : dither,
+        colorMatch,
+        mode,
+        validation,
+        ...(exactColors && {
+            offPalettePixels: exactColors.offPalettePixels.filter(({ x, y }) => !isBackground(y * width + x))
+        }),
+        ...(content && { sourceWidth: imageData.width, sourceHeight: imageData.height, content }),
+        ...(adjustments && { adjustments }),
+        ...(thresholds && { thresholds })
+    }
+}
+
+/**
+ * Converts an image file in memory: image contents in, converted PNG out. The input can be
+ * a PNG, JPEG, BMP, GIF or Aseprite image (detected by content); the frames of animated
+ * images are laid out in a horizontal strip.
+ * @param {Buffer} buffer - Image file contents
+ * @param {Object} options - Conversion options (see convertImageData)
+ * @param {Array<string>} options.layers - Aseprite layers to draw (default: the visible ones)
+ * @param {boolean} options.indexed - Write a palette-indexed PNG (color type 3) instead of
+ *   an RGBA one, so the palette indices can be read back directly (see encodeConvertedPNG)
+ * @returns {Promise<Object>} Indexed image (see convertImageData) with the PNG contents in
+ *   buffer, the input format and, for animated images, frames with the frame size, frame
+ *   count and animations
+ */
+const convertBuffer = async (buffer, options = {}) => {
+    const image = await decodeImage(buffer, { layers: options.layers })
+
+    // The frames of animated images are laid out in a strip, which would be resized as a whole
+    if (image.frames && resolvePreprocessOptions(options)) {
+        throw new Error('Cropping, resizing and padding are not supported for animated images')
+    }
+
+    const converted = convertImageData(image, options)
+
+    return {
+        ...converted,
+        format: image.format,
+        frames: image.frames,
+        buffer: options.indexed ? encodeConvertedPNG(converted) : encodePNG(converted)
+    }
+}
+
+/**
+ * Writes the upscaled preview and the HTML report of a conversion next to the converted image
+ * @param {string} inputPath - Input file path
+ * @param {Buffer} inputBuffer - Input file contents
+ * @param {string} outputPath - Converted PNG path
+ * @param {Object} converted - Converted image (see convertBuffer)
+ * @param {Object} options - Conversion options with preview, report and the code options
+ *   used to check the hardware limits in the report
+ * @returns {Promise<Object>} { previewPath, reportPath } - null for the files not written
+ */
+const writeReviewFiles = async (inputPath, inputBuffer, outputPath, converted, options) => {
+    const previewOptions = resolvePreviewOptions(options.preview)
+    const parsedPath = path.parse(outputPath)
+    const previewPath = previewOptions ? path.join(parsedPath.dir, `${parsedPath.name}_preview.png`) : null
+    const reportPath = options.report ? path.join(parsedPath.dir, `${parsedPath.name}_report.html`) : null
+
+    previewPath && fs.writeFileSync(previewPath, renderPreview(converted, previewOptions))
+
+    if (reportPath) {
+        // The report shows the tile grid and the duplicate tiles unless a preview was configured
+        const reportPreview = previewOptions || { ...resolvePreviewOptions(true), grid: true, duplicates: true }
+        const source = await decodeImage(inputBuffer, { layers: options.layers })
+
+        // Hardware limits of the code the image generates (conversion limits only if the code options are invalid)
+        const validation = (() => {
+            try {
+                return generateCode(converted, { ...options, outputFormats: [], strict: false }).validation
+            } catch (error) {
+                return converted.validation
+            }
+        })()
+
+        fs.writeFileSync(reportPath, buildHTMLReport({
+            title: path.basename(inputPath),
+            image: converted,
+            images: {
+                original: encodePNG(source),
+                converted: converted.buffer,
+                preview: renderPreview(converted, reportPreview)
+            },
+            scale: reportPreview.scale,
+            validation,
+            source
+        }))
+    }
+
+    return { previewPath, reportPath }
+}
+
+/**
+ * Converts an image to Game Boy palette. The input can be a PNG, JPEG, BMP, GIF or Aseprite
+ * file (detected by content); the frames of animated images are laid out in a horizontal strip.
  * @param {string} inputPath - Input file path
- * @param {string} outputPath - Output file path
- * @param {Object} options - Additional options
+ * @param {string} outputPath - Output PNG file path
+ * @param {Object} options - Additional options (see convertImageData and convertBuffer)
  * @param {boolean} options.verbose - Show detailed information
- * @returns {Promise<Object>} Information about the conversion
+ * @param {boolean} options.strict - Fail without writing the image if it breaks a hardware limit
+ * @param {boolean|Object} options.preview - Also write a nearest-neighbor upscaled preview
+ *   (<output>_preview.png): true or { scale, grid, labels, duplicates } (see renderPreview)
+ * @param {boolean} options.report - Also write a standalone HTML report (<output>_report.html)
+ *   with the original and converted images, tile statistics and hardware limit issues. The
+ *   code options (mode, spriteSize, sheet and font options) are used to check the limits.
+ * @returns {Promise<Object>} Information about the conversion (frames holds the frame size,
+ *   frame count and animations of animated images, validation the hardware limit issues,
+ *   previewPath and reportPath the review files). With exact colors, images with
+ *   off-palette pixels fail and list them in offPalettePixels.
  */
 const convertToGameBoy = async (inputPath, outputPath, options = {}) => {
-    const { verbose = true } = options
+    const { verbose = true, strict = false } = options
     
     try {
-        // Load the image
-        const image = await loadImage(inputPath)
+        const inputBuffer = fs.readFileSync(inputPath)
+        const converted = await convertBuffer(inputBuffer, { ...options, strict: false })
+        const { width, height, frames, target, palettes, validation } = converted
         
-        verbose && console.log(`📏 Processing ${image.width}x${image.height} pixel image`)
+        verbose && converted.content && console.log(`📐 Preprocessed from ${converted.sourceWidth}x${converted.sourceHeight} pixels`)
+        verbose && console.log(`📏 Processing ${width}x${height} pixel image`)
+        verbose && frames && console.log(`🎞️  Frames extracted: ${frames.frameCount} (${frames.frameWidth}x${frames.frameHeight})`)
+        verbose && target === 'cgb' && console.log(`🌈 CGB palettes generated: ${palettes.length}`)
+        verbose && formatValidation(validation).forEach(line => console.log(line))
         
-        // Create canvas to process the image (use original size)
-        const canvas = createCanvas(image.width, image.height)
-        const ctx    = canvas.getContext('2d')
-        
-        // Draw the original image
-        ctx.drawImage(image, 0, 0)
-        
-        // Get pixel data (use original dimensions)
-        const imageData = ctx.getImageData(0, 0, image.width, image.height)
-        const data = imageData.data
-        
-        // Convert each pixel to Game Boy palette (functional approach)
-        const convertedData = new Uint8ClampedArray(
-            Array.from({ length: data.length / 4 }, (_, pixelIndex) => {
-                const i = pixelIndex * 4
-                const r = data[i]
-                const g = data[i + 1]
-                const b = data[i + 2]
-                const alpha = data[i + 3] // Keep original alpha
-                
-                // Find the closest color in the palette
-                const gameBoyColor = findClosestGameBoyColor(r, g, b)
-                
-                // Return new RGBA values
-                return [gameBoyColor.r, gameBoyColor.g, gameBoyColor.b, alpha]
-            }).flat()
-        )
-
-        // Create new ImageData with converted pixels
-        const newImageData = new ImageData(convertedData, image.width, image.height)
+        if (converted.offPalettePixels && converted.offPalettePixels.length > 0) {
+            const errorMessage = `Error converting image: ${formatOffPalettePixels(converted.offPalettePixels)}`
+            verbose && console.error(`❌ ${errorMessage}`)
+            return {
+                success: false,
+                error: errorMessage,
+                inputPath,
+                outputPath,
+                offPalettePixels: converted.offPalettePixels
+            }
+        }
         
-        // Apply the new pixel data
-        ctx.putImageData(newImageData, 0, 0)
+        const strictError = strict && getStrictError(validation)
+        if (strictError) {
+            verbose && console.error(`❌ ${strictError}`)
+            return {
+                success: false,
+                error: strictError,
+                inputPath,
+                outputPath,
+                validation
+            }
+        }
         
         // Save the converted image
-        const buffer = canvas.toBuffer('image/png')
-        fs.writeFileSync(outputPath, buffer)
+        fs.writeFileSync(outputPath, converted.buffer)
         
         verbose && console.log(`✅ Image successfully converted: ${outputPath}`)
+        
+        const { previewPath, reportPath } = await writeReviewFiles(inputPath, inputBuffer, outputPath, converted, options)
+        
+        verbose && previewPath && console.log(`🔍 Preview generated: ${previewPath}`)
+        verbose && reportPath && console.log(`📄 Report generated: ${reportPath}`)
                 
         return {
             success: true,
             inputPath,
             outputPath,
-            width: image.width,
-            height: image.height,
+            width,
+            height,
+            format: converted.format,
+            frames,
+            target,
+            palette: converted.palette,
+            ...(target === 'cgb' && { palettes, tilePalettes: converted.tilePalettes }),
+            dither: converted.dither,
+            colorMatch: converted.colorMatch,
+            mode: converted.mode,
+            indexed: Boolean(options.indexed),
+            ...(converted.content && {
+                sourceWidth: converted.sourceWidth,
+                sourceHeight: converted.sourceHeight,
+                content: converted.content
+            }),
+            ...(converted.adjustments && { adjustments: converted.adjustments }),
+            ...(converted.thresholds && { thresholds: converted.thresholds }),
+            validation,
+            ...(previewPath && { previewPath }),
+            ...(reportPath && { reportPath }),
             message: `Image successfully converted: ${outputPath}`
         }
         
@@ -140,122 +478,909 @@ const convertToGameBoy = async (inputPath, outputPath, options = {}) => {
     }
 }
 
+/**
+ * Builds the CGB palette array and its defines
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines (empty for the DMG)
+ */
+const buildPaletteCode = ({ baseName, cgbPalettes, splitHeader }) => cgbPalettes
+    ? [
+        `// CGB palettes (RGB555, 4 colors each)`,
+        ...formatPaletteArray(`${baseName}_palettes`, cgbPalettes.map(palette => palette.map(toRGB555))),
+        ...(splitHeader ? [] : [`#define ${baseName.toUpperCase()}_PALETTE_COUNT ${cgbPalettes.length}`]),
+        ''
+    ]
+    : []
+
+/**
+ * Lists the size constants of an asset (#defines in C, EQU constants in assembly)
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<Array>} [name, value] pairs, without the asset name prefix
+ */
+const buildAssetDefines = ({ tiles, map, metasprite, sheet, font, compressedData, compressedMap, width, height, tileWidth, tileHeight }) => [
+    ['WIDTH', width],
+    ['HEIGHT', height],
+    ['TILE_WIDTH', tileWidth],
+    ['TILE_HEIGHT', tileHeight],
+    ['TILE_COUNT', tiles.length],
+    ...(map ? [['TILES_SAVED', map.length - tiles.length], ['MAP_SIZE', map.length]] : []),
+    ['SIZE', tiles.length * BYTES_PER_TILE],
+    ...(compressedData ? [['COMPRESSED', 1], ['COMPRESSED_SIZE', compressedData.length]] : []),
+    ...(compressedMap ? [['MAP_COMPRESSED_SIZE', compressedMap.length]] : []),
+    ...(metasprite ? [['SPRITE_COUNT', metasprite.length]] : []),
+    ...(sheet ? [
+        ['FRAME_WIDTH', sheet.frameWidth],
+        ['FRAME_HEIGHT', sheet.frameHeight],
+        ['FRAME_COUNT', sheet.frameCount],
+        ['FRAME_TILE_COUNT', sheet.frameTiles[0].length],
+        ...sheet.animations.map(({ name, frames }) => [`ANIM_${name.toUpperCase()}_LENGTH`, frames.length])
+    ] : []),
+    ...(font ? [['GLYPH_COUNT', font.characters.length], ['CHARMAP_SIZE', font.charMap.length]] : [])
+]
+
+/**
+ * Builds the #define lines of an asset
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildDefineLines = (asset) => buildAssetDefines(asset)
+    .map(([name, value]) => `#define ${asset.baseName.toUpperCase()}_${name} ${value}`)
+
+/**
+ * Builds the #include lines needed by the generated C code
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildIncludeLines = ({ metasprite, sheet, compression }) => [
+    `#include <gb/gb.h>`,
+    ...(metasprite || sheet ? [`#include <gb/metasprites.h>`] : []),
+    ...(compression === 'gbcompress' ? [`#include <gbdk/gbdecompress.h>`] : []),
+    ...(compression === 'rle' ? [`#include <gbdk/rledecompress.h>`] : [])
+]
+
+/**
+ * Builds the usage comment that loads an array, decompressing it into a RAM buffer first
+ * @param {string} compression - Compression of the array
+ * @param {string} arrayName - Name of the array
+ * @param {string} sizeDefine - Define with the uncompressed size
+ * @param {string} bufferName - Name of the RAM buffer
+ * @param {Function} load - source => load statement
+ * @returns {Array<string>} Comment lines
+ */
+const buildLoadUsageLines = (compression, arrayName, sizeDefine, bufferName, load) => {
+    const bufferNote = `// ${bufferName}: unsigned char[${sizeDefine}]`
+
+    if (compression === 'gbcompress') {
+        return [`// gb_decompress(${arrayName}, ${bufferName}); ${bufferNote}`, `// ${load(bufferName)}`]
+    }
+
+    if (compression === 'rle') {
+        return [`// rle_init(${arrayName});`, `// rle_decompress(${bufferName}, ${sizeDefine}); ${bufferNote}`, `// ${load(bufferName)}`]
+    }
+
+    return [`// ${load(arrayName)}`]
+}
+
+/**
+ * Describes the compression of an array in its comment
+ * @param {string} compression - Compression of the array
+ * @returns {string} Comment suffix
+ */
+const compressionNote = (compression) => compression && compression !== 'none' ? ` (${compression} compressed)` : ''
+
+/**
+ * Lists the C arrays of an asset
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<Object>} Arrays { type, name }
+ */
+const listCArrays = ({ baseName, map, attributes, metasprite, sheet, font, cgbPalettes }) => [
+    ...(cgbPalettes ? [{ type: 'UWORD', name: `${baseName}_palettes` }] : []),
+    ...(map
+        ? [{ type: 'unsigned char', name: `${baseName}_tiles` }, { type: 'unsigned char', name: `${baseName}_map` }]
+        : [{ type: 'unsigned char', name: `${baseName}_data` }]),
+    ...(attributes ? [{ type: 'unsigned char', name: `${baseName}_attributes` }] : []),
+    ...(metasprite ? [{ type: 'metasprite_t', name: `${baseName}_metasprite` }] : []),
+    ...(sheet ? [
+        { type: 'unsigned char', name: `${baseName}_frame_tiles` },
+        ...sheet.metasprites.map((_, frame) => ({ type: 'metasprite_t', name: `${baseName}_frame${frame}` })),
+        { type: 'metasprite_t* const', name: `${baseName}_metasprites` },
+        ...sheet.animations.map(({ name }) => ({ type: 'unsigned char', name: `${baseName}_anim_${name}` }))
+    ] : []),
+    ...(font ? [{ type: 'unsigned char', name: `${baseName}_charmap` }] : []),
+    ...(font && font.widths ? [{ type: 'unsigned char', name: `${baseName}_widths` }] : [])
+]
+
+/**
+ * Builds the C header of an asset: include guard, #defines and extern declarations
+ * @param {Object} asset - Generated tile data
+ * @param {Array<string>} headerComments - Header comment lines
+ * @param {number} [bank] - ROM bank of the data
+ * @returns {Array<string>} Code lines
+ */
+const buildHeaderCode = (asset, headerComments, bank) => {
+    const upperName = asset.baseName.toUpperCase()
+    const guard = `${upperName}_H`
+
+    return [
+        ...headerComments.map(line => `// ${line}`),
+        '',
+        `#ifndef ${guard}`,
+        `#define ${guard}`,
+        '',
+        ...buildIncludeLines(asset),
+        '',
+        ...(asset.cgbPalettes ? [`#define ${upperName}_PALETTE_COUNT ${asset.cgbPalettes.length}`] : []),
+        ...buildDefineLines(asset),
+        '',
+        ...(bank !== undefined ? [`BANKREF_EXTERN(${asset.baseName})`, ''] : []),
+        ...listCArrays(asset).map(({ type, name }) => `extern const ${type} ${name}[];`),
+        '',
+        `#endif // ${guard}`,
+        ''
+    ]
+}
+
+/**
+ * Builds the usage comment that selects the ROM bank of banked data
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines (empty without bank)
+ */
+const buildBankUsageLines = ({ baseName, bank }) => bank !== undefined
+    ? [`// SWITCH_ROM(BANK(${baseName})); // Select the ROM bank of the data first`]
+    : []
+
+/**
+ * Builds the C code for sprite/tile mode: every tile in VRAM order, plus a metasprite
+ * for images larger than one hardware sprite
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildTilesCode = (asset) => {
+    const { baseName, tiles, attributes, metasprite, spriteSize, compression, compressedData } = asset
+    const data = compressedData || tiles.flat()
+    const upperName = baseName.toUpperCase()
+
+    return [
+        `// Sprite/tile data${spriteSize === '8x16' ? ' (8x16 order: top and bottom tile of every sprite)' : ''}${compressionNote(compression)}`,
+        ...formatCArray('unsigned char', `${baseName}_data`, data),
+        '',
+        ...(attributes ? [
+            `// CGB palette of every tile (sprite props / VRAM bank 1 attributes)`,
+            ...formatCArray('unsigned char', `${baseName}_attributes`, attributes),
+            ''
+        ] : []),
+        ...(metasprite ? [
+            `// Metasprite (${metasprite.length} hardware sprites, offsets from the top-left corner)`,
+            ...formatMetaspriteArray(`${baseName}_metasprite`, metasprite),
+            ''
+        ] : []),
+        ...(asset.splitHeader ? [] : [
+            `// Sprite/tile information:`,
+            ...buildDefineLines(asset),
+            ''
+        ]),
+        `// Usage example:`,
+        ...buildBankUsageLines(asset),
+        ...(spriteSize === '8x16' ? [`// SPRITES_8x16;`] : []),
+        ...(attributes ? [`// set_sprite_palette(0, ${upperName}_PALETTE_COUNT, ${baseName}_palettes);`] : []),
+        ...buildLoadUsageLines(compression, `${baseName}_data`, `${upperName}_SIZE`, 'tile_buffer',
+            source => `set_sprite_data(0, ${tiles.length}, ${source});`),
+        ...(metasprite
+            ? [`// move_metasprite(${baseName}_metasprite, 0, 0, 8, 16); // Tile 0, first sprite 0, top-left of the screen`]
+            : [
+                `// set_sprite_tile(0, 0); // To use the first tile`,
+                ...(attributes ? [`// set_sprite_prop(0, ${baseName}_attributes[0]);`] : [])
+            ])
+    ]
+}
+
+/**
+ * Builds the C code for sheet mode: unique tiles of all frames, the tiles and metasprite
+ * of every frame and the animation tables
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildSheetCode = (asset) => {
+    const { baseName, tiles, attributes, sheet, spriteSize, compression, compressedData } = asset
+    const data = compressedData || tiles.flat()
+    const upperName = baseName.toUpperCase()
+    const frameTileCount = sheet.frameTiles[0].length
+
+    return [
+        `// Unique tile data of all frames (${sheet.frameCount * frameTileCount - tiles.length} duplicate tiles removed)${compressionNote(compression)}`,
+        ...formatCArray('unsigned char', `${baseName}_data`, data),
+        '',
+        ...(attributes ? [
+            `// CGB palette of every tile (sprite props)`,
+            ...formatCArray('unsigned char', `${baseName}_attributes`, attributes),
+            ''
+        ] : []),
+        `// Tile index of every tile of every frame (${frameTileCount} per frame, in VRAM order)`,
+        ...formatCArray('unsigned char', `${baseName}_frame_tiles`, sheet.frameTiles.flat()),
+        '',
+        ...sheet.metasprites.flatMap((items, frame) => [
+            `// Frame ${frame} (${items.length} hardware sprites)`,
+            ...formatMetaspriteArray(`${baseName}_frame${frame}`, items),
+            ''
+        ]),
+        `// Metasprite of every frame`,
+        ...formatPointerArray('metasprite_t', `${baseName}_metasprites`, sheet.metasprites.map((_, frame) => `${baseName}_frame${frame}`)),
+        '',
+        ...sheet.animations.flatMap(({ name, frames }) => [
+            `// Animation "${name}": frame number, duration (in 1/60 s) of every step`,
+            ...formatCArray('unsigned char', `${baseName}_anim_${name}`, frames.flatMap(({ frame, duration }) => [frame, duration])),
+            ''
+        ]),
+        ...(asset.splitHeader ? [] : [
+            `// Sprite sheet information:`,
+            ...buildDefineLines(asset),
+            ''
+        ]),
+        `// Usage example:`,
+        ...buildBankUsageLines(asset),
+        ...(spriteSize === '8x16' ? [`// SPRITES_8x16;`] : []),
+        ...(attributes ? [`// set_sprite_palette(0, ${upperName}_PALETTE_COUNT, ${baseName}_palettes);`] : []),
+        ...buildLoadUsageLines(compression, `${baseName}_data`, `${upperName}_SIZE`, 'tile_buffer',
+            source => `set_sprite_data(0, ${upperName}_TILE_COUNT, ${source});`),
+        ...(sheet.animations.length > 0
+            ? [`// move_metasprite(${baseName}_metasprites[${baseName}_anim_${sheet.animations[0].name}[step * 2]], 0, 0, 8, 16); // Frame of the current step`]
+            : [`// move_metasprite(${baseName}_metasprites[frame], 0, 0, 8, 16);`])
+    ]
+}
+
+/**
+ * Builds the C code for font mode: glyph tiles in character order, the lookup table from
+ * character code to tile and the glyph widths
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildFontCode = (asset) => {
+    const { baseName, tiles, attributes, font, compression, compressedData } = asset
+    const data = compressedData || tiles.flat()
+    const upperName = baseName.toUpperCase()
+
+    return [
+        `// Glyph tiles in character order${compressionNote(compression)}`,
+        ...formatCArray('unsigned char', `${baseName}_data`, data),
+        '',
+        ...(attributes ? [
+            `// CGB palette of every glyph (VRAM bank 1 attributes)`,
+            ...formatCArray('unsigned char', `${baseName}_attributes`, attributes),
+            ''
+        ] : []),
+        `// Tile index of every character code (characters missing from the font use the space)`,
+        ...formatCArray('unsigned char', `${baseName}_charmap`, font.charMap),
+        '',
+        ...(font.widths ? [
+            `// Width in pixels of every glyph, for variable-width text`,
+            ...formatCArray('unsigned char', `${baseName}_widths`, font.widths),
+            ''
+        ] : []),
+        ...(asset.splitHeader ? [] : [
+            `// Font information:`,
+            ...buildDefineLines(asset),
+            ''
+        ]),
+        `// Usage example:`,
+        ...buildBankUsageLines(asset),
+        ...(attributes ? [`// set_bkg_palette(0, ${upperName}_PALETTE_COUNT, ${baseName}_palettes);`] : []),
+        ...buildLoadUsageLines(compression, `${baseName}_data`, `${upperName}_SIZE`, 'tile_buffer',
+            source => `set_bkg_data(0, ${upperName}_GLYPH_COUNT, ${source});`),
+        `// if ((unsigned char)c < ${upperName}_CHARMAP_SIZE) set_bkg_tile_xy(x, y, ${baseName}_charmap[(unsigned char)c]);`,
+        ...(font.widths ? [`// x_pixels += ${baseName}_widths[${baseName}_charmap[(unsigned char)c]];`] : [])
+    ]
+}
+
+/**
+ * Builds the C code for background mode: unique tiles plus a tile map
+ * @param {Object} asset - Generated tile data
+ * @returns {Array<string>} Code lines
+ */
+const buildBackgroundCode = (asset) => {
+    const { baseName, tiles, map, attributes, tileWidth, tileHeight, compression, compressedData, compressedMap } = asset
+    const data = compressedData || tiles.flat()
+    const upperName = baseName.toUpperCase()
+
+    return [
+        `// Unique tile data (${map.length - tiles.length} duplicate tiles removed)${compressionNote(compression)}`,
+        ...formatCArray('unsigned char', `${baseName}_tiles`, data),
+        '',
+        `// Tile map (${tileWidth}x${tileHeight} tiles)${compressionNote(compression)}`,
+        ...formatCArray('unsigned char', `${baseName}_map`, compressedMap || map),
+        '',
+        ...(attributes ? [
+            `// CGB attribute map for VRAM bank 1 (bits 0-2: palette, bit 5: X flip, bit 6: Y flip)`,
+            ...formatCArray('unsigned char', `${baseName}_attributes`, attributes),
+            ''
+        ] : []),
+        ...(asset.splitHeader ? [] : [
+            `// Background information:`,
+            ...buildDefineLines(asset),
+            ''
+        ]),
+        `// Usage example:`,
+        ...buildBankUsageLines(asset),
+        ...(attributes ? [`// set_bkg_palette(0, ${upperName}_PALETTE_COUNT, ${baseName}_palettes);`] : []),
+        ...buildLoadUsageLines(compression, `${baseName}_tiles`, `${upperName}_SIZE`, 'tile_buffer',
+            source => `set_bkg_data(0, ${upperName}_TILE_COUNT, ${source});`),
+        ...(attributes ? [
+            `// VBK_REG = 1; // Select VRAM bank 1 (attributes)`,
+            `// set_bkg_tiles(0, 0, ${upperName}_TILE_WIDTH, ${upperName}_TILE_HEIGHT, ${baseName}_attributes);`,
+            `// VBK_REG = 0; // Back to VRAM bank 0 (tile indices)`
+        ] : []),
+        ...buildLoadUsageLines(compression, `${baseName}_map`, `${upperName}_MAP_SIZE`, 'map_buffer',
+            source => `set_bkg_tiles(0, 0, ${upperName}_TILE_WIDTH, ${upperName}_TILE_HEIGHT, ${source});`),
+        `// SHOW_BKG;`
+    ]
+}
+
+/**
+ * Builds the RGBDS assembly source of an asset: one exported label per array, each
+ * followed by a .end label
+ * @param {Object} asset - Generated tile data
+ * @param {Array<string>} header - Header comment lines
+ * @param {string} sectionName - SECTION name
+ * @param {number} [bank] - ROM bank of the section
+ * @returns {Array<string>} Code lines
+ */
+const buildAsmCode = (asset, header, sectionName, bank) => {
+    const { baseName, tiles, map, attributes, sheet, font, cgbPalettes, tileWidth, compression, compressedData, compressedMap } = asset
+    const data = compressedData || tiles.flat()
+
+    return [
+        ...header.map(line => `; ${line}`),
+        '',
+        formatSection(sectionName, bank),
+        '',
+        ...(cgbPalettes ? [
+            `; CGB palettes (RGB555, 4 colors each)`,
+            ...formatAsmLabel(`${baseName}_palettes`, 'dw', cgbPalettes.flatMap(palette => palette.map(toRGB555)), 4),
+            ''
+        ] : []),
+        ...(map ? [
+            `; Unique tile data${compressionNote(compression)}`,
+            ...formatAsmLabel(`${baseName}_tiles`, 'db', data),
+            '',
+            `; Tile map (${tileWidth} tiles per row)${compressionNote(compression)}`,
+            ...(compressedMap ? formatAsmLabel(`${baseName}_map`, 'db', compressedMap) : formatAsmLabel(`${baseName}_map`, 'db', map, tileWidth))
+        ] : [
+            `; ${sheet ? 'Unique tile data of all frames' : (font ? 'Glyph tiles in character order' : 'Sprite/tile data')}${compressionNote(compression)}`,
+            ...formatAsmLabel(`${baseName}_data`, 'db', data)
+        ]),
+        ...(attributes ? [
+            '',
+            `; CGB attributes (bits 0-2: palette, bit 5: X flip, bit 6: Y flip)`,
+            ...formatAsmLabel(`${baseName}_attributes`, 'db', attributes, map ? tileWidth : 16)
+        ] : []),
+        ...(font ? [
+            '',
+            `; Tile index of every character code`,
+            ...formatAsmLabel(`${baseName}_charmap`, 'db', font.charMap),
+            ...(font.widths ? [
+                '',
+                `; Width in pixels of every glyph`,
+                ...formatAsmLabel(`${baseName}_widths`, 'db', font.widths)
+            ] : [])
+        ] : []),
+        ...(sheet ? [
+            '',
+            `; Tile index of every tile of every frame (${sheet.frameTiles[0].length} per frame, in VRAM order)`,
+            ...formatAsmLabel(`${baseName}_frame_tiles`, 'db', sheet.frameTiles.flat(), sheet.frameTiles[0].length),
+            ...sheet.animations.flatMap(({ name, frames }) => [
+                '',
+                `; Animation "${name}": frame number, duration (in 1/60 s) of every step`,
+                ...formatAsmLabel(`${baseName}_anim_${name}`, 'db', frames.flatMap(({ frame, duration }) => [frame, duration]))
+            ])
+        ] : []),
+        ''
+    ]
+}
+
+/**
+ * Builds the RGBDS include file of an asset with its EQU constants
+ * @param {Object} asset - Generated tile data
+ * @param {Array<string>} header - Header comment lines
+ * @returns {Array<string>} Code lines
+ */
+const buildAsmInclude = (asset, header) => {
+    const upperName = asset.baseName.toUpperCase()
+
+    return [
+        ...header.map(line => `; ${line}`),
+        '',
+        ...formatAsmInclude(`${upperName}_INC`, [
+            ...(asset.cgbPalettes ? [['PALETTE_COUNT', asset.cgbPalettes.length]] : []),
+            ...buildAssetDefines(asset)
+        ].map(([name, value]) => [`${upperName}_${name}`, value])),
+        ''
+    ]
+}
+
+/**
+ * Recovers the palette index of every pixel of a converted image (as written by
+ * convertToGameBoy) from its colors
+ * @param {Object} image - ImageData-like object { width, height, data: RGBA pixels }
+ * @param {Object} options - Options the image was converted with
+ * @param {string|Array} options.palette - Palette the image was converted with
+ * @param {string} options.mode - Sprite modes ('sprite' and 'sheet') keep color 0 for transparent pixels
+ * @param {string} options.target - 'dmg' (default) or 'cgb'
+ * @param {Array<Array<Object>>} options.cgbPalettes - CGB palettes the image was converted with
+ *   (returned by convertToGameBoy). If missing they are rebuilt from the image.
+ * @param {number} options.alphaThreshold - Sprite pixels with a lower alpha are transparent (default: 128)
+ * @param {string|Array|Object} options.transparentColor - Sprite key color that is also transparent
+ * @param {boolean} options.exact - Only accept the exact palette colors instead of the closest
+ *   ones (DMG colors that are not in the palette would otherwise become index 0)
+ * @param {string|Object} options.colorMap - Palette index of every color (see parseColorMap),
+ *   for art drawn in fixed colors. Implies exact colors (DMG only).
+ * @returns {Object} Indexed image { width, height, indices, palette } (and palettes and
+ *   tilePalettes on the CGB). With exact colors, offPalettePixels lists the pixels that match
+ *   no color.
+ */
+const indexConvertedImage = (image, options = {}) => {
+    const { mode = 'tiles', target = 'dmg' } = options
+    const { width, height } = image
+    const palette = resolvePalette(options.palette)
+    const colorMap = parseColorMap(options.colorMap)
+    const isSprite = SPRITE_MODES.includes(mode)
+    const data = isSprite ? applyTransparency(image.data, options) : image.data
+
+    if (colorMap && target === 'cgb') {
+        throw new Error('A color map can only be used with the dmg target')
+    }
+
+    // CGB: find the palette of every tile (DMG: a single palette for the whole image)
+    const cgbPalettes = target === 'cgb'
+        ? (options.cgbPalettes || quantizeCGB(data, width, height, { transparent: isSprite }).palettes)
+        : null
+    const tilePalettes = cgbPalettes ? matchTilePalettes(data, width, height, cgbPalettes, isSprite) : null
+    const cgbData = cgbPalettes && { palettes: cgbPalettes, tilePalettes }
+
+    if (options.exact || colorMap) {
+        const { indices, offPalettePixels } = indexExactColors(data, width, height, {
+            paletteAt: cgbPalettes ? (pixelIndex) => cgbPalettes[tilePaletteAt(tilePalettes, width, pixelIndex)] : () => palette,
+            colorMap,
+            transparent: isSprite,
+            snap: cgbPalettes ? snapToRGB555 : undefined
+        })
+
+        return { width, height, indices, palette, ...cgbData, offPalettePixels }
+    }
+
+    // Map every pixel back to its 2-bit palette index (color 0 is transparent for sprites)
+    const findColorIndex = createColorLookup(DEFAULT_COLOR_MATCH)
+    const indices = new Uint8Array(width * height).map((_, pixelIndex) => {
+        const [r, g, b] = [data[pixelIndex * 4], data[pixelIndex * 4 + 1], data[pixelIndex * 4 + 2]]
+
+        if (isSprite && data[pixelIndex * 4 + 3] === 0) return 0
+        if (isSprite) {
+            const spritePalette = cgbPalettes ? cgbPalettes[tilePaletteAt(tilePalettes, width, pixelIndex)] : palette
+            return findColorIndex(r, g, b, spritePalette, 1)
+        }
+
+        if (!cgbPalettes) return colorToGBDKValue(r, g, b, palette)
+
+        return findColorIndex(r, g, b, cgbPalettes[tilePaletteAt(tilePalettes, width, pixelIndex)])
+    })
+
+    return { width, height, indices, palette, ...cgbData }
+}
+
+/**
+ * Takes the palette indices of an indexed PNG (decodeIndexedPNG) as they are, without
+ * matching colors, when its colors are the palette colors. DMG images need the colors of the
+ * palette in order. CGB images hold palette * 4 + color (as written by encodeConvertedPNG),
+ * with a single palette in every tile, and need the colors of cgbPalettes when given. In
+ * sprite modes the PNG transparency (tRNS) and the transparency options make pixels color 0.
+ * @param {Object} png - Decoded indexed PNG { width, height, indices, palette, alphas }
+ * @param {Object} options - Options of generateGBDKCode: palette, mode, target, cgbPalettes,
+ *   alphaThreshold and transparentColor (see indexConvertedImage)
+ * @returns {Object|null} Indexed image { width, height, indices, palette } (and palettes and
+ *   tilePalettes on the CGB), or null if the image does not fit the target or its colors
+ *   have to be matched
+ */
+const readIndexedPNGImage = ({ width, height, indices, palette, alphas }, options = {}) => {
+    const { mode = 'tiles', target = 'dmg' } = options
+    const isSprite = SPRITE_MODES.includes(mode)
+    const groupCount = Math.ceil(palette.length / CGB_COLORS_PER_PALETTE)
+    const palettes = target === 'cgb'
+        ? (options.cgbPalettes || Array.from({ length: groupCount }, (_, group) => {
+            const colors = palette.slice(group * CGB_COLORS_PER_PALETTE, (group + 1) * CGB_COLORS_PER_PALETTE)
+            return [...colors, ...Array.from({ length: CGB_COLORS_PER_PALETTE - colors.length }, () => ({ r: 0, g: 0, b: 0 }))]
+        }))
+        : [resolvePalette(options.palette)]
+
+    if (groupCount > (target === 'cgb' ? CGB_MAX_PALETTES : 1) || groupCount > palettes.length) return null
+
+    // Sprite entries that are transparent (by alpha or key color) become color 0
+    const entryAlphas = isSprite
+        ? applyTransparency(Uint8ClampedArray.from(palette.flatMap(({ r, g, b }, i) => [r, g, b, alphas[i]])), options)
+        : null
+    const isTransparent = (entry) => entryAlphas !== null && entryAlphas[entry * 4 + 3] === 0
+
+    // Visible entries must be the palette colors at the same position
+    const matchesPalettes = palette.every((color, entry) => {
+        const expected = palettes[Math.floor(entry / CGB_COLORS_PER_PALETTE)][entry % CGB_COLORS_PER_PALETTE]
+        return isTransparent(entry) || (color.r === expected.r && color.g === expected.g && color.b === expected.b)
+    })
+    if (!matchesPalettes) return null
+
+    const values = isSprite
+        ? indices.map(value => isTransparent(value) ? value - value % CGB_COLORS_PER_PALETTE : value)
+        : indices
+
+    // Visible sprite pixels can only use colors 1-3
+    if (isSprite && values.some((value, pixelIndex) => !isTransparent(indices[pixelIndex]) && value % CGB_COLORS_PER_PALETTE === 0)) {
+        return null
+    }
+
+    if (target !== 'cgb') {
+        return { width, height, indices: values, palette: palettes[0] }
+    }
+
+    // Every pixel of a tile must use the palette of the tile
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const tilePalettes = Array.from({ length: tileWidth * Math.ceil(height / TILE_SIZE) }, () => null)
+    const fitsTiles = values.every((value, pixelIndex) => {
+        const x = pixelIndex % width
+        const tile = Math.floor((pixelIndex - x) / width / TILE_SIZE) * tileWidth + Math.floor(x / TILE_SIZE)
+        const paletteIndex = Math.floor(value / CGB_COLORS_PER_PALETTE)
+
+        tilePalettes[tile] = tilePalettes[tile] === null ? paletteIndex : tilePalettes[tile]
+        return tilePalettes[tile] === paletteIndex
+    })
+
+    return fitsTiles
+        ? {
+            width,
+            height,
+            indices: values.map(value => value % CGB_COLORS_PER_PALETTE),
+            palette: palettes[0],
+            palettes,
+            tilePalettes
+        }
+        : null
+}
+
+/**
+ * Generates the code of an indexed image, without touching the filesystem
+ * @param {Object} image - Indexed image { width, height, indices, palette } as returned by
+ *   convertImageData: indices holds the palette index (0-3) of every pixel. CGB code also
+ *   needs palettes and tilePalettes, and sheets of animated images use frames.
+ * @param {Object} options - Code options
+ * @param {string} options.variableName - Name of the variables (default: 'image')
+ * @param {string} options.fileName - Name of the files without extension, used by the .c file
+ *   to include the .h file (default: the variable name)
+ * @param {string|Array} options.palette - Palette of images without one
+ * @param {string} options.mode - 'tiles' (default) writes every tile in order, 'background'
+ *   removes duplicate tiles and adds a tile map, 'sprite' writes every tile in order with
+ *   transparent pixels as color 0, 'sheet' slices a sprite sheet into frames (see below),
+ *   'font' writes one 8x8 glyph per character with a character lookup table
+ * @param {string|Array<string>} options.charset - Font mode: characters of the glyphs in sheet
+ *   order, or a range like "' '..'~'" (default: printable ASCII)
+ * @param {boolean} options.variableWidth - Font mode: also write the width of every glyph
+ * @param {number} options.frameWidth - Sheet mode: frame width in pixels (multiple of 8)
+ * @param {number} options.frameHeight - Sheet mode: frame height in pixels (multiple of 8)
+ * @param {string|Object} options.grid - Sheet mode: frames per row and column ('4x2' or
+ *   { columns, rows }) instead of the frame size
+ * @param {Object} options.animations - Sheet mode: animations by name, each a list of frame
+ *   numbers or { frame, duration } entries, or { frames, duration }
+ * @param {string|Object} options.sheet - Sheet mode: JSON file path or object with any of
+ *   frameWidth, frameHeight, grid and animations
+ * @param {string} options.target - 'dmg' (default) or 'cgb'
+ * @param {string} options.spriteSize - Hardware sprite size for tiles/sprite mode: '8x8' (default)
+ *   or '8x16' (top and bottom tile of every sprite are stored consecutively)
+ * @param {Array<string>} options.outputFormats - Files to generate: 'c' (default), 'bin' (.2bpp,
+ *   .tilemap, .pal and, on the CGB, .attrmap, as written by rgbgfx) and/or 'asm' (RGBDS .asm
+ *   source and .inc constants)
+ * @param {string} options.sectionName - RGBDS section name (default: the variable name)
+ * @param {number} options.bank - ROM bank of the data: RGBDS section bank, and '#pragma bank'
+ *   with BANKREF in the C code (default: RGBDS picks any ROMX bank, C data stays in bank 0)
+ * @param {boolean} options.header - Also write a .h file with include guards, extern
+ *   declarations and the #defines, included by the .c file
+ * @param {string} options.compression - Compression of the tile and map arrays in C and
+ *   assembly output: 'none' (default), 'rle' (GBDK rle_decompress) or 'gbcompress'
+ *   (GBDK gb_decompress). Binary files are never compressed.
+ * @param {boolean} options.strict - Throw if the asset breaks a hardware limit (see validateAsset)
+ * @returns {Object} { code, files, validation, ... } - code is the C source, files the contents
+ *   of every generated file by extension ('.c', '.h', '.2bpp', '.asm', ...), plus the tile
+ *   counts. validation holds the hardware limit { errors, warnings } of the asset and of the
+ *   image conversion.
+ */
+const generateCode = (image, options = {}) => {
+    const {
+        variableName: baseName = 'image',
+        fileName = baseName,
+        mode = 'tiles',
+        target = 'dmg',
+        spriteSize = '8x8',
+        outputFormats = ['c'],
+        bank,
+        header: splitHeader = false,
+        compression = 'none'
+    } = options
+
+    if (!OUTPUT_MODES.includes(mode)) {
+        throw new Error(`Unknown mode "${mode}". Available modes: ${OUTPUT_MODES.join(', ')}`)
+    }
+
+    if (!TARGETS.includes(target)) {
+        throw new Error(`Unknown target "${target}". Available targets: ${TARGETS.join(', ')}`)
+    }
+
+    if (!SPRITE_SIZES.includes(spriteSize)) {
+        throw new Error(`Unknown sprite size "${spriteSize}". Available sizes: ${SPRITE_SIZES.join(', ')}`)
+    }
+
+    const unknownFormat = outputFormats.find(format => !OUTPUT_FORMATS.includes(format))
+    if (unknownFormat !== undefined) {
+        throw new Error(`Unknown output format "${unknownFormat}". Available formats: ${OUTPUT_FORMATS.join(', ')}`)
+    }
+
+    if (bank !== undefined && !(Number.isInteger(bank) && bank >= 0 && bank <= MAX_ROM_BANK)) {
+        throw new Error(`ROM bank must be an integer between 0 and ${MAX_ROM_BANK}`)
+    }
+
+    if (!COMPRESSION_MODES.includes(compression)) {
+        throw new Error(`Unknown compression "${compression}". Available modes: ${COMPRESSION_MODES.join(', ')}`)
+    }
+
+    if (target === 'cgb' && !(image.palettes && image.tilePalettes)) {
+        throw new Error('Game Boy Color code needs the palettes and tilePalettes of the image')
+    }
+
+    const { width, height, indices } = image
+    const palette = image.palette || resolvePalette(options.palette)
+    const isSprite = SPRITE_MODES.includes(mode)
+    const sheetOptions = mode === 'sheet' ? resolveSheetOptions(options, image.frames || {}) : null
+    const characters = mode === 'font' ? parseCharset(options.charset) : null
+    const cgbPalettes = target === 'cgb' ? image.palettes : null
+    const tilePalettes = cgbPalettes && image.tilePalettes
+
+    // Calculate dimensions in tiles (8x8 pixels each)
+    const tileWidth = Math.ceil(width / 8)
+    const tileHeight = Math.ceil(height / 8)
+
+    const allTiles = encodeTiles(indices, width, height)
+    const isBackground = mode === 'background'
+
+    // Sheets: frames sliced into sprites, without the sprites shared between frames
+    const sheetLayout = sheetOptions && resolveSheetLayout(width, height, sheetOptions)
+    const sheet = sheetLayout && buildSpriteSheet(allTiles, tileWidth, sheetLayout, {
+        spriteSize,
+        tileAttributes: tilePalettes,
+        animations: sheetOptions.animations
+    })
+
+    // Fonts: one 8x8 glyph per character, row by row
+    if (characters && allTiles.length < characters.length) {
+        throw new Error(`The font image has ${allTiles.length} glyphs but the character list has ${characters.length} characters`)
+    }
+
+    // Sprites: tiles in VRAM order for the hardware sprite size (8x16 pads odd tile rows)
+    const order = mode === 'sprite' ? spriteTileOrder(tileWidth, tileHeight, spriteSize) : null
+    const orderedTiles = order
+        ? order.map(tileIndex => tileIndex === null ? createEmptyTile() : allTiles[tileIndex])
+        : allTiles
+
+    const { tiles, map, flips } = isBackground
+        ? deduplicateTiles(allTiles, { allowFlips: target === 'cgb' })
+        : { tiles: (sheet && sheet.tiles) || (characters && allTiles.slice(0, characters.length)) || orderedTiles, map: null, flips: null }
+    const tilesSaved = allTiles.length - tiles.length
+    const dataSize = tiles.length * BYTES_PER_TILE
+
+    // CGB attributes: bits 0-2 palette, bit 5 horizontal flip, bit 6 vertical flip
+    const tileAttributes = tilePalettes && tilePalettes.map((paletteIndex, tileIndex) =>
+        paletteIndex |
+        (flips && flips[tileIndex].x ? 0x20 : 0) |
+        (flips && flips[tileIndex].y ? 0x40 : 0)
+    )
+    // Padding tiles share the sprite (and palette) of the tile above them
+    const attributes = tileAttributes && (
+        (sheet && sheet.attributes) ||
+        (characters && tileAttributes.slice(0, characters.length)) ||
+        (order ? order.map((tileIndex, position) => tileAttributes[tileIndex === null ? order[position - 1] : tileIndex]) : tileAttributes)
+    )
+
+    // Images larger than one hardware sprite are also described as a metasprite
+    const spriteCount = order ? tiles.length / (spriteSize === '8x16' ? 2 : 1) : 0
+    const metasprite = spriteCount > 1 ? buildMetasprite(tiles, tileWidth, spriteSize, attributes) : null
+
+    // Tile ID and attributes of every tile of the image, row by row (binary files)
+    const tileMap = map || (sheet && sheet.tileMap) || (characters && tiles.map((_, glyph) => glyph)) || (!order && tiles.map((_, tileIndex) => tileIndex)) || (() => {
+        const vramIndexByTile = new Map(order.map((tileIndex, vramIndex) => [tileIndex, vramIndex]))
+        return Array.from({ length: tileWidth * tileHeight }, (_, tileIndex) => vramIndexByTile.get(tileIndex))
+    })()
+
+    const asset = {
+        baseName, tiles, map, attributes, metasprite, spriteSize, cgbPalettes, width, height, tileWidth, tileHeight,
+        tileMap,
+        attributeMap: characters ? attributes : tileAttributes,
+        font: characters && {
+            characters,
+            charMap: buildCharMap(characters),
+            widths: options.variableWidth ? measureGlyphWidths(indices, width, height, characters.length) : null
+        },
+        sheet: sheet && { ...sheetLayout, frameTiles: sheet.frameTiles, metasprites: sheet.metasprites, animations: sheet.animations },
+        palettes: cgbPalettes || [palette],
+        splitHeader,
+        bank,
+        compression,
+        compressedData: compression === 'none' ? null : compressData(tiles.flat(), compression),
+        compressedMap: compression === 'none' || !map ? null : compressData(map, compression)
+    }
+
+    // Hardware limits of the generated data, plus the ones found while converting the image
+    const validation = mergeValidations(image.validation, validateAsset({
+        width,
+        height,
+        mode,
+        target,
+        spriteSize,
+        tileCount: tiles.length,
+        metasprites: (sheet && sheet.metasprites) || (metasprite ? [metasprite] : []),
+        paletteCount: cgbPalettes ? cgbPalettes.length : 0
+    }))
+    const strictError = options.strict && getStrictError(validation)
+
+    if (strictError) {
+        throw new Error(strictError)
+    }
+
+    // Build GBDK code using template literals (functional approach)
+    const headerComments = [
+        `Automatically generated ${{ background: 'Background', sprite: 'Sprite', sheet: 'Sprite sheet', font: 'Font' }[mode] || 'Sprite/Tile'}`,
+        `Dimensions: ${width}x${height} pixels (${tileWidth}x${tileHeight} tiles)`,
+        ...(sheetLayout ? [`Frames: ${sheetLayout.frameCount} of ${sheetLayout.frameWidth}x${sheetLayout.frameHeight} pixels`] : []),
+        ...(characters ? [`Glyphs: ${characters.length}`] : []),
+        cgbPalettes
+            ? `Target: Game Boy Color (${cgbPalettes.length} palettes)`
+            : `Palette: ${palette.map(colorToHex).join(', ')}`,
+        ...(isSprite ? [`Color 0 is transparent`] : []),
+        `Generated on: ${new Date().toISOString()}`
+    ]
+
+    const gbdkCode = [
+        ...headerComments.map(line => `// ${line}`),
+        '',
+        ...(bank > 0 ? [`#pragma bank ${bank}`, ''] : []),
+        ...(splitHeader
+            ? [`#include "${fileName}.h"`]
+            : buildIncludeLines(asset)),
+        '',
+        ...(bank !== undefined ? [`BANKREF(${baseName})`, ''] : []),
+        ...buildPaletteCode(asset),
+        ...({ background: buildBackgroundCode, sheet: buildSheetCode, font: buildFontCode }[mode] || buildTilesCode)(asset)
+    ].join('\n')
+
+    const files = {
+        ...(outputFormats.includes('c') && { '.c': gbdkCode }),
+        ...(outputFormats.includes('c') && splitHeader && { '.h': buildHeaderCode(asset, headerComments, bank).join('\n') }),
+        ...(outputFormats.includes('bin') && buildBinaryFiles(asset)),
+        ...(outputFormats.includes('asm') && {
+            '.asm': buildAsmCode(asset, headerComments, options.sectionName || baseName, bank).join('\n'),
+            '.inc': buildAsmInclude(asset, headerComments).join('\n')
+        })
+    }
+
+    return {
+        code: gbdkCode,
+        files,
+        mode,
+        target,
+        tilesGenerated: tiles.length,
+        tilesSaved,
+        tileWidth,
+        tileHeight,
+        dataSize,
+        mapSize: map ? map.length : 0,
+        ...(asset.compressedData && { compression, compressedSize: asset.compressedData.length }),
+        ...(asset.compressedMap && { compressedMapSize: asset.compressedMap.length }),
+        ...(!isBackground && !characters && { spriteSize, metaspriteItems: metasprite ? metasprite.length : 0 }),
+        ...(sheet && {
+            frameCount: sheetLayout.frameCount,
+            frameWidth: sheetLayout.frameWidth,
+            frameHeight: sheetLayout.frameHeight,
+            animationCount: sheet.animations.length
+        }),
+        ...(characters && { glyphCount: characters.length }),
+        ...(cgbPalettes && { paletteCount: cgbPalettes.length }),
+        validation
+    }
+}
+
 /**
  * Generates C code for GBDK from a converted image
  * @param {string} imagePath - Path of the converted image
- * @param {string} outputPath - Path of the C code file
- * @param {Object} options - Additional options
+ * @param {string} outputPath - Path of the C code file. The other files are written next to it.
+ * @param {Object} options - Additional options: the code options of generateCode and the
+ *   color options of indexConvertedImage
  * @param {boolean} options.verbose - Show detailed information
- * @param {string} options.variableName - Custom name for the variable
- * @returns {Promise<Object>} Information about the generation
+ * @param {string} options.variableName - Custom name for the variable (default: from the image name)
+ * @param {Object} options.inputFrames - Sheet mode: frame size and animations of the animated
+ *   image the strip was extracted from (returned by convertToGameBoy). Animated inputs read
+ *   directly provide their own. Used when not given by the sheet options.
+ * @param {Array<string>} options.layers - Aseprite layers to draw (default: the visible ones)
+ * @param {boolean} options.strict - Fail without writing files if the asset breaks a hardware limit
+ * @returns {Promise<Object>} Information about the generation, with the hardware limit
+ *   issues in validation (also when strict mode makes it fail). The palette indices of
+ *   indexed PNG images in the palette colors (written with the indexed option) are read
+ *   directly unless a color map is given; other images are mapped back to palette indices
+ *   by color. With exact
+ *   colors, images with off-palette pixels fail and list them in offPalettePixels.
  */
 const generateGBDKCode = async (imagePath, outputPath, options = {}) => {
-    const { verbose = true, variableName } = options
+    const { verbose = true, variableName, outputFormats = ['c'], strict = false } = options
     
     try {
-        const image = await loadImage(imagePath)
-        const canvas = createCanvas(image.width, image.height)
-        const ctx = canvas.getContext('2d')
+        const buffer = fs.readFileSync(imagePath)
+        const indexedPNG = detectImageFormat(buffer) === 'png' ? decodeIndexedPNG(buffer) : null
+        const directImage = indexedPNG && !options.colorMap && readIndexedPNGImage(indexedPNG, options)
+        const image = directImage ? null : await decodeImage(buffer, { layers: options.layers })
+        const indexed = directImage || indexConvertedImage(image, options)
         
-        ctx.drawImage(image, 0, 0)
-        const imageData = ctx.getImageData(0, 0, image.width, image.height)
-        const data = imageData.data
+        if (indexed.offPalettePixels && indexed.offPalettePixels.length > 0) {
+            const errorMessage = `Error generating GBDK code: ${formatOffPalettePixels(indexed.offPalettePixels)}`;
+            verbose && console.error(`❌ ${errorMessage}`);
+            return {
+                success: false,
+                error: errorMessage,
+                inputPath: imagePath,
+                outputPath,
+                offPalettePixels: indexed.offPalettePixels
+            };
+        }
         
-        // Calculate dimensions in tiles (8x8 pixels each)
-        const tileWidth = Math.ceil(image.width / 8)
-        const tileHeight = Math.ceil(image.height / 8)
+        const parsedOutputPath = path.parse(outputPath)
+        const generated = generateCode({ ...indexed, frames: options.inputFrames || (image && image.frames) }, {
+            ...options,
+            variableName: variableName || path.parse(imagePath).name.replace(/[^a-zA-Z0-9]/g, '_'),
+            fileName: parsedOutputPath.name,
+            strict: false
+        })
         
-        // Generate base name for variables (functional approach)
-        const baseName = variableName || path.parse(imagePath).name.replace(/[^a-zA-Z0-9]/g, '_')
-
-        // Generate tile data using functional approach
-        const tiles = Array.from({ length: tileHeight }, (_, tileY) =>
-            Array.from({ length: tileWidth }, (_, tileX) =>
-                Array.from({ length: 8 }, (_, row) => {
-                    const { lowByte, highByte } = Array.from({ length: 8 }, (_, col) => {
-                        const pixelX = tileX * 8 + col
-                        const pixelY = tileY * 8 + row
-                        
-                        if (pixelX < image.width && pixelY < image.height) {
-                            const pixelIndex = (pixelY * image.width + pixelX) * 4
-                            const r = data[pixelIndex]
-                            const g = data[pixelIndex + 1]
-                            const b = data[pixelIndex + 2]
-                            
-                            const colorValue = colorToGBDKValue(r, g, b)
-                            const bit = 7 - col
-                            
-                            return {
-                                lowBit: (colorValue & 1) ? (1 << bit) : 0,
-                                highBit: (colorValue & 2) ? (1 << bit) : 0
-                            }
-                        }
-                        return { lowBit: 0, highBit: 0 }
-                    }).reduce(
-                        (acc, { lowBit, highBit }) => ({
-                            lowByte: acc.lowByte | lowBit,
-                            highByte: acc.highByte | highBit
-                        }),
-                        { lowByte: 0, highByte: 0 }
-                    )
-                    
-                    return [lowByte, highByte]
-                })
-            ).flat()
-        ).flat(2)
+        verbose && formatValidation(generated.validation).forEach(line => console.log(line));
         
-        // Format tile data as hexadecimal strings (functional approach)
-        const hexData = Array.from({ length: Math.ceil(tiles.length / 8) }, (_, i) => {
-            const chunk = tiles.slice(i * 8, (i + 1) * 8)
-            const hexValues = chunk.map(byte => 
-                `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`
-            )
-            return `    ${hexValues.join(', ')}`
-        }).join('\n')
+        const strictError = strict && getStrictError(generated.validation);
+        if (strictError) {
+            verbose && console.error(`❌ ${strictError}`);
+            return {
+                success: false,
+                error: strictError,
+                inputPath: imagePath,
+                outputPath,
+                validation: generated.validation
+            };
+        }
         
-        // Build GBDK code using template literals (functional approach)
-        const gbdkCode = [
-            `// Automatically generated Sprite/Tile`,
-            `// Dimensions: ${image.width}x${image.height} pixels (${tileWidth}x${tileHeight} tiles)`,
-            `// Generated on: ${new Date().toISOString()}`,
-            '',
-            `#include <gb/gb.h>`,
-            '',
-            `// Sprite/tile data`,
-            `const unsigned char ${baseName}_data[] = {`,
-            hexData,
-            '};',
-            '',
-            `// Sprite/tile information:`,
-            `#define ${baseName.toUpperCase()}_WIDTH ${image.width}`,
-            `#define ${baseName.toUpperCase()}_HEIGHT ${image.height}`,
-            `#define ${baseName.toUpperCase()}_TILE_WIDTH ${tileWidth}`,
-            `#define ${baseName.toUpperCase()}_TILE_HEIGHT ${tileHeight}`,
-            `#define ${baseName.toUpperCase()}_TILE_COUNT ${tileWidth * tileHeight}`,
-            `#define ${baseName.toUpperCase()}_SIZE ${tiles.length}`,
-            '',
-            `// Usage example:`,
-            `// set_sprite_data(0, ${tileWidth * tileHeight}, ${baseName}_data);`,
-            `// set_sprite_tile(0, 0); // To use the first tile`
-        ].join('\n')
+        // Save files: the C code at outputPath, the others with the same name
+        const files = Object.entries(generated.files).map(([extension, content]) => ({
+            extension,
+            filePath: extension === '.c' ? outputPath : path.join(parsedOutputPath.dir, `${parsedOutputPath.name}${extension}`),
+            content
+        }));
         
-        // Save file
-        fs.writeFileSync(outputPath, gbdkCode);
+        files.forEach(({ filePath, content }) => fs.writeFileSync(filePath, content));
+        
+        const { code, files: contents, ...summary } = generated;
         
         if (verbose) {
-            console.log(`🎮 GBDK code generated: ${outputPath}`);
-            console.log(`📊 Tiles generated: ${tileWidth * tileHeight} (${tileWidth}x${tileHeight})`);
+            files.forEach(({ extension, filePath }) => console.log(`${GENERATED_FILE_LABELS[extension] || '💾 Binary file generated'}: ${filePath}`));
+            console.log(`📊 Tiles generated: ${summary.tilesGenerated} (${summary.tileWidth}x${summary.tileHeight})`);
+            summary.mode === 'background' && console.log(`♻️  Duplicate tiles removed: ${summary.tilesSaved}`);
+            summary.frameCount && console.log(`🎞️  Frames: ${summary.frameCount} (${summary.frameWidth}x${summary.frameHeight}), animations: ${summary.animationCount}`);
+            summary.compressedSize && console.log(`🗜️  Tile data compressed (${summary.compression}): ${summary.dataSize} → ${summary.compressedSize} bytes`);
+            summary.compressedMapSize && console.log(`🗜️  Tile map compressed (${summary.compression}): ${summary.mapSize} → ${summary.compressedMapSize} bytes`);
         }
         
         return {
             success: true,
             inputPath: imagePath,
             outputPath,
-            tilesGenerated: tileWidth * tileHeight,
-            tileWidth,
-            tileHeight,
-            dataSize: tiles.length,
-            message: `GBDK code generated: ${outputPath}`
+            ...summary,
+            files: files.map(({ filePath }) => filePath),
+            message: outputFormats.includes('c')
+                ? `GBDK code generated: ${outputPath}`
+                : `Files generated: ${files.map(({ filePath }) => filePath).join(', ')}`
         };
         
     } catch (error) {
@@ -273,41 +1398,307 @@ const generateGBDKCode = async (imagePath, outputPath, options = {}) => {
     }
 }
 
+/**
+ * Draws palette indices as opaque RGBA pixels
+ * @param {Uint8Array|Array<number>} indices - Palette index (0-3) of every pixel
+ * @param {Array<Object>} palette - Palette of 4 RGB colors
+ * @returns {Uint8ClampedArray} RGBA pixel data
+ */
+const drawIndices = (indices, palette) => {
+    const data = new Uint8ClampedArray(indices.length * 4)
+    indices.forEach((colorIndex, pixelIndex) => {
+        const { r, g, b } = palette[colorIndex]
+        const offset = pixelIndex * 4
+
+        data[offset] = r
+        data[offset + 1] = g
+        data[offset + 2] = b
+        data[offset + 3] = 255
+    })
+
+    return data
+}
+
+/**
+ * Decodes Game Boy tile data back into a PNG image: a GBDK C file (as written by
+ * generateGBDKCode) or a raw 2bpp binary such as a .2bpp file from rgbgfx
+ * @param {string} inputPath - .c/.h file or binary tile data
+ * @param {string} [outputPath] - PNG output path (default: <input>_decoded.png)
+ * @param {Object} options - Decoding options
+ * @param {boolean} options.verbose - Show detailed information
+ * @param {string|Array} options.palette - Palette to draw the tiles with (default: 'dmg')
+ * @param {string} options.arrayName - C array with the tile data (default: first *_data or *_tiles array)
+ * @param {string|Array<number>} options.tileMap - Tile map: path of a binary .tilemap file or
+ *   array of tile IDs. C files use their *_map array by default.
+ * @param {number} options.widthInTiles - Image width in tiles (default: the *_TILE_WIDTH define
+ *   of C files, otherwise up to 16)
+ * @param {string} options.spriteSize - '8x16' for sprite data stored in 8x16 order
+ * @param {boolean} options.indexed - Write a 2-bit palette-indexed PNG instead of an RGBA one
+ * @returns {Promise<Object>} Information about the decoding
+ */
+const decodeToPNG = async (inputPath, outputPath, options = {}) => {
+    const { verbose = true, arrayName, spriteSize = '8x8' } = options
+    const parsedInputPath = path.parse(inputPath)
+    const pngPath = outputPath || path.join(parsedInputPath.dir, `${parsedInputPath.name}_decoded.png`)
+
+    try {
+        const palette = resolvePalette(options.palette)
+        const isCSource = ['.c', '.h'].includes(parsedInputPath.ext.toLowerCase())
+
+        const source = isCSource
+            ? findCTileData(fs.readFileSync(inputPath, 'utf8'), arrayName)
+            : { tiles: fs.readFileSync(inputPath), map: null, widthInTiles: null }
+
+        const tileMap = typeof options.tileMap === 'string'
+            ? Array.from(fs.readFileSync(options.tileMap))
+            : (options.tileMap || source.map)
+
+        const { width, height, indices } = decodeTileData(source.tiles, {
+            tileMap,
+            widthInTiles: options.widthInTiles || source.widthInTiles,
+            spriteSize
+        })
+
+        const png = options.indexed
+            ? encodeIndexedPNG({ width, height, indices, palette })
+            : encodePNG({ width, height, data: drawIndices(indices, palette) })
+
+        fs.writeFileSync(pngPath, png)
+
+        const tileCount = source.tiles.length / BYTES_PER_TILE
+
+        verbose && console.log(`🖼️  Decoded ${tileCount} tiles to ${pngPath} (${width}x${height} pixels)`)
+
+        return {
+            success: true,
+            inputPath,
+            outputPath: pngPath,
+            width,
+            height,
+            tileCount,
+            ...(source.name && { arrayName: source.name }),
+            message: `Tiles successfully decoded: ${pngPath}`
+        }
+    } catch (error) {
+        const errorMessage = `Error decoding tiles: ${error.message}`
+
+        verbose && console.error(`❌ ${errorMessage}`)
+
+        return {
+            success: false,
+            error: errorMessage,
+            inputPath,
+            outputPath: pngPath
+        }
+    }
+}
+
 /**
  * Converts an image and optionally generates GBDK code
- * @param {string} inputPath - Input file path
+ * @param {string} inputPath - Input file path: PNG, JPEG, BMP, GIF or Aseprite (detected by
+ *   content). Every frame of animated images is converted; in sheet mode they are the
+ *   frames of the sheet and Aseprite tags become animations.
  * @param {Object} options - Configuration options
- * @param {string} options.outputPath - Custom output path
+ * @param {string} options.outputPath - Custom output path (default: <input>_gameboy.png)
  * @param {boolean} options.generateGBDK - Generate GBDK code
+ * @param {Array<string>} options.outputFormats - Code/data files to generate: 'c', 'bin'
+ *   (rgbgfx-compatible binary files) and/or 'asm' (RGBDS source). Defaults to ['c'] with
+ *   generateGBDK, [] otherwise.
+ * @param {string} options.sectionName - RGBDS section name (default: the variable name)
+ * @param {number} options.bank - ROM bank of the generated data (0-511)
+ * @param {boolean} options.header - Also generate a .h file for the C code
+ * @param {string} options.compression - Tile and map compression: none (default), rle or gbcompress
  * @param {boolean} options.verbose - Show detailed information
  * @param {string} options.variableName - Custom name for GBDK variables
- * @returns {Promise<Object>} Conversion result
+ * @param {string|Array} options.palette - Output palette: preset name (dmg, pocket, bgb,
+ *   grayscale), path of a JSON palette file or an array of 4 colors
+ * @param {string} options.dither - Dithering mode: none, floyd-steinberg, atkinson, sierra,
+ *   bayer2, bayer4 or bayer8
+ * @param {number} options.ditherStrength - Dithering strength from 0 to 1
+ * @param {string} options.colorMatch - Color matching strategy: rgb (default), luma601, luma709,
+ *   redmean, cie76 or ciede2000
+ * @param {string} options.mode - Conversion mode: tiles (default), background, sprite, sheet or font
+ * @param {number} options.frameWidth - Sheet mode: frame width in pixels
+ * @param {number} options.frameHeight - Sheet mode: frame height in pixels
+ * @param {string|Object} options.grid - Sheet mode: frames per row and column instead of the frame size
+ * @param {Object} options.animations - Sheet mode: animations by name
+ * @param {string|Object} options.sheet - Sheet mode: JSON file or object with the other sheet options
+ * @param {string|Array<string>} options.charset - Font mode: characters of the glyphs or a range like "' '..'~'"
+ * @param {boolean} options.variableWidth - Font mode: also measure the width of every glyph
+ * @param {Array<string>} options.layers - Aseprite layers to draw (default: the visible ones)
+ * @param {number} options.alphaThreshold - Sprite mode: pixels with a lower alpha are transparent (0-255, default: 128)
+ * @param {string|Array|Object} options.transparentColor - Sprite mode: key color that is also transparent
+ * @param {string} options.target - Target hardware: dmg (default) or cgb (Game Boy Color)
+ * @param {number} options.maxPalettes - Maximum number of CGB palettes (1-8, default: 8)
+ * @param {string} options.spriteSize - Hardware sprite size: 8x8 (default) or 8x16
+ * @param {boolean} options.indexed - Write the converted image as a palette-indexed PNG
+ *   (2 bits per pixel, 8 on the CGB) with a PLTE chunk and, in sprite modes, a tRNS chunk
+ * @param {boolean} options.strict - Make hardware limit errors and warnings fatal: the
+ *   conversion fails and the files of the failing step are not written
+ * @param {boolean} options.exact - Pixels must already use the palette colors: every pixel
+ *   that does not is reported with its coordinates and tile, and the conversion fails
+ * @param {string|Object} options.colorMap - Palette index of every color of the image: an
+ *   object { '#RRGGBB': index }, a JSON file or '#RRGGBB=index' pairs separated by commas.
+ *   Implies exact colors (DMG only).
+ * @param {boolean|Object} options.preview - Also write an upscaled preview of the converted
+ *   image: true or { scale (2-8, default: 4), grid, labels, duplicates }
+ * @param {boolean} options.report - Also write a standalone HTML report for reviewing the conversion
+ * @param {string|Object} options.crop - Rectangle to keep before resizing: 'x,y,width,height'
+ *   or { x, y, width, height }
+ * @param {string|Object} options.resize - Size to resize to before the palette mapping:
+ *   'screen' (160x144), 'WIDTHxHEIGHT' or { width, height }
+ * @param {string} options.fit - Resize fit mode: fit (default), fill or stretch
+ * @param {string} options.resample - Resampling: area (default) or nearest
+ * @param {boolean} options.pad - Pad the image to a multiple of 8 pixels
+ * @param {number} options.backgroundIndex - Palette index (0-3) of the padding and the fit bars
+ * @param {number} options.brightness - Brightness from -1 to 1 (default: 0)
+ * @param {number} options.contrast - Contrast from -1 to 1 (default: 0)
+ * @param {number} options.gamma - Gamma from 0.1 to 10 (default: 1)
+ * @param {boolean} options.autoLevels - Stretch the luminance histogram of the image
+ * @param {string|Array<number>} options.thresholds - 3 ascending luminance cut-offs (0-255)
+ *   between the 4 shades, instead of color matching (DMG only)
+ * @returns {Promise<Object>} Conversion result, with the hardware limit issues of the
+ *   conversion and the code generation in validation ({ valid, errors, warnings })
  */
 async function convertImage(inputPath, options = {}) {
     const {
         outputPath: customOutputPath,
         generateGBDK = false,
         verbose = true,
-        variableName
+        variableName,
+        dither = 'none',
+        ditherStrength = 1,
+        colorMatch = DEFAULT_COLOR_MATCH,
+        mode = 'tiles',
+        target = 'dmg',
+        maxPalettes = CGB_MAX_PALETTES,
+        alphaThreshold = DEFAULT_ALPHA_THRESHOLD,
+        transparentColor,
+        spriteSize = '8x8',
+        outputFormats = generateGBDK ? ['c'] : [],
+        sectionName,
+        bank,
+        header = false,
+        compression = 'none',
+        strict = false
     } = options;
     
-    // Validations
-    if (!fs.existsSync(inputPath)) {
-        const error = `File does not exist: ${inputPath}`;
+    const fail = (error) => {
         if (verbose) console.error(`❌ ${error}`);
         return { success: false, error };
+    };
+    
+    // Parses an option, naming it in the error message
+    const parseOption = (label, parse) => {
+        try {
+            return parse();
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+    };
+    
+    // Checks every option and returns the parsed ones; throws the first invalid one
+    const validateOptions = () => {
+        const palette = parseOption('Invalid palette', () => resolvePalette(options.palette));
+        
+        if (!DITHER_MODES.includes(dither)) {
+            throw new Error(`Unknown dithering mode "${dither}". Available modes: ${DITHER_MODES.join(', ')}`);
+        }
+        if (!(ditherStrength >= 0 && ditherStrength <= 1)) {
+            throw new Error('Dithering strength must be a number between 0 and 1');
+        }
+        if (!COLOR_MATCH_MODES.includes(colorMatch)) {
+            throw new Error(`Unknown color matching mode "${colorMatch}". Available modes: ${COLOR_MATCH_MODES.join(', ')}`);
+        }
+        if (!OUTPUT_MODES.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}". Available modes: ${OUTPUT_MODES.join(', ')}`);
+        }
+        if (!TARGETS.includes(target)) {
+            throw new Error(`Unknown target "${target}". Available targets: ${TARGETS.join(', ')}`);
+        }
+        if (!(Number.isInteger(maxPalettes) && maxPalettes >= 1 && maxPalettes <= CGB_MAX_PALETTES)) {
+            throw new Error(`Maximum number of CGB palettes must be an integer between 1 and ${CGB_MAX_PALETTES}`);
+        }
+        if (!SPRITE_SIZES.includes(spriteSize)) {
+            throw new Error(`Unknown sprite size "${spriteSize}". Available sizes: ${SPRITE_SIZES.join(', ')}`);
+        }
+        
+        // The sheet file is read once and passed down as an object
+        const sheet = mode === 'sheet' ? parseOption('Invalid sprite sheet', () => {
+            const sheetFile = loadSheetFile(options.sheet);
+            resolveSheetOptions({ ...options, sheet: sheetFile }, readFrameSize(inputBuffer) || {});
+            return sheetFile;
+        }) : undefined;
+        
+        if (mode === 'font') parseOption('Invalid character list', () => parseCharset(options.charset));
+        
+        const unknownFormat = outputFormats.find(format => !OUTPUT_FORMATS.includes(format));
+        if (unknownFormat !== undefined) {
+            throw new Error(`Unknown output format "${unknownFormat}". Available formats: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        if (bank !== undefined && !(Number.isInteger(bank) && bank >= 0 && bank <= MAX_ROM_BANK)) {
+            throw new Error(`ROM bank must be an integer between 0 and ${MAX_ROM_BANK}`);
+        }
+        if (!COMPRESSION_MODES.includes(compression)) {
+            throw new Error(`Unknown compression "${compression}". Available modes: ${COMPRESSION_MODES.join(', ')}`);
+        }
+        if (!(Number.isInteger(alphaThreshold) && alphaThreshold >= 0 && alphaThreshold <= 255)) {
+            throw new Error('Alpha threshold must be an integer between 0 and 255');
+        }
+        
+        if (transparentColor !== undefined && transparentColor !== null) {
+            parseOption('Invalid transparent color', () => parseColor(transparentColor));
+        }
+        
+        const colorMap = parseOption('Invalid color map', () => parseColorMap(options.colorMap));
+        if (colorMap && target === 'cgb') {
+            throw new Error('A color map can only be used with the dmg target');
+        }
+        
+        parseOption('Invalid preview', () => resolvePreviewOptions(options.preview));
+        parseOption('Invalid preprocessing', () => resolvePreprocessOptions(options));
+        
+        const adjustments = parseOption('Invalid adjustment', () => resolveAdjustments(options));
+        const thresholds = parseOption('Invalid thresholds', () => parseThresholds(options.thresholds));
+        
+        if (thresholds && target === 'cgb') {
+            throw new Error('Thresholds can only be used with the dmg target');
+        }
+        if ((adjustments || thresholds) && (options.exact || colorMap)) {
+            throw new Error('Adjustments and thresholds cannot be combined with exact colors');
+        }
+        
+        return { palette, sheet };
+    };
+    
+    // Validations
+    if (!fs.existsSync(inputPath)) {
+        return fail(`File does not exist: ${inputPath}`);
     }
     
-    if (!inputPath.toLowerCase().endsWith('.png')) {
-        const error = 'File must be a PNG image';
-        if (verbose) console.error(`❌ ${error}`);
-        return { success: false, error };
+    const inputBuffer = fs.readFileSync(inputPath);
+    if (!detectImageFormat(inputBuffer)) {
+        return fail(`Unsupported image format. Supported formats: ${INPUT_FORMATS.join(', ')}`);
+    }
+    
+    const resolved = (() => {
+        try {
+            return validateOptions();
+        } catch (error) {
+            return error;
+        }
+    })();
+    
+    if (resolved instanceof Error) {
+        return fail(resolved.message);
     }
     
+    const { palette, sheet } = resolved;
+    
     // Generate output path if not provided (functional approach)
     const outputPath = customOutputPath || (() => {
         const parsedPath = path.parse(inputPath);
-        return path.join(parsedPath.dir, `${parsedPath.name}_gameboy${parsedPath.ext}`);
+        return path.join(parsedPath.dir, `${parsedPath.name}_gameboy.png`);
     })();
     
     const result = {
@@ -319,28 +1710,105 @@ async function convertImage(inputPath, options = {}) {
     if (verbose) {
         console.log(`🔄 Converting ${inputPath} to Game Boy palette...`);
     }
-    result.conversion = await convertToGameBoy(inputPath, outputPath, { verbose });
+    result.conversion = await convertToGameBoy(inputPath, outputPath, {
+        verbose,
+        palette,
+        dither,
+        ditherStrength,
+        colorMatch,
+        target,
+        maxPalettes,
+        mode,
+        alphaThreshold,
+        transparentColor,
+        layers: options.layers,
+        indexed: options.indexed,
+        strict,
+        exact: options.exact,
+        colorMap: options.colorMap,
+        preview: options.preview,
+        report: options.report,
+        crop: options.crop,
+        resize: options.resize,
+        fit: options.fit,
+        resample: options.resample,
+        pad: options.pad,
+        backgroundIndex: options.backgroundIndex,
+        brightness: options.brightness,
+        contrast: options.contrast,
+        gamma: options.gamma,
+        autoLevels: options.autoLevels,
+        thresholds: options.thresholds,
+        // Code options, for the hardware limits of the report
+        spriteSize,
+        frameWidth: options.frameWidth,
+        frameHeight: options.frameHeight,
+        grid: options.grid,
+        animations: options.animations,
+        sheet,
+        charset: options.charset,
+        variableWidth: options.variableWidth
+    });
     
     // Generate GBDK code if requested
-    if (generateGBDK && result.conversion.success) {
+    if (outputFormats.length > 0 && result.conversion.success) {
         if (verbose) {
             console.log('🎮 Generating GBDK code...');
         }
         const parsedPath = path.parse(outputPath);
         const gbdkPath = path.join(parsedPath.dir, `${parsedPath.name}.c`);
-        result.gbdk = await generateGBDKCode(outputPath, gbdkPath, { verbose, variableName });
+        result.gbdk = await generateGBDKCode(outputPath, gbdkPath, {
+            verbose,
+            variableName,
+            palette,
+            mode,
+            target,
+            spriteSize,
+            outputFormats,
+            sectionName,
+            bank,
+            header,
+            compression,
+            frameWidth: options.frameWidth,
+            frameHeight: options.frameHeight,
+            grid: options.grid,
+            animations: options.animations,
+            sheet,
+            inputFrames: result.conversion.frames,
+            charset: options.charset,
+            variableWidth: options.variableWidth,
+            cgbPalettes: result.conversion.palettes,
+            strict,
+            // The converted image only has palette colors, also when a color map was used
+            exact: Boolean(options.exact || options.colorMap)
+        });
     }
     
     return {
-        success: result.conversion.success,
+        success: result.conversion.success && (!strict || !result.gbdk || result.gbdk.success),
+        validation: mergeValidations(result.conversion.validation, result.gbdk && result.gbdk.validation),
         ...result
     };
 }
 
 export {
     GAMEBOY_PALETTE,
+    PALETTES,
+    DITHER_MODES,
+    COLOR_MATCH_MODES,
+    OUTPUT_MODES,
+    TARGETS,
+    SPRITE_SIZES,
+    OUTPUT_FORMATS,
+    COMPRESSION_MODES,
+    resolvePalette,
+    loadPaletteFile,
+    convertImageData,
+    convertBuffer,
+    generateCode,
     convertToGameBoy,
     generateGBDKCode,
+    decodeToPNG,
     convertImage,
     findClosestGameBoyColor,
     colorToGBDKValue,
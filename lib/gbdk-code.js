@@ -0,0 +1,81 @@
+/**
+ * Formats a byte as an uppercase C hexadecimal literal
+ * @param {number} byte - Value (0-255)
+ * @returns {string} Literal like 0x3C
+ */
+const formatHexByte = (byte) => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`
+
+/**
+ * Formats data as lines of hexadecimal values for a C array initializer
+ * @param {Array<number>} bytes - Data to format
+ * @param {number} valuesPerLine - Values on each line (default: 8)
+ * @returns {string} Indented lines separated by commas
+ */
+const formatHexData = (bytes, valuesPerLine = 8) =>
+    Array.from({ length: Math.ceil(bytes.length / valuesPerLine) }, (_, i) => {
+        const chunk = bytes.slice(i * valuesPerLine, (i + 1) * valuesPerLine)
+        return `    ${chunk.map(formatHexByte).join(', ')}`
+    }).join(',\n')
+
+/**
+ * Builds the lines of a CGB palette array (RGB555 words, one palette per line)
+ * @param {string} name - Variable name
+ * @param {Array<Array<number>>} palettes - RGB555 values of every palette
+ * @returns {Array<string>} Code lines
+ */
+const formatPaletteArray = (name, palettes) => [
+    `const UWORD ${name}[] = {`,
+    palettes.map((palette, index) => {
+        const values = palette.map(value => `0x${value.toString(16).padStart(4, '0').toUpperCase()}`)
+        return `    ${values.join(', ')}${index < palettes.length - 1 ? ',' : ' '} // Palette ${index}`
+    }).join('\n'),
+    '};'
+]
+
+/**
+ * Builds the lines of a constant C array
+ * @param {string} type - C element type (e.g. 'unsigned char')
+ * @param {string} name - Variable name
+ * @param {Array<number>} bytes - Array contents
+ * @returns {Array<string>} Code lines
+ */
+const formatCArray = (type, name, bytes) => [
+    `const ${type} ${name}[] = {`,
+    formatHexData(bytes),
+    '};'
+]
+
+/**
+ * Builds the lines of a GBDK metasprite array, terminated by METASPR_TERM
+ * @param {string} name - Variable name
+ * @param {Array<Object>} items - Items { dy, dx, tile, props }
+ * @returns {Array<string>} Code lines
+ */
+const formatMetaspriteArray = (name, items) => [
+    `const metasprite_t ${name}[] = {`,
+    ...items.map(({ dy, dx, tile, props }) => `    METASPR_ITEM(${dy}, ${dx}, ${tile}, ${props}),`),
+    '    METASPR_TERM',
+    '};'
+]
+
+/**
+ * Builds the lines of a constant array of pointers to other arrays
+ * @param {string} type - C type the pointers point to (e.g. 'metasprite_t')
+ * @param {string} name - Variable name
+ * @param {Array<string>} names - Names of the arrays, one per element
+ * @returns {Array<string>} Code lines
+ */
+const formatPointerArray = (type, name, names) => [
+    `const ${type}* const ${name}[] = {`,
+    names.map(arrayName => `    ${arrayName}`).join(',\n'),
+    '};'
+]
+
+export {
+    formatHexByte,
+    formatHexData,
+    formatPaletteArray,
+    formatCArray,
+    formatMetaspriteArray,
+    formatPointerArray
+}
@@ -0,0 +1,212 @@
+// GIF disposal methods (graphic control extension)
+const DISPOSAL_RESTORE_BACKGROUND = 2
+const DISPOSAL_RESTORE_PREVIOUS = 3
+
+// Row order of interlaced images: [first row, step] of every pass
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]]
+
+/**
+ * Reads a color table
+ * @param {Buffer} buffer - GIF file
+ * @param {number} offset - Offset of the table
+ * @param {number} size - Number of colors
+ * @returns {Array<Array<number>>} [r, g, b] of every color
+ */
+const readColorTable = (buffer, offset, size) =>
+    Array.from({ length: size }, (_, i) => [buffer[offset + i * 3], buffer[offset + i * 3 + 1], buffer[offset + i * 3 + 2]])
+
+/**
+ * Reads a sequence of data sub-blocks (length byte + data, ended by a 0 length)
+ * @param {Buffer} buffer - GIF file
+ * @param {number} offset - Offset of the first sub-block
+ * @returns {Object} { data: concatenated bytes, end: offset after the terminator }
+ */
+const readSubBlocks = (buffer, offset) => {
+    const chunks = []
+    let position = offset
+
+    while (buffer[position]) {
+        const length = buffer[position]
+        chunks.push(buffer.subarray(position + 1, position + 1 + length))
+        position += 1 + length
+    }
+
+    return { data: Buffer.concat(chunks), end: position + 1 }
+}
+
+/**
+ * Decompresses GIF LZW data
+ * @param {Buffer} data - Compressed bytes
+ * @param {number} minCodeSize - LZW minimum code size
+ * @param {number} pixelCount - Number of pixels of the image
+ * @returns {Uint8Array} Color index of every pixel
+ */
+const decompressLZW = (data, minCodeSize, pixelCount) => {
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const output = new Uint8Array(pixelCount)
+    const initialTable = () => Array.from({ length: clearCode }, (_, i) => [i])
+    const state = { table: initialTable(), codeSize: minCodeSize + 1, previous: null, bit: 0, written: 0 }
+
+    const readCode = () => {
+        const code = Array.from({ length: state.codeSize }).reduce((value, _, i) => {
+            const bit = state.bit + i
+            return value | (((data[bit >> 3] >> (bit & 7)) & 1) << i)
+        }, 0)
+        state.bit += state.codeSize
+        return code
+    }
+
+    while (state.written < pixelCount && state.bit + state.codeSize <= data.length * 8) {
+        const code = readCode()
+
+        if (code === clearCode) {
+            state.table = initialTable()
+            state.codeSize = minCodeSize + 1
+            state.previous = null
+            continue
+        }
+        if (code === endCode) break
+
+        // Codes 0 to endCode are reserved, new entries start after them
+        const tableIndex = code < clearCode ? code : code - 2
+        const entry = tableIndex < state.table.length
+            ? state.table[tableIndex]
+            : [...state.previous, state.previous[0]]
+
+        if (state.previous && state.table.length + 2 < 4096) {
+            state.table.push([...state.previous, entry[0]])
+            if (state.table.length + 2 === 1 << state.codeSize && state.codeSize < 12) state.codeSize += 1
+        }
+
+        entry.forEach(value => {
+            if (state.written < pixelCount) output[state.written++] = value
+        })
+        state.previous = entry
+    }
+
+    return output
+}
+
+/**
+ * Decodes every frame of a GIF image. Frames are composed over the previous ones
+ * following their disposal method, so every frame is a full image.
+ * @param {Buffer} buffer - GIF file
+ * @returns {Object} { width, height, frames: [{ data: RGBA Uint8ClampedArray, duration: ms }] }
+ */
+const decodeGIF = (buffer) => {
+    const signature = buffer.toString('ascii', 0, 6)
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error('Not a GIF file')
+    }
+
+    const width = buffer.readUInt16LE(6)
+    const height = buffer.readUInt16LE(8)
+    const screenFlags = buffer[10]
+    const globalTableSize = screenFlags & 0x80 ? 2 << (screenFlags & 0x07) : 0
+    const globalTable = readColorTable(buffer, 13, globalTableSize)
+
+    const noControl = { disposal: 0, delay: 0, transparentIndex: null }
+
+    /**
+     * Draws one image block over the current canvas
+     * @param {number} offset - Offset of the image descriptor
+     * @param {Uint8ClampedArray} canvas - RGBA pixels of the previous frame
+     * @param {Object} control - Graphic control of the image
+     * @returns {Object} { frame, canvas: canvas for the next frame, end: offset after the image }
+     */
+    const readImage = (offset, canvas, control) => {
+        const left = buffer.readUInt16LE(offset + 1)
+        const top = buffer.readUInt16LE(offset + 3)
+        const frameWidth = buffer.readUInt16LE(offset + 5)
+        const frameHeight = buffer.readUInt16LE(offset + 7)
+        const imageFlags = buffer[offset + 9]
+        const localTableSize = imageFlags & 0x80 ? 2 << (imageFlags & 0x07) : 0
+        const colorTable = localTableSize > 0 ? readColorTable(buffer, offset + 10, localTableSize) : globalTable
+        const dataOffset = offset + 10 + localTableSize * 3
+        const { data, end } = readSubBlocks(buffer, dataOffset + 1)
+        const indices = decompressLZW(data, buffer[dataOffset], frameWidth * frameHeight)
+
+        // Destination row of every stored row (interlaced images store rows in 4 passes)
+        const rowOrder = imageFlags & 0x40
+            ? INTERLACE_PASSES.flatMap(([first, step]) =>
+                Array.from({ length: Math.ceil(Math.max(frameHeight - first, 0) / step) }, (_, i) => first + i * step))
+            : Array.from({ length: frameHeight }, (_, row) => row)
+        const isInside = (x, y) => left + x < width && top + y < height
+        const frame = Uint8ClampedArray.from(canvas)
+
+        rowOrder.forEach((y, sourceRow) => {
+            Array.from({ length: frameWidth }).forEach((_, x) => {
+                const index = indices[sourceRow * frameWidth + x]
+                const color = colorTable[index]
+                if (index === control.transparentIndex || !color || !isInside(x, y)) return
+
+                frame.set([...color, 255], ((top + y) * width + left + x) * 4)
+            })
+        })
+
+        // Disposal: what the next frame is drawn over
+        const nextCanvas = control.disposal === DISPOSAL_RESTORE_PREVIOUS
+            ? canvas
+            : control.disposal === DISPOSAL_RESTORE_BACKGROUND
+                ? frame.map((value, i) => {
+                    const x = Math.floor(i / 4) % width - left
+                    const y = Math.floor(i / 4 / width) - top
+                    return x >= 0 && y >= 0 && x < frameWidth && y < frameHeight ? 0 : value
+                })
+                : frame
+
+        return { frame: { data: frame, duration: control.delay }, canvas: nextCanvas, end }
+    }
+
+    /**
+     * Reads the blocks of the file from an offset until the trailer
+     * @param {number} start - Offset of the first block
+     * @returns {Array<Object>} Frames { data, duration }
+     */
+    const readBlocks = (start) => {
+        const frames = []
+        const state = { offset: start, canvas: new Uint8ClampedArray(width * height * 4), control: noControl }
+
+        while (state.offset < buffer.length && buffer[state.offset] !== 0x3B) {
+            const { offset } = state
+            const blockType = buffer[offset]
+
+            if (blockType === 0x21) {
+                const isGraphicControl = buffer[offset + 1] === 0xF9
+                const flags = buffer[offset + 3]
+
+                if (isGraphicControl) {
+                    state.control = {
+                        disposal: (flags >> 2) & 0x07,
+                        delay: buffer.readUInt16LE(offset + 4) * 10,
+                        transparentIndex: flags & 0x01 ? buffer[offset + 6] : null
+                    }
+                }
+                state.offset = readSubBlocks(buffer, offset + 2).end
+            } else if (blockType === 0x2C) {
+                const image = readImage(offset, state.canvas, state.control)
+
+                frames.push(image.frame)
+                Object.assign(state, { offset: image.end, canvas: image.canvas, control: noControl })
+            } else {
+                throw new Error(`Invalid GIF block 0x${blockType.toString(16)} at offset ${offset}`)
+            }
+        }
+
+        return frames
+    }
+
+    const frames = readBlocks(13 + globalTableSize * 3)
+
+    if (frames.length === 0) {
+        throw new Error('The GIF file has no frames')
+    }
+
+    return { width, height, frames }
+}
+
+export {
+    decodeGIF,
+    decompressLZW
+}
@@ -0,0 +1,194 @@
+import fs from 'fs'
+import { createCanvas, loadImage } from 'canvas'
+import { decodeGIF } from './gif.js'
+import { decodeAseprite } from './aseprite.js'
+
+// Supported input formats, detected by file content
+const INPUT_FORMATS = ['png', 'jpeg', 'gif', 'bmp', 'aseprite']
+
+// Formats that can hold several frames
+const ANIMATED_FORMATS = ['gif', 'aseprite']
+
+// Signature of every format: bytes expected at an offset
+const SIGNATURES = [
+    { format: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { format: 'jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { format: 'gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { format: 'bmp', offset: 0, bytes: [0x42, 0x4D] },
+    { format: 'aseprite', offset: 4, bytes: [0xE0, 0xA5] }
+]
+
+// Vertical blanks per second, the unit of animation frame durations
+const FRAMES_PER_SECOND = 60
+
+/**
+ * Detects the format of an image from its first bytes
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string|null} One of INPUT_FORMATS, or null if the format is not supported
+ */
+const detectImageFormat = (buffer) => {
+    const signature = SIGNATURES.find(({ offset, bytes }) =>
+        buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte))
+
+    return signature ? signature.format : null
+}
+
+/**
+ * Reads the frame size of an animated image from its header, without decoding it
+ * @param {Buffer} buffer - GIF or Aseprite file contents
+ * @returns {Object|null} { frameWidth, frameHeight }, or null for other formats
+ */
+const readFrameSize = (buffer) => {
+    const format = detectImageFormat(buffer)
+
+    if (format === 'gif') return { frameWidth: buffer.readUInt16LE(6), frameHeight: buffer.readUInt16LE(8) }
+    if (format === 'aseprite') return { frameWidth: buffer.readUInt16LE(8), frameHeight: buffer.readUInt16LE(10) }
+    return null
+}
+
+/**
+ * Converts a frame duration to vertical blanks
+ * @param {number} milliseconds - Frame duration in milliseconds
+ * @returns {number} Duration in 1/60 s (1-255)
+ */
+const toFrameDuration = (milliseconds) =>
+    Math.min(Math.max(Math.round(milliseconds * FRAMES_PER_SECOND / 1000), 1), 255)
+
+/**
+ * Turns a tag name into a valid animation name (C identifier)
+ * @param {string} name - Tag name
+ * @returns {string} Animation name
+ */
+const toAnimationName = (name) => {
+    const identifier = name.replace(/[^a-zA-Z0-9_]/g, '_')
+    return /^[0-9]/.test(identifier) || identifier === '' ? `_${identifier}` : identifier
+}
+
+/**
+ * Lists the frames of a tag in playback order
+ * @param {Object} tag - { from, to, direction }
+ * @returns {Array<number>} Frame numbers
+ */
+const tagFrames = ({ from, to, direction }) => {
+    const forward = Array.from({ length: to - from + 1 }, (_, i) => from + i)
+    const pingpong = [...forward, ...forward.slice(1, -1).reverse()]
+
+    return {
+        forward,
+        reverse: [...forward].reverse(),
+        pingpong,
+        pingpong_reverse: [...pingpong].reverse()
+    }[direction] || forward
+}
+
+/**
+ * Builds the animations of an animated image: one per tag, or a single 'all' animation
+ * with every frame when the image has no tags
+ * @param {Array<Object>} frames - Decoded frames { duration: ms }
+ * @param {Array<Object>} tags - Tags { name, from, to, direction }
+ * @returns {Object} Animations by name, in the format of the sheet options
+ */
+const buildInputAnimations = (frames, tags = []) => {
+    const sequences = tags.length > 0
+        ? tags.map(tag => [toAnimationName(tag.name), tagFrames(tag)])
+        : [['all', frames.map((_, frame) => frame)]]
+
+    return Object.fromEntries(sequences.map(([name, frameNumbers]) => [
+        name,
+        frameNumbers
+            .filter(frame => frame < frames.length)
+            .map(frame => ({ frame, duration: toFrameDuration(frames[frame].duration) }))
+    ]))
+}
+
+/**
+ * Decodes a still image (PNG, JPEG or BMP) with canvas
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<Object>} { width, height, data }
+ */
+const decodeStillImage = async (buffer) => {
+    const image = await loadImage(buffer)
+    const canvas = createCanvas(image.width, image.height)
+    const ctx = canvas.getContext('2d')
+
+    ctx.drawImage(image, 0, 0)
+
+    return {
+        width: image.width,
+        height: image.height,
+        data: ctx.getImageData(0, 0, image.width, image.height).data
+    }
+}
+
+/**
+ * Lays the frames of an animated image side by side in a horizontal strip
+ * @param {Object} decoded - { width, height, frames: [{ data }] }
+ * @returns {Uint8ClampedArray} RGBA pixels of the strip
+ */
+const buildFrameStrip = ({ width, height, frames }) => {
+    const stripWidth = width * frames.length
+    const strip = new Uint8ClampedArray(stripWidth * height * 4)
+
+    frames.forEach((frame, index) => {
+        Array.from({ length: height }).forEach((_, y) => {
+            strip.set(frame.data.subarray(y * width * 4, (y + 1) * width * 4), (y * stripWidth + index * width) * 4)
+        })
+    })
+
+    return strip
+}
+
+/**
+ * Decodes an image in any supported format. The format is detected by content. Animated
+ * images (GIF and Aseprite) are returned as a horizontal strip with every frame, and their
+ * tags (or all their frames) as animations.
+ * @param {Buffer} buffer - Image file contents
+ * @param {Object} options - Decoding options
+ * @param {Array<string>} options.layers - Aseprite layers to draw (default: the visible ones)
+ * @returns {Promise<Object>} { format, width, height, data, frames } - frames is
+ *   { frameWidth, frameHeight, frameCount, animations } for animated images, null otherwise
+ */
+const decodeImage = async (buffer, options = {}) => {
+    const format = detectImageFormat(buffer)
+
+    if (!format) {
+        throw new Error(`Unsupported image format. Supported formats: ${INPUT_FORMATS.join(', ')}`)
+    }
+
+    if (!ANIMATED_FORMATS.includes(format)) {
+        return { format, ...(await decodeStillImage(buffer)), frames: null }
+    }
+
+    const decoded = format === 'gif' ? decodeGIF(buffer) : decodeAseprite(buffer, options)
+
+    return {
+        format,
+        width: decoded.width * decoded.frames.length,
+        height: decoded.height,
+        data: buildFrameStrip(decoded),
+        frames: {
+            frameWidth: decoded.width,
+            frameHeight: decoded.height,
+            frameCount: decoded.frames.length,
+            animations: buildInputAnimations(decoded.frames, decoded.tags)
+        }
+    }
+}
+
+/**
+ * Reads an image file in any supported format (see decodeImage)
+ * @param {string} inputPath - Image file path
+ * @param {Object} options - Decoding options
+ * @returns {Promise<Object>} { format, width, height, data, frames }
+ */
+const readImage = (inputPath, options = {}) => decodeImage(fs.readFileSync(inputPath), options)
+
+export {
+    INPUT_FORMATS,
+    ANIMATED_FORMATS,
+    detectImageFormat,
+    readFrameSize,
+    buildInputAnimations,
+    decodeImage,
+    readImage
+}
@@ -0,0 +1,130 @@
+import fs from 'fs'
+
+/**
+ * Built-in output palettes. Every palette has exactly 4 colors ordered from
+ * lightest (GBDK value 0) to darkest (GBDK value 3).
+ */
+const PALETTES = {
+    // Original DMG (4 shades of green)
+    dmg: [
+        { r: 155, g: 188, b: 15 },   // Lightest green
+        { r: 139, g: 172, b: 15 },   // Light green
+        { r: 48, g: 98, b: 48 },     // Dark green
+        { r: 15, g: 56, b: 15 }      // Darkest green
+    ],
+    // Game Boy Pocket (4 shades of gray)
+    pocket: [
+        { r: 196, g: 207, b: 161 },
+        { r: 139, g: 149, b: 109 },
+        { r: 77, g: 83, b: 60 },
+        { r: 31, g: 31, b: 31 }
+    ],
+    // Default palette of the BGB emulator
+    bgb: [
+        { r: 224, g: 248, b: 208 },
+        { r: 136, g: 192, b: 112 },
+        { r: 52, g: 104, b: 86 },
+        { r: 8, g: 24, b: 32 }
+    ],
+    // Pure grayscale
+    grayscale: [
+        { r: 255, g: 255, b: 255 },
+        { r: 170, g: 170, b: 170 },
+        { r: 85, g: 85, b: 85 },
+        { r: 0, g: 0, b: 0 }
+    ]
+}
+
+const DEFAULT_PALETTE = 'dmg'
+
+/**
+ * Parses a single palette color
+ * @param {string|Array<number>|Object} value - '#RRGGBB', [r, g, b] or {r, g, b}
+ * @returns {Object} RGB color {r, g, b}
+ */
+const parseColor = (value) => {
+    const channels = (() => {
+        if (typeof value === 'string') {
+            const hex = value.trim().replace(/^#/, '')
+            if (!/^[0-9a-fA-F]{6}$/.test(hex)) return null
+            return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16))
+        }
+        if (Array.isArray(value)) return value
+        if (value && typeof value === 'object') return [value.r, value.g, value.b]
+        return null
+    })()
+
+    const isValid = channels && channels.length === 3 && channels.every(channel =>
+        Number.isInteger(channel) && channel >= 0 && channel <= 255
+    )
+
+    if (!isValid) {
+        throw new Error(`Invalid palette color: ${JSON.stringify(value)}`)
+    }
+
+    const [r, g, b] = channels
+    return { r, g, b }
+}
+
+/**
+ * Builds a palette from a list of 4 colors
+ * @param {Array} colors - 4 colors in any format accepted by parseColor
+ * @returns {Array<Object>} Palette of 4 RGB colors
+ */
+const createPalette = (colors) => {
+    if (!Array.isArray(colors) || colors.length !== 4) {
+        throw new Error('A palette must contain exactly 4 colors')
+    }
+
+    return colors.map(parseColor)
+}
+
+/**
+ * Loads a palette from a JSON file
+ * The file may contain an array of 4 colors or an object with a "colors" array
+ * @param {string} filePath - Path of the JSON palette file
+ * @returns {Array<Object>} Palette of 4 RGB colors
+ */
+const loadPaletteFile = (filePath) => {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+
+    return createPalette(Array.isArray(content) ? content : content.colors)
+}
+
+/**
+ * Resolves any supported palette option to a list of 4 RGB colors
+ * @param {string|Array|Object|null} [palette] - Preset name, path of a JSON palette file,
+ *   array of 4 colors or object with a "colors" array. Defaults to the DMG palette
+ *   (also for null).
+ * @returns {Array<Object>} Palette of 4 RGB colors
+ */
+const resolvePalette = (palette) => {
+    if (palette === undefined || palette === null) return PALETTES[DEFAULT_PALETTE]
+
+    if (typeof palette === 'string') {
+        if (Object.hasOwn(PALETTES, palette)) return PALETTES[palette]
+        if (palette.toLowerCase().endsWith('.json')) return loadPaletteFile(palette)
+
+        throw new Error(`Unknown palette "${palette}". Available palettes: ${Object.keys(PALETTES).join(', ')}`)
+    }
+
+    return createPalette(Array.isArray(palette) ? palette : palette.colors)
+}
+
+/**
+ * Formats a color as an uppercase hexadecimal string
+ * @param {Object} color - RGB color {r, g, b}
+ * @returns {string} Color as '#RRGGBB'
+ */
+const colorToHex = ({ r, g, b }) =>
+    `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`
+
+export {
+    PALETTES,
+    DEFAULT_PALETTE,
+    parseColor,
+    createPalette,
+    loadPaletteFile,
+    resolvePalette,
+    colorToHex
+}
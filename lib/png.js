@@ -0,0 +1,226 @@
+import zlib from 'zlib'
+
+// PNG file signature
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+
+// IHDR color type of palette-indexed images
+const COLOR_TYPE_INDEXED = 3
+
+// CRC-32 of every byte value (polynomial 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) =>
+    Array.from({ length: 8 }).reduce(crc => (crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1), byte) >>> 0
+)
+
+/**
+ * Calculates the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC-32 (unsigned)
+ */
+const crc32 = (bytes) =>
+    (bytes.reduce((crc, byte) => CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8), 0xFFFFFFFF) ^ 0xFFFFFFFF) >>> 0
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC
+ * @param {string} type - Chunk type (4 ASCII characters)
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+const createChunk = (type, data) => {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), Buffer.from(data)])
+    const length = Buffer.alloc(4)
+    const crc = Buffer.alloc(4)
+
+    length.writeUInt32BE(data.length)
+    crc.writeUInt32BE(crc32(typeAndData))
+
+    return Buffer.concat([length, typeAndData, crc])
+}
+
+/**
+ * Encodes a palette-indexed PNG image (color type 3). Images with up to 4 colors are
+ * written with 2 bits per pixel, larger palettes with 8.
+ * @param {Object} image - Indexed image
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {Uint8Array|Array<number>} image.indices - Palette index of every pixel
+ * @param {Array<Object>} image.palette - Palette colors {r, g, b} (up to 256)
+ * @param {Array<number>} image.transparentIndices - Palette indices written as fully
+ *   transparent (tRNS chunk, default: none)
+ * @returns {Buffer} PNG file contents
+ */
+const encodeIndexedPNG = ({ width, height, indices, palette, transparentIndices = [] }) => {
+    if (palette.length === 0 || palette.length > 256) {
+        throw new Error(`Indexed PNG images need 1 to 256 palette colors, got ${palette.length}`)
+    }
+
+    const bitDepth = palette.length <= 4 ? 2 : 8
+    const pixelsPerByte = 8 / bitDepth
+    const rowLength = Math.ceil(width / pixelsPerByte)
+
+    const header = Buffer.alloc(13)
+    header.writeUInt32BE(width, 0)
+    header.writeUInt32BE(height, 4)
+    header.set([bitDepth, COLOR_TYPE_INDEXED, 0, 0, 0], 8)
+
+    // Every row starts with filter type 0 (none), pixels are packed from the high bits
+    const rows = new Uint8Array((rowLength + 1) * height)
+    indices.forEach((colorIndex, pixelIndex) => {
+        const x = pixelIndex % width
+        const y = (pixelIndex - x) / width
+        const shift = 8 - bitDepth * (x % pixelsPerByte + 1)
+
+        rows[y * (rowLength + 1) + 1 + Math.floor(x / pixelsPerByte)] |= colorIndex << shift
+    })
+
+    const lastTransparent = Math.max(-1, ...transparentIndices)
+    const alphas = Array.from({ length: lastTransparent + 1 }, (_, index) => transparentIndices.includes(index) ? 0 : 255)
+
+    return Buffer.concat([
+        Buffer.from(PNG_SIGNATURE),
+        createChunk('IHDR', header),
+        createChunk('PLTE', palette.flatMap(({ r, g, b }) => [r, g, b])),
+        ...(alphas.length > 0 ? [createChunk('tRNS', alphas)] : []),
+        createChunk('IDAT', zlib.deflateSync(rows)),
+        createChunk('IEND', [])
+    ])
+}
+
+/**
+ * Reads the chunks of a PNG file, up to the IEND chunk
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Array<Object>} Chunks { type, data }
+ */
+const readChunks = (buffer) => {
+    const chunks = []
+    let offset = PNG_SIGNATURE.length
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset)
+        const type = buffer.toString('ascii', offset + 4, offset + 8)
+
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) })
+        if (type === 'IEND') break
+
+        offset += 12 + length
+    }
+
+    return chunks
+}
+
+/**
+ * Paeth predictor of PNG filter type 4
+ * @param {number} left - Byte to the left
+ * @param {number} up - Byte above
+ * @param {number} upLeft - Byte above and to the left
+ * @returns {number} Predicted byte
+ */
+const paethPredictor = (left, up, upLeft) => {
+    const estimate = left + up - upLeft
+    const leftDistance = Math.abs(estimate - left)
+    const upDistance = Math.abs(estimate - up)
+    const upLeftDistance = Math.abs(estimate - upLeft)
+
+    if (leftDistance <= upDistance && leftDistance <= upLeftDistance) return left
+    return upDistance <= upLeftDistance ? up : upLeft
+}
+
+/**
+ * Reverses the PNG row filters of indexed image data (1 byte per filter unit)
+ * @param {Uint8Array} data - Inflated image data: filter type + row bytes per row
+ * @param {number} rowLength - Bytes per row without the filter type
+ * @param {number} height - Number of rows
+ * @returns {Uint8Array} Unfiltered rows, without filter types
+ */
+const unfilterRows = (data, rowLength, height) => {
+    const rows = new Uint8Array(rowLength * height)
+
+    Array.from({ length: height }).forEach((_, y) => {
+        const filterType = data[y * (rowLength + 1)]
+        const source = data.subarray(y * (rowLength + 1) + 1, (y + 1) * (rowLength + 1))
+        const at = (x, rowOffset) => x >= 0 && y + rowOffset >= 0 ? rows[(y + rowOffset) * rowLength + x] : 0
+
+        if (filterType > 4) {
+            throw new Error(`Invalid PNG filter type ${filterType} in row ${y}`)
+        }
+
+        source.forEach((value, x) => {
+            const left = at(x - 1, 0)
+            const up = at(x, -1)
+            const predicted = filterType === 1 ? left
+                : filterType === 2 ? up
+                : filterType === 3 ? (left + up) >> 1
+                : filterType === 4 ? paethPredictor(left, up, at(x - 1, -1))
+                : 0
+
+            rows[y * rowLength + x] = (value + predicted) & 0xFF
+        })
+    })
+
+    return rows
+}
+
+/**
+ * Decodes a palette-indexed PNG image (color type 3, non-interlaced) into its palette
+ * indices, without converting them to colors
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object|null} { width, height, bitDepth, indices, palette, alphas } - palette
+ *   holds the PLTE colors {r, g, b} and alphas the alpha of every palette color (tRNS,
+ *   255 by default). Returns null for PNG images that are not indexed.
+ */
+const decodeIndexedPNG = (buffer) => {
+    if (!PNG_SIGNATURE.every((byte, i) => buffer[i] === byte)) {
+        throw new Error('Not a PNG file')
+    }
+
+    const chunks = readChunks(buffer)
+    const header = chunks.find(chunk => chunk.type === 'IHDR')
+    if (!header) {
+        throw new Error('The PNG file has no IHDR chunk')
+    }
+
+    const width = header.data.readUInt32BE(0)
+    const height = header.data.readUInt32BE(4)
+    const [bitDepth, colorType, , , interlace] = header.data.subarray(8, 13)
+
+    if (colorType !== COLOR_TYPE_INDEXED) return null
+
+    if (interlace !== 0) {
+        throw new Error('Interlaced indexed PNG images are not supported')
+    }
+
+    const paletteChunk = chunks.find(chunk => chunk.type === 'PLTE')
+    if (!paletteChunk) {
+        throw new Error('The indexed PNG file has no PLTE chunk')
+    }
+
+    const transparency = chunks.find(chunk => chunk.type === 'tRNS')
+    const palette = Array.from({ length: paletteChunk.data.length / 3 }, (_, i) => ({
+        r: paletteChunk.data[i * 3],
+        g: paletteChunk.data[i * 3 + 1],
+        b: paletteChunk.data[i * 3 + 2]
+    }))
+    const alphas = palette.map((_, i) => transparency && i < transparency.data.length ? transparency.data[i] : 255)
+
+    const pixelsPerByte = 8 / bitDepth
+    const rowLength = Math.ceil(width / pixelsPerByte)
+    const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data))
+    const rows = unfilterRows(zlib.inflateSync(compressed), rowLength, height)
+    const mask = (1 << bitDepth) - 1
+
+    const indices = new Uint8Array(width * height).map((_, pixelIndex) => {
+        const x = pixelIndex % width
+        const y = (pixelIndex - x) / width
+        const byte = rows[y * rowLength + Math.floor(x / pixelsPerByte)]
+
+        return (byte >> (8 - bitDepth * (x % pixelsPerByte + 1))) & mask
+    })
+
+    return { width, height, bitDepth, indices, palette, alphas }
+}
+
+export {
+    COLOR_TYPE_INDEXED,
+    crc32,
+    encodeIndexedPNG,
+    decodeIndexedPNG
+}
@@ -0,0 +1,241 @@
+import { TILE_SIZE } from './tiles.js'
+import { parseSize } from './spritesheet.js'
+
+// Size of the Game Boy screen in pixels
+const SCREEN_WIDTH = 160
+const SCREEN_HEIGHT = 144
+
+// How an image is resized to a size with another aspect ratio: 'fit' shows the whole image
+// with bars of the background color, 'fill' covers the size and crops the overflow (centered)
+// and 'stretch' changes the aspect ratio
+const FIT_MODES = ['fit', 'fill', 'stretch']
+
+// 'nearest' keeps hard pixel edges (pixel art), 'area' averages every source pixel a
+// destination pixel covers (photos and screenshots)
+const RESAMPLING_MODES = ['nearest', 'area']
+
+// Weights below this are rounding errors of the sample positions
+const MIN_WEIGHT = 1e-9
+
+/**
+ * Parses a crop rectangle
+ * @param {string|Object} crop - 'x,y,width,height' or { x, y, width, height }
+ * @returns {Object} { x, y, width, height }
+ */
+const parseCrop = (crop) => {
+    const [x, y, width, height] = typeof crop === 'string'
+        ? crop.split(',').map(value => value.trim() === '' ? NaN : Number(value))
+        : [crop.x, crop.y, crop.width, crop.height]
+
+    if (![x, y].every(value => Number.isInteger(value) && value >= 0) || ![width, height].every(value => Number.isInteger(value) && value > 0)) {
+        throw new Error(`Invalid crop rectangle ${JSON.stringify(crop)}. Use x,y,width,height with a positive width and height`)
+    }
+
+    return { x, y, width, height }
+}
+
+/**
+ * Parses a resize target
+ * @param {string|Object} resize - 'screen' (160x144), 'WIDTHxHEIGHT' or { width, height }
+ * @returns {Object} { width, height }
+ */
+const parseResize = (resize) => {
+    if (resize === 'screen') return { width: SCREEN_WIDTH, height: SCREEN_HEIGHT }
+
+    const size = typeof resize === 'object' ? [resize.width, resize.height] : parseSize(resize)
+
+    if (!size || !size.every(value => Number.isInteger(value) && value > 0)) {
+        throw new Error(`Invalid size ${JSON.stringify(resize)}. Use "screen" or WIDTHxHEIGHT`)
+    }
+
+    return { width: size[0], height: size[1] }
+}
+
+/**
+ * Resolves the preprocessing options of a conversion
+ * @param {Object} options - Conversion options
+ * @param {string|Object} options.crop - Rectangle to keep (see parseCrop)
+ * @param {string|Object} options.resize - Target size (see parseResize)
+ * @param {string} options.fit - Fit mode of the resize (see FIT_MODES, default: 'fit')
+ * @param {string} options.resample - Resampling mode (see RESAMPLING_MODES, default: 'area')
+ * @param {boolean} options.pad - Pad the width and height to a multiple of 8
+ * @param {number} options.backgroundIndex - Palette index (0-3) of the padding and of the
+ *   bars of the fit mode (default: 0)
+ * @returns {Object|null} { crop, resize, fit, resample, pad, backgroundIndex }, or null
+ *   without crop, resize or padding
+ */
+const resolvePreprocessOptions = (options = {}) => {
+    const { fit = 'fit', resample = 'area', pad = false, backgroundIndex = 0 } = options
+
+    if (!FIT_MODES.includes(fit)) {
+        throw new Error(`Unknown fit mode "${fit}". Available modes: ${FIT_MODES.join(', ')}`)
+    }
+    if (!RESAMPLING_MODES.includes(resample)) {
+        throw new Error(`Unknown resampling mode "${resample}". Available modes: ${RESAMPLING_MODES.join(', ')}`)
+    }
+    if (!(Number.isInteger(backgroundIndex) && backgroundIndex >= 0 && backgroundIndex <= 3)) {
+        throw new Error('Background index must be an integer between 0 and 3')
+    }
+
+    const crop = options.crop === undefined || options.crop === null ? null : parseCrop(options.crop)
+    const resize = options.resize === undefined || options.resize === null ? null : parseResize(options.resize)
+
+    return crop || resize || pad
+        ? { crop, resize, fit, resample, pad: Boolean(pad), backgroundIndex }
+        : null
+}
+
+/**
+ * Lists the source pixels every destination pixel of one axis samples
+ * @param {number} start - First source coordinate of the sampled region
+ * @param {number} length - Length of the sampled region (can be fractional)
+ * @param {number} size - Number of destination pixels
+ * @param {number} sourceSize - Number of source pixels
+ * @param {string} resample - Resampling mode
+ * @returns {Array<Array<Object>>} Samples { index, weight } of every destination pixel
+ */
+const axisSamples = (start, length, size, sourceSize, resample) => Array.from({ length: size }, (_, position) => {
+    const from = start + position * length / size
+    const to = start + (position + 1) * length / size
+    const clamp = (index) => Math.min(Math.max(index, 0), sourceSize - 1)
+
+    if (resample === 'nearest') return [{ index: clamp(Math.floor((from + to) / 2)), weight: 1 }]
+
+    const first = Math.floor(from)
+    return Array.from({ length: Math.ceil(to) - first }, (_, i) => ({
+        index: clamp(first + i),
+        weight: Math.min(to, first + i + 1) - Math.max(from, first + i)
+    })).filter(sample => sample.weight > MIN_WEIGHT)
+})
+
+/**
+ * Resamples a region of an image. Colors are weighted by alpha, so transparent pixels do
+ * not darken the edges of sprites.
+ * @param {Object} image - { width, height, data: RGBA pixels }
+ * @param {Object} region - Source region { x, y, width, height } (can be fractional)
+ * @param {number} width - Destination width in pixels
+ * @param {number} height - Destination height in pixels
+ * @param {string} resample - Resampling mode
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+const resampleRegion = (image, region, width, height, resample) => {
+    const columns = axisSamples(region.x, region.width, width, image.width, resample)
+    const rows = axisSamples(region.y, region.height, height, image.height, resample)
+    const data = new Uint8ClampedArray(width * height * 4)
+
+    rows.forEach((rowSamples, y) => columns.forEach((columnSamples, x) => {
+        // [red, green, blue] × alpha × weight, alpha × weight and weight
+        const sums = rowSamples.reduce((rowSums, row) => columnSamples.reduce((pixelSums, column) => {
+            const offset = (row.index * image.width + column.index) * 4
+            const weight = row.weight * column.weight
+            const alphaWeight = image.data[offset + 3] * weight
+
+            pixelSums[0] += image.data[offset] * alphaWeight
+            pixelSums[1] += image.data[offset + 1] * alphaWeight
+            pixelSums[2] += image.data[offset + 2] * alphaWeight
+            pixelSums[3] += alphaWeight
+            pixelSums[4] += weight
+            return pixelSums
+        }, rowSums), [0, 0, 0, 0, 0])
+        const offset = (y * width + x) * 4
+
+        data[offset] = sums[3] > 0 ? sums[0] / sums[3] : 0
+        data[offset + 1] = sums[3] > 0 ? sums[1] / sums[3] : 0
+        data[offset + 2] = sums[3] > 0 ? sums[2] / sums[3] : 0
+        data[offset + 3] = sums[3] / sums[4]
+    }))
+
+    return data
+}
+
+/**
+ * Computes where the image goes: the source region, the size of the resized content and
+ * its position in the output
+ * @param {Object} region - Source region { x, y, width, height } after cropping
+ * @param {Object} resize - Target size { width, height }, or null to keep the size
+ * @param {string} fit - Fit mode
+ * @returns {Object} { source, content: { x, y, width, height }, width, height }
+ */
+const computeLayout = (region, resize, fit) => {
+    if (!resize || fit === 'stretch') {
+        const { width, height } = resize || region
+        return { source: region, content: { x: 0, y: 0, width, height }, width, height }
+    }
+
+    const scaleX = resize.width / region.width
+    const scaleY = resize.height / region.height
+
+    if (fit === 'fill') {
+        const scale = Math.max(scaleX, scaleY)
+        const sourceWidth = resize.width / scale
+        const sourceHeight = resize.height / scale
+
+        return {
+            source: {
+                x: region.x + (region.width - sourceWidth) / 2,
+                y: region.y + (region.height - sourceHeight) / 2,
+                width: sourceWidth,
+                height: sourceHeight
+            },
+            content: { x: 0, y: 0, ...resize },
+            ...resize
+        }
+    }
+
+    const scale = Math.min(scaleX, scaleY)
+    const width = Math.min(Math.max(Math.round(region.width * scale), 1), resize.width)
+    const height = Math.min(Math.max(Math.round(region.height * scale), 1), resize.height)
+
+    return {
+        source: region,
+        content: { x: Math.floor((resize.width - width) / 2), y: Math.floor((resize.height - height) / 2), width, height },
+        ...resize
+    }
+}
+
+/**
+ * Crops, resizes and pads an image before it is mapped to the palette
+ * @param {Object} imageData - ImageData-like object { width, height, data: RGBA pixels }
+ * @param {Object} options - Preprocessing options (see resolvePreprocessOptions)
+ * @param {Object} background - RGBA color { r, g, b, a } of the padding and the fit bars
+ * @returns {Object} { width, height, data, content } - content is the rectangle
+ *   { x, y, width, height } of the image in the output; the rest is background
+ */
+const preprocessImage = (imageData, options, background) => {
+    const { crop, resize, fit, resample, pad } = options
+    const region = crop || { x: 0, y: 0, width: imageData.width, height: imageData.height }
+
+    if (region.x + region.width > imageData.width || region.y + region.height > imageData.height) {
+        throw new Error(`The crop rectangle ${region.x},${region.y},${region.width},${region.height} is outside the ${imageData.width}x${imageData.height} image`)
+    }
+
+    const layout = computeLayout(region, resize, fit)
+    const { content } = layout
+    const width = pad ? Math.ceil(layout.width / TILE_SIZE) * TILE_SIZE : layout.width
+    const height = pad ? Math.ceil(layout.height / TILE_SIZE) * TILE_SIZE : layout.height
+    const pixels = resampleRegion(imageData, layout.source, content.width, content.height, resample)
+    const backgroundPixel = [background.r, background.g, background.b, background.a]
+
+    const data = new Uint8ClampedArray(width * height * 4).map((_, i) => {
+        const pixel = i >> 2
+        const x = pixel % width - content.x
+        const y = Math.floor(pixel / width) - content.y
+
+        return x >= 0 && y >= 0 && x < content.width && y < content.height
+            ? pixels[(y * content.width + x) * 4 + (i % 4)]
+            : backgroundPixel[i % 4]
+    })
+
+    return { width, height, data, content }
+}
+
+export {
+    SCREEN_WIDTH,
+    SCREEN_HEIGHT,
+    FIT_MODES,
+    RESAMPLING_MODES,
+    parseCrop,
+    parseResize,
+    resolvePreprocessOptions,
+    preprocessImage
+}
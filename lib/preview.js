@@ -0,0 +1,130 @@
+import { createCanvas, ImageData } from 'canvas'
+import { TILE_SIZE, encodeTiles, findDuplicateTiles } from './tiles.js'
+
+// Upscaling factors of the preview
+const MIN_PREVIEW_SCALE = 2
+const MAX_PREVIEW_SCALE = 8
+const DEFAULT_PREVIEW_SCALE = 4
+
+// Checkerboard drawn behind transparent pixels: square size in source pixels and gray levels
+const CHECKER_SIZE = 4
+const CHECKER_SHADES = [204, 153]
+
+// Overlay colors
+const GRID_COLOR = 'rgba(255, 0, 255, 0.6)'
+const DUPLICATE_FILL = 'rgba(255, 0, 0, 0.35)'
+const DUPLICATE_STROKE = 'rgba(255, 0, 0, 0.9)'
+const LABEL_COLOR = '#FFFFFF'
+const LABEL_OUTLINE = '#000000'
+
+/**
+ * Resolves the preview option of a conversion
+ * @param {boolean|Object} preview - true for the defaults, or { scale, grid, labels, duplicates }
+ * @returns {Object|null} { scale, grid, labels, duplicates }, or null without a preview
+ */
+const resolvePreviewOptions = (preview) => {
+    if (!preview) return null
+
+    const { scale = DEFAULT_PREVIEW_SCALE, grid = false, labels = false, duplicates = false } = preview === true ? {} : preview
+
+    if (!(Number.isInteger(scale) && scale >= MIN_PREVIEW_SCALE && scale <= MAX_PREVIEW_SCALE)) {
+        throw new Error(`Preview scale must be an integer between ${MIN_PREVIEW_SCALE} and ${MAX_PREVIEW_SCALE}`)
+    }
+
+    return { scale, grid: Boolean(grid), labels: Boolean(labels), duplicates: Boolean(duplicates) }
+}
+
+/**
+ * Upscales RGBA pixels with nearest-neighbor sampling, blending transparent pixels over a
+ * checkerboard
+ * @param {Object} image - { width, height, data: RGBA pixels }
+ * @param {number} scale - Upscaling factor
+ * @returns {Uint8ClampedArray} RGBA pixels of the upscaled image (opaque)
+ */
+const upscalePixels = ({ width, height, data }, scale) => {
+    const scaledWidth = width * scale
+
+    return new Uint8ClampedArray(scaledWidth * height * scale * 4).map((_, i) => {
+        if (i % 4 === 3) return 255
+
+        const pixel = i >> 2
+        const x = Math.floor((pixel % scaledWidth) / scale)
+        const y = Math.floor(Math.floor(pixel / scaledWidth) / scale)
+        const offset = (y * width + x) * 4
+        const alpha = data[offset + 3] / 255
+        const checker = CHECKER_SHADES[(Math.floor(x / CHECKER_SIZE) + Math.floor(y / CHECKER_SIZE)) % 2]
+
+        return data[offset + (i % 4)] * alpha + checker * (1 - alpha)
+    })
+}
+
+/**
+ * Renders a nearest-neighbor upscaled preview of a converted image, optionally with the
+ * 8x8 tile grid, tile index labels (row by row) and highlighted duplicate tiles
+ * @param {Object} image - Converted image { width, height, data, indices } (see convertImageData)
+ * @param {Object} options - Preview options
+ * @param {number} options.scale - Upscaling factor (2-8, default: 4)
+ * @param {boolean} options.grid - Draw the tile grid
+ * @param {boolean} options.labels - Write the index of every tile
+ * @param {boolean} options.duplicates - Highlight the tiles that repeat an earlier tile
+ *   (mirrored tiles also count on the CGB), labelled with the index of that tile
+ * @returns {Buffer} PNG file contents
+ */
+const renderPreview = (image, options = {}) => {
+    const { scale, grid, labels, duplicates } = resolvePreviewOptions({ ...options })
+    const { width, height } = image
+    const tileSize = TILE_SIZE * scale
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const tileHeight = Math.ceil(height / TILE_SIZE)
+
+    const canvas = createCanvas(width * scale, height * scale)
+    const ctx = canvas.getContext('2d')
+    ctx.putImageData(new ImageData(upscalePixels(image, scale), width * scale, height * scale), 0, 0)
+
+    const tilePositions = Array.from({ length: tileWidth * tileHeight }, (_, tile) => ({
+        tile,
+        x: (tile % tileWidth) * tileSize,
+        y: Math.floor(tile / tileWidth) * tileSize
+    }))
+    const duplicateOf = duplicates
+        ? findDuplicateTiles(encodeTiles(image.indices, width, height), { allowFlips: image.target === 'cgb' })
+        : []
+
+    if (duplicates) {
+        ctx.fillStyle = DUPLICATE_FILL
+        ctx.strokeStyle = DUPLICATE_STROKE
+        tilePositions.filter(({ tile }) => duplicateOf[tile] !== null).forEach(({ x, y }) => {
+            ctx.fillRect(x, y, tileSize, tileSize)
+            ctx.strokeRect(x + 0.5, y + 0.5, tileSize - 1, tileSize - 1)
+        })
+    }
+
+    if (grid) {
+        ctx.fillStyle = GRID_COLOR
+        Array.from({ length: tileWidth - 1 }, (_, column) => ctx.fillRect((column + 1) * tileSize, 0, 1, height * scale))
+        Array.from({ length: tileHeight - 1 }, (_, row) => ctx.fillRect(0, (row + 1) * tileSize, width * scale, 1))
+    }
+
+    if (labels) {
+        ctx.font = `${Math.max(6, scale * 3)}px sans-serif`
+        ctx.textBaseline = 'top'
+        ctx.lineWidth = 2
+        ctx.strokeStyle = LABEL_OUTLINE
+        ctx.fillStyle = LABEL_COLOR
+        tilePositions.forEach(({ tile, x, y }) => {
+            const text = duplicates && duplicateOf[tile] !== null ? `${tile}=${duplicateOf[tile]}` : String(tile)
+            ctx.strokeText(text, x + 2, y + 2)
+            ctx.fillText(text, x + 2, y + 2)
+        })
+    }
+
+    return canvas.toBuffer('image/png')
+}
+
+export {
+    MIN_PREVIEW_SCALE,
+    MAX_PREVIEW_SCALE,
+    DEFAULT_PREVIEW_SCALE,
+    resolvePreviewOptions,
+    renderPreview
+}
@@ -0,0 +1,343 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { convertImage } from './gameboy-converter.js'
+import { watchFiles } from './watch.js'
+import { createWorkerPool } from './worker-pool.js'
+
+// Config files looked up in the project directory, in order
+const CONFIG_FILES = ['gameboy.config.json', 'gameboy.config.js']
+
+// Default variable name template: the file name
+const DEFAULT_NAME_TEMPLATE = '{name}'
+
+// Suffix of the converted image of an asset; the other outputs share its name
+const OUTPUT_SUFFIX = '_gameboy'
+
+// Outputs of earlier builds (written next to the sources by default), never assets
+const GENERATED_NAME_PATTERN = new RegExp(`${OUTPUT_SUFFIX}(_preview|_report)?$`)
+
+// Worker script of parallel builds
+const CONVERT_WORKER = new URL('./convert-worker.js', import.meta.url)
+
+/**
+ * Converts a glob pattern to a regular expression. Supports ** (any number of
+ * directories), * (any characters except /) and ? (one character except /).
+ * @param {string} pattern - Glob pattern with / separators
+ * @returns {RegExp} Regular expression for relative paths with / separators
+ */
+const globToRegExp = (pattern) => {
+    const source = pattern
+        .split(/(\*\*\/|\*\*|\*|\?)/)
+        .map(part => ({
+            '**/': '(?:.*/)?',
+            '**': '.*',
+            '*': '[^/]*',
+            '?': '[^/]'
+        }[part] || part.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('')
+
+    return new RegExp(`^${source}$`)
+}
+
+/**
+ * Lists the files of a directory and its subdirectories
+ * @param {string} directory - Directory path
+ * @returns {Array<string>} File paths
+ */
+const listFiles = (directory) => fs.existsSync(directory)
+    ? fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(directory, entry.name)
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath]
+    })
+    : []
+
+/**
+ * Normalizes a glob pattern to / separators without a leading ./
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Normalized pattern
+ */
+const normalizePattern = (pattern) => pattern.replace(/\\/g, '/').replace(/^\.\//, '')
+
+/**
+ * Gets the directory part of a glob pattern that has no wildcards
+ * @param {string} pattern - Normalized glob pattern
+ * @returns {string} Base directory relative to the project directory ('' for the project directory)
+ */
+const patternBaseDir = (pattern) => {
+    const segments = pattern.split('/')
+    const firstGlob = segments.findIndex(segment => /[*?]/.test(segment))
+
+    return (firstGlob === -1 ? segments.slice(0, -1) : segments.slice(0, firstGlob)).join('/')
+}
+
+/**
+ * Finds the files that match a glob pattern
+ * @param {string} pattern - Glob pattern relative to rootDir
+ * @param {string} rootDir - Project directory
+ * @returns {Array<string>} Matching paths relative to rootDir (with / separators), sorted
+ */
+const findFiles = (pattern, rootDir) => {
+    const normalizedPattern = normalizePattern(pattern)
+    const matcher = globToRegExp(normalizedPattern)
+
+    return listFiles(path.join(rootDir, patternBaseDir(normalizedPattern)))
+        .map(filePath => path.relative(rootDir, filePath).split(path.sep).join('/'))
+        .filter(relativePath => matcher.test(relativePath))
+        .sort()
+}
+
+/**
+ * Finds and loads the project config file
+ * @param {string} [configPath] - Config file path. By default gameboy.config.json or
+ *   gameboy.config.js is looked up in the current directory.
+ * @returns {Promise<Object>} { config, configPath, rootDir }
+ */
+const loadProjectConfig = async (configPath) => {
+    const resolvedPath = configPath
+        ? path.resolve(configPath)
+        : CONFIG_FILES.map(file => path.resolve(file)).find(file => fs.existsSync(file))
+
+    if (!resolvedPath || !fs.existsSync(resolvedPath)) {
+        throw new Error(`Config file not found: ${configPath || CONFIG_FILES.join(' or ')}`)
+    }
+
+    const config = resolvedPath.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(resolvedPath, 'utf8'))
+        : (await import(pathToFileURL(resolvedPath).href)).default
+
+    if (!config || !Array.isArray(config.assets) || config.assets.length === 0) {
+        throw new Error('The config must contain an "assets" array')
+    }
+
+    const invalidAsset = config.assets.find(asset => !asset || typeof asset.pattern !== 'string')
+    if (invalidAsset !== undefined) {
+        throw new Error(`Every asset needs a "pattern": ${JSON.stringify(invalidAsset)}`)
+    }
+
+    return { config, configPath: resolvedPath, rootDir: path.dirname(resolvedPath) }
+}
+
+/**
+ * Builds the variable name of an asset from a template
+ * @param {string} template - Template with {name} (file name) and {dir} (directory) placeholders
+ * @param {string} relativePath - Input path relative to the project directory
+ * @returns {string} C identifier
+ */
+const formatVariableName = (template, relativePath) => {
+    const parsedPath = path.posix.parse(relativePath)
+
+    return template
+        .replace(/\{name\}/g, parsedPath.name)
+        .replace(/\{dir\}/g, parsedPath.dir)
+        .replace(/[^a-zA-Z0-9]/g, '_')
+}
+
+/**
+ * Tells whether a file was written by a build (<name>_gameboy.*)
+ * @param {string} relativePath - Path with / separators
+ * @returns {boolean} Whether the file is a build output
+ */
+const isGeneratedFile = (relativePath) => GENERATED_NAME_PATTERN.test(path.posix.parse(relativePath).name)
+
+/**
+ * Finds the asset entry of every file of a project. Each file is converted once, with the
+ * settings of the first asset entry whose pattern matches it. Build outputs are skipped,
+ * so building again does not convert them.
+ * @param {Object} config - Project config: { outputDir, defaults, assets: [{ pattern, ... }] }
+ * @param {string} rootDir - Directory that patterns are relative to
+ * @returns {Array<Object>} Jobs { asset, relativePath }
+ */
+const findProjectAssets = (config, rootDir) => config.assets
+    .flatMap(asset => findFiles(asset.pattern, rootDir)
+        .filter(relativePath => !isGeneratedFile(relativePath))
+        .map(relativePath => ({ asset, relativePath })))
+    .filter((job, index, allJobs) => allJobs.findIndex(other => other.relativePath === job.relativePath) === index)
+
+/**
+ * Converts one asset of a project
+ * @param {Object} config - Project config
+ * @param {Object} job - { asset, relativePath } entry of findProjectAssets
+ * @param {string} rootDir - Directory that patterns and output directories are relative to
+ * @param {Function} convert - (inputPath, options) => Promise of the convertImage result
+ *   (default: convertImage in this thread)
+ * @returns {Promise<Object>} { inputPath, pattern, mode, success, error, tiles, files, validation } -
+ *   errors (an output directory that cannot be created, a crashed worker...) give a failed result
+ */
+const buildAsset = async (config, { asset, relativePath }, rootDir, convert = convertImage) => {
+    const { pattern, outputDir, variableName, ...assetOptions } = { ...config.defaults, ...asset }
+    const settings = { outputFormats: ['c'], ...assetOptions }
+    const targetDir = path.resolve(rootDir, outputDir || config.outputDir || path.posix.dirname(relativePath))
+
+    const result = await (async () => {
+        fs.mkdirSync(targetDir, { recursive: true })
+
+        return convert(path.join(rootDir, relativePath), {
+            ...settings,
+            verbose: false,
+            variableName: formatVariableName(variableName || DEFAULT_NAME_TEMPLATE, relativePath),
+            outputPath: path.join(targetDir, `${path.posix.parse(relativePath).name}${OUTPUT_SUFFIX}.png`)
+        })
+    })().catch(error => ({ success: false, error: error.message }))
+
+    return {
+        inputPath: relativePath,
+        pattern,
+        mode: settings.mode || 'tiles',
+        success: result.success && (!result.gbdk || result.gbdk.success),
+        error: result.error || (result.conversion && result.conversion.error) || (result.gbdk && result.gbdk.error),
+        tiles: result.gbdk && result.gbdk.success ? result.gbdk.tilesGenerated : null,
+        files: [
+            ...(result.conversion && result.conversion.success ? [result.conversion.outputPath] : []),
+            ...(result.gbdk && result.gbdk.success ? result.gbdk.files : [])
+        ].map(filePath => path.relative(rootDir, filePath).split(path.sep).join('/')),
+        validation: result.validation
+    }
+}
+
+/**
+ * Converts every asset of a project, one at a time or in parallel worker threads
+ * @param {Object} config - Project config: { outputDir, defaults, assets: [{ pattern, ... }] }
+ * @param {Object} options - Build options
+ * @param {string} options.rootDir - Directory that patterns and output directories are relative to
+ * @param {boolean} options.verbose - Show progress
+ * @param {number} options.workers - Number of worker threads (default: 1, every asset is
+ *   converted in this thread)
+ * @returns {Promise<Object>} { success, results, failed, error } - results holds one entry per
+ *   file, in the order of the files; error is set when the options are invalid
+ */
+const buildProject = async (config, options = {}) => {
+    const { rootDir = process.cwd(), verbose = true, workers = 1 } = options
+
+    if (!Number.isInteger(workers) || workers < 1) {
+        return { success: false, results: [], failed: 0, error: `Invalid worker count ${workers}. It must be a positive integer` }
+    }
+
+    const jobs = findProjectAssets(config, rootDir)
+
+    const buildInPool = async () => {
+        const pool = createWorkerPool(CONVERT_WORKER, { size: Math.min(workers, jobs.length) })
+        const convert = (inputPath, convertOptions) => pool.run({ inputPath, options: convertOptions })
+
+        try {
+            return await Promise.all(jobs.map(job => {
+                verbose && console.log(`🔄 ${job.relativePath}`)
+                return buildAsset(config, job, rootDir, convert)
+            }))
+        } finally {
+            await pool.close()
+        }
+    }
+
+    const results = workers > 1 && jobs.length > 1
+        ? await buildInPool()
+        : await jobs.reduce(async (previous, job) => {
+            const done = await previous
+            verbose && console.log(`🔄 ${job.relativePath}`)
+            return [...done, await buildAsset(config, job, rootDir)]
+        }, Promise.resolve([]))
+
+    const failed = results.filter(result => !result.success).length
+
+    return { success: results.length > 0 && failed === 0, results, failed }
+}
+
+/**
+ * Lists a directory and all its subdirectories
+ * @param {string} directory - Directory path
+ * @returns {Array<string>} Directory paths
+ */
+const listDirectories = (directory) => fs.existsSync(directory)
+    ? [directory, ...fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(entry => listDirectories(path.join(directory, entry.name)))]
+    : []
+
+/**
+ * Watches the files of a project and converts again every asset that changes. Files created
+ * later in the watched directories are picked up too, and generated files are ignored.
+ * @param {Object} config - Project config
+ * @param {Object} options - Watch options
+ * @param {string} options.rootDir - Directory that patterns and output directories are relative to
+ * @param {number} options.debounce - Time to wait for more changes in ms (default: 100)
+ * @param {Array<string>} options.generatedFiles - Files written by a previous build (relative to rootDir)
+ * @param {Function} options.onResult - result => void, called after every conversion
+ * @param {Function} options.onError - error => void, called when handling a change throws
+ *   (onResult throws...); watching goes on
+ * @returns {Object} Watcher { close, idle }
+ */
+const watchProject = (config, options = {}) => {
+    const { rootDir = process.cwd(), debounce, generatedFiles = [], onResult = () => {}, onError } = options
+    const generated = new Set(generatedFiles)
+    const toRelative = (filePath) => path.relative(rootDir, filePath).split(path.sep).join('/')
+    const matchers = config.assets.map(asset => ({ asset, matcher: globToRegExp(normalizePattern(asset.pattern)) }))
+    const findAsset = (relativePath) => {
+        const match = matchers.find(({ matcher }) => matcher.test(relativePath))
+        return match && match.asset
+    }
+
+    return watchFiles(
+        config.assets.flatMap(asset => listDirectories(path.join(rootDir, patternBaseDir(normalizePattern(asset.pattern))))),
+        filePath => !generated.has(toRelative(filePath)) && !isGeneratedFile(toRelative(filePath)) &&
+            findAsset(toRelative(filePath)) !== undefined,
+        async (filePath) => {
+            const relativePath = toRelative(filePath)
+            const result = await buildAsset(config, { asset: findAsset(relativePath), relativePath }, rootDir)
+
+            result.files.forEach(file => generated.add(file))
+            onResult(result)
+        },
+        { debounce, onError }
+    )
+}
+
+/**
+ * Formats the status of a build result, with the number of hardware limit issues
+ * @param {Object} result - Result of buildAsset
+ * @returns {string} 'ok', 'ok (n issues)' or 'FAILED'
+ */
+const formatStatus = ({ success, validation }) => {
+    const issues = validation ? validation.errors.length + validation.warnings.length : 0
+
+    if (!success) return 'FAILED'
+    return issues > 0 ? `ok (${issues} ${issues === 1 ? 'issue' : 'issues'})` : 'ok'
+}
+
+/**
+ * Formats build results as a text table
+ * @param {Array<Object>} results - Results of buildProject
+ * @returns {string} Table with one row per asset
+ */
+const formatSummaryTable = (results) => {
+    const rows = [
+        ['Asset', 'Mode', 'Status', 'Tiles', 'Output'],
+        ...results.map(result => [
+            result.inputPath,
+            result.mode,
+            formatStatus(result),
+            result.tiles === null ? '-' : String(result.tiles),
+            result.success ? result.files.join(', ') : result.error
+        ])
+    ]
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)))
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()
+
+    return [
+        formatRow(rows[0]),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.slice(1).map(formatRow)
+    ].join('\n')
+}
+
+export {
+    CONFIG_FILES,
+    globToRegExp,
+    findFiles,
+    loadProjectConfig,
+    formatVariableName,
+    findProjectAssets,
+    buildAsset,
+    buildProject,
+    watchProject,
+    formatSummaryTable
+}
@@ -0,0 +1,175 @@
+import { TILE_SIZE, encodeTiles, findDuplicateTiles } from './tiles.js'
+import { colorToHex } from './palettes.js'
+
+/**
+ * Collects the tile statistics of a converted image
+ * @param {Object} image - Converted image { width, height, indices, target, palettes, tilePalettes }
+ * @returns {Object} { tileWidth, tileHeight, tileCount, uniqueTiles, duplicateTiles, emptyTiles,
+ *   colorCounts, paletteTiles } - colorCounts holds the number of pixels of every palette index
+ *   and paletteTiles (CGB) the number of tiles of every palette
+ */
+const collectTileStatistics = ({ width, height, indices, target, palettes, tilePalettes }) => {
+    const tiles = encodeTiles(indices, width, height)
+    const duplicateOf = findDuplicateTiles(tiles, { allowFlips: target === 'cgb' })
+    const duplicateTiles = duplicateOf.filter(original => original !== null).length
+
+    return {
+        tileWidth: Math.ceil(width / TILE_SIZE),
+        tileHeight: Math.ceil(height / TILE_SIZE),
+        tileCount: tiles.length,
+        uniqueTiles: tiles.length - duplicateTiles,
+        duplicateTiles,
+        emptyTiles: tiles.filter(tile => tile.every(byte => byte === 0)).length,
+        colorCounts: indices.reduce((counts, colorIndex) => {
+            counts[colorIndex] += 1
+            return counts
+        }, [0, 0, 0, 0]),
+        paletteTiles: tilePalettes
+            ? palettes.map((_, paletteIndex) => tilePalettes.filter(index => index === paletteIndex).length)
+            : null
+    }
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, character => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[character]))
+
+/**
+ * Formats an image of the report as a figure with an embedded PNG
+ * @param {string} caption - Figure caption
+ * @param {Buffer} png - PNG file contents
+ * @param {number} width - Displayed width in pixels
+ * @param {number} height - Displayed height in pixels
+ * @returns {string} HTML
+ */
+const formatFigure = (caption, png, width, height) => [
+    '<figure>',
+    `<img src="data:image/png;base64,${png.toString('base64')}" width="${width}" height="${height}" alt="${escapeHTML(caption)}">`,
+    `<figcaption>${escapeHTML(caption)}</figcaption>`,
+    '</figure>'
+].join('')
+
+/**
+ * Formats a table of label/value rows
+ * @param {Array<Array>} rows - [label, value] pairs (values are escaped)
+ * @returns {string} HTML
+ */
+const formatTable = (rows) => [
+    '<table>',
+    ...rows.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`),
+    '</table>'
+].join('\n')
+
+/**
+ * Formats palette swatches with the pixels or tiles that use every color/palette
+ * @param {Array<Array<Object>>} palettes - Palettes to show
+ * @param {Array<number>} colorCounts - Pixels of every palette index
+ * @param {Array<number>|null} paletteTiles - Tiles of every palette (CGB)
+ * @returns {string} HTML
+ */
+const formatPalettes = (palettes, colorCounts, paletteTiles) => [
+    '<table>',
+    `<tr><th>${paletteTiles ? 'Palette' : ''}</th>${colorCounts.map((count, index) => `<th>${index} (${count} px)</th>`).join('')}${paletteTiles ? '<th>Tiles</th>' : ''}</tr>`,
+    ...palettes.map((palette, paletteIndex) => [
+        `<tr><th>${paletteTiles ? paletteIndex : ''}</th>`,
+        ...palette.map(color => `<td><span class="swatch" style="background:${colorToHex(color)}"></span>${colorToHex(color)}</td>`),
+        paletteTiles ? `<td>${paletteTiles[paletteIndex]}</td>` : '',
+        '</tr>'
+    ].join('')),
+    '</table>'
+].join('\n')
+
+/**
+ * Formats the hardware limit issues of a conversion
+ * @param {Object} validation - Validation result { errors, warnings }
+ * @returns {string} HTML
+ */
+const formatIssues = ({ errors, warnings }) => errors.length + warnings.length === 0
+    ? '<p>No issues found.</p>'
+    : [
+        '<ul>',
+        ...errors.map(issue => `<li class="error">Error: ${escapeHTML(issue.message)}</li>`),
+        ...warnings.map(issue => `<li class="warning">Warning: ${escapeHTML(issue.message)}</li>`),
+        '</ul>'
+    ].join('\n')
+
+/**
+ * Builds a standalone HTML report of a conversion: the original, converted and preview
+ * images side by side (embedded as data URIs), tile statistics, the palettes and the
+ * hardware limit issues. Meant for reviewing converted assets, e.g. in pull requests.
+ * @param {Object} report - Report contents
+ * @param {string} report.title - Report title (usually the input file name)
+ * @param {Object} report.image - Converted image (see convertImageData)
+ * @param {Object} report.images - PNG contents { original, converted, preview }
+ * @param {number} report.scale - Display scale of the original and converted images
+ * @param {Object} report.validation - Hardware limit issues of the conversion
+ * @param {Object} report.source - Size { width, height } of the original image if it was
+ *   cropped or resized (default: the size of the converted image). It is shown at the
+ *   height of the converted image.
+ * @returns {string} HTML document
+ */
+const buildHTMLReport = ({ title, image, images, scale, validation, source = image }) => {
+    const { width, height, target, mode } = image
+    const statistics = collectTileStatistics(image)
+    const displayWidth = width * scale
+    const displayHeight = height * scale
+    const sourceDisplayWidth = Math.round(source.width * displayHeight / source.height)
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)} - Game Boy conversion report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+.images { display: flex; flex-wrap: wrap; gap: 2em; align-items: flex-start; }
+figure { margin: 0; }
+img { image-rendering: pixelated; image-rendering: crisp-edges; border: 1px solid #ccc; }
+figcaption { text-align: center; margin-top: 0.5em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }
+.swatch { display: inline-block; width: 1em; height: 1em; margin-right: 0.4em; vertical-align: middle; border: 1px solid #888; }
+.error { color: #b00020; }
+.warning { color: #8a6d00; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="images">
+${formatFigure('Original', images.original, sourceDisplayWidth, displayHeight)}
+${formatFigure('Converted', images.converted, displayWidth, displayHeight)}
+${images.preview ? formatFigure('Tiles', images.preview, displayWidth, displayHeight) : ''}
+</div>
+<h2>Tiles</h2>
+${formatTable([
+        ['Size', `${width}x${height} pixels (${statistics.tileWidth}x${statistics.tileHeight} tiles)`],
+        ...(source.width !== width || source.height !== height ? [['Original size', `${source.width}x${source.height} pixels`]] : []),
+        ['Target', target === 'cgb' ? 'Game Boy Color' : 'Game Boy'],
+        ['Mode', mode],
+        ['Tiles', statistics.tileCount],
+        ['Unique tiles', statistics.uniqueTiles],
+        ['Duplicate tiles', statistics.duplicateTiles],
+        ['Empty tiles', statistics.emptyTiles]
+    ])}
+<h2>Colors</h2>
+${formatPalettes(image.palettes || [image.palette], statistics.colorCounts, statistics.paletteTiles)}
+<h2>Hardware limits</h2>
+${formatIssues(validation)}
+</body>
+</html>
+`
+}
+
+export {
+    collectTileStatistics,
+    buildHTMLReport
+}
@@ -0,0 +1,81 @@
+/**
+ * Formats a byte as an RGBDS hexadecimal literal
+ * @param {number} byte - Value (0-255)
+ * @returns {string} Literal like $3C
+ */
+const formatAsmByte = (byte) => `$${byte.toString(16).padStart(2, '0').toUpperCase()}`
+
+/**
+ * Formats a 16-bit word as an RGBDS hexadecimal literal
+ * @param {number} word - Value (0-65535)
+ * @returns {string} Literal like $7FFF
+ */
+const formatAsmWord = (word) => `$${word.toString(16).padStart(4, '0').toUpperCase()}`
+
+/**
+ * Formats data as db/dw lines
+ * @param {string} directive - 'db' or 'dw'
+ * @param {Array<number>} values - Data to format
+ * @param {number} valuesPerLine - Values on each line (default: 16)
+ * @returns {Array<string>} Indented lines
+ */
+const formatAsmData = (directive, values, valuesPerLine = 16) => {
+    const formatValue = directive === 'dw' ? formatAsmWord : formatAsmByte
+
+    return Array.from({ length: Math.ceil(values.length / valuesPerLine) }, (_, i) =>
+        `    ${directive} ${values.slice(i * valuesPerLine, (i + 1) * valuesPerLine).map(formatValue).join(', ')}`
+    )
+}
+
+/**
+ * Builds an exported label with its data, followed by a local .end label so the size
+ * can be calculated as label.end - label
+ * @param {string} label - Label name
+ * @param {string} directive - 'db' or 'dw'
+ * @param {Array<number>} values - Data
+ * @param {number} valuesPerLine - Values on each line (default: 16)
+ * @returns {Array<string>} Code lines
+ */
+const formatAsmLabel = (label, directive, values, valuesPerLine = 16) => [
+    `${label}::`,
+    ...formatAsmData(directive, values, valuesPerLine),
+    '.end'
+]
+
+/**
+ * Builds a SECTION directive
+ * @param {string} name - Section name
+ * @param {number} [bank] - ROM bank: 0 places the section in ROM0, any other number in
+ *   that ROMX bank. Without a bank the linker chooses a ROMX bank.
+ * @returns {string} SECTION line
+ */
+const formatSection = (name, bank) => {
+    if (bank === undefined || bank === null) return `SECTION "${name}", ROMX`
+    if (bank === 0) return `SECTION "${name}", ROM0`
+
+    return `SECTION "${name}", ROMX, BANK[${bank}]`
+}
+
+/**
+ * Builds an include file with EQU constants inside an include guard
+ * @param {string} guard - Name of the guard symbol
+ * @param {Array<Array>} constants - [name, value] pairs
+ * @returns {Array<string>} Code lines
+ */
+const formatAsmInclude = (guard, constants) => [
+    `IF !DEF(${guard})`,
+    `DEF ${guard} EQU 1`,
+    '',
+    ...constants.map(([name, value]) => `DEF ${name} EQU ${value}`),
+    '',
+    'ENDC'
+]
+
+export {
+    formatAsmByte,
+    formatAsmWord,
+    formatAsmData,
+    formatAsmLabel,
+    formatSection,
+    formatAsmInclude
+}
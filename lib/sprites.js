@@ -0,0 +1,70 @@
+import { TILE_SIZE, BYTES_PER_TILE } from './tiles.js'
+
+// Hardware sprite sizes (LCDC bit 2)
+const SPRITE_SIZES = ['8x8', '8x16']
+
+/**
+ * Gets the order in which the tiles of an image are loaded into VRAM. In 8x16 mode
+ * the bottom tile of every sprite must follow its top tile, so tiles are taken in
+ * column pairs. Images with an odd number of tile rows get empty bottom tiles.
+ * @param {number} tileWidth - Image width in tiles
+ * @param {number} tileHeight - Image height in tiles
+ * @param {string} spriteSize - '8x8' (default) or '8x16'
+ * @returns {Array<number|null>} Source tile index of every VRAM tile (null for padding)
+ */
+const spriteTileOrder = (tileWidth, tileHeight, spriteSize = '8x8') => {
+    if (spriteSize !== '8x16') {
+        return Array.from({ length: tileWidth * tileHeight }, (_, tileIndex) => tileIndex)
+    }
+
+    const pairRows = Math.ceil(tileHeight / 2)
+
+    return Array.from({ length: pairRows * tileWidth }, (_, pairIndex) => {
+        const tileX = pairIndex % tileWidth
+        const topY = Math.floor(pairIndex / tileWidth) * 2
+        const bottomIndex = topY + 1 < tileHeight ? (topY + 1) * tileWidth + tileX : null
+
+        return [topY * tileWidth + tileX, bottomIndex]
+    }).flat()
+}
+
+/**
+ * Builds the metasprite items that draw an image with hardware sprites. Offsets are
+ * relative to the previous item (the first one to the top-left corner), as expected
+ * by METASPR_ITEM. Sprites whose tiles are empty (color 0 only) are left out.
+ * @param {Array<Array<number>>} tiles - Encoded tiles in VRAM order (see spriteTileOrder)
+ * @param {number} tileWidth - Image width in tiles
+ * @param {string} spriteSize - '8x8' (default) or '8x16'
+ * @param {Array<number>} attributes - Props of every VRAM tile (CGB palette), optional
+ * @returns {Array<Object>} Items { dy, dx, tile, props }
+ */
+const buildMetasprite = (tiles, tileWidth, spriteSize = '8x8', attributes = null) => {
+    const tilesPerSprite = spriteSize === '8x16' ? 2 : 1
+    const spriteHeight = TILE_SIZE * tilesPerSprite
+    const isEmpty = (tile) => tile.every(byte => byte === 0)
+
+    const sprites = Array.from({ length: tiles.length / tilesPerSprite }, (_, spriteIndex) => ({
+        x: (spriteIndex % tileWidth) * TILE_SIZE,
+        y: Math.floor(spriteIndex / tileWidth) * spriteHeight,
+        tile: spriteIndex * tilesPerSprite,
+        props: attributes ? attributes[spriteIndex * tilesPerSprite] : 0
+    })).filter(sprite => !tiles.slice(sprite.tile, sprite.tile + tilesPerSprite).every(isEmpty))
+
+    return sprites.map((sprite, index) => {
+        const previous = index > 0 ? sprites[index - 1] : { x: 0, y: 0 }
+        return { dy: sprite.y - previous.y, dx: sprite.x - previous.x, tile: sprite.tile, props: sprite.props }
+    })
+}
+
+/**
+ * Creates an empty tile (color 0 only), used as padding
+ * @returns {Array<number>} 16 bytes of tile data
+ */
+const createEmptyTile = () => Array.from({ length: BYTES_PER_TILE }, () => 0)
+
+export {
+    SPRITE_SIZES,
+    spriteTileOrder,
+    buildMetasprite,
+    createEmptyTile
+}
@@ -0,0 +1,233 @@
+import fs from 'fs'
+import { TILE_SIZE } from './tiles.js'
+import { spriteTileOrder, buildMetasprite, createEmptyTile } from './sprites.js'
+
+// Duration of animation frames without one, in vertical blanks (1/60 s)
+const DEFAULT_FRAME_DURATION = 8
+
+// Sheet settings that can be given as options or in the sheet JSON file
+const SHEET_KEYS = ['frameWidth', 'frameHeight', 'grid', 'animations']
+
+/**
+ * Parses a size like '16x16' or '4x2'
+ * @param {string} value - Two positive integers separated by an x
+ * @returns {Array<number>|null} [first, second] or null if the value is not valid
+ */
+const parseSize = (value) => {
+    const match = /^(\d+)x(\d+)$/i.exec(String(value).trim())
+    return match && Number(match[1]) > 0 && Number(match[2]) > 0 ? [Number(match[1]), Number(match[2])] : null
+}
+
+/**
+ * Normalizes the frames of an animation
+ * @param {string} name - Animation name
+ * @param {Array|Object} animation - List of frames, or { frames, duration }. Every frame is a
+ *   frame number or { frame, duration }.
+ * @returns {Object} { name, frames: [{ frame, duration }] }
+ */
+const parseAnimation = (name, animation) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Animation name "${name}" is not a valid C identifier`)
+    }
+
+    const { frames, duration = DEFAULT_FRAME_DURATION } = Array.isArray(animation) ? { frames: animation } : (animation || {})
+
+    if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error(`Animation "${name}" needs a list of frames`)
+    }
+
+    return {
+        name,
+        frames: frames.map(entry => {
+            const frame = typeof entry === 'object' ? { duration, ...entry } : { frame: entry, duration }
+
+            if (!Number.isInteger(frame.frame) || frame.frame < 0) {
+                throw new Error(`Animation "${name}" has an invalid frame: ${JSON.stringify(entry)}`)
+            }
+            if (!(Number.isInteger(frame.duration) && frame.duration >= 1 && frame.duration <= 255)) {
+                throw new Error(`Animation "${name}" has an invalid duration (1-255): ${JSON.stringify(entry)}`)
+            }
+
+            return { frame: frame.frame, duration: frame.duration }
+        })
+    }
+}
+
+/**
+ * Reads the sheet file of sheet mode
+ * @param {string|Object} sheet - Path of a JSON file or object with sheet options
+ * @returns {Object} Sheet options of the file (empty without a sheet)
+ */
+const loadSheetFile = (sheet) => typeof sheet === 'string'
+    ? JSON.parse(fs.readFileSync(sheet, 'utf8'))
+    : (sheet || {})
+
+/**
+ * Resolves the sheet settings of sheet mode. Options given directly take precedence over
+ * the ones of the sheet file, which take precedence over the defaults.
+ * @param {Object} options - Sheet options
+ * @param {string|Object} options.sheet - Path of a JSON file or object with any of the other options
+ * @param {number} options.frameWidth - Frame width in pixels (multiple of 8)
+ * @param {number} options.frameHeight - Frame height in pixels (multiple of 8)
+ * @param {string|Object} options.grid - Frames per row and column instead of the frame size:
+ *   '4x2' or { columns, rows }
+ * @param {Object} options.animations - Animations by name (see parseAnimation)
+ * @param {Object} defaults - Settings taken from the input image (frames of animated images)
+ * @returns {Object} { frameWidth, frameHeight, grid, animations }
+ */
+const resolveSheetOptions = (options = {}, defaults = {}) => {
+    const spec = loadSheetFile(options.sheet)
+    const explicit = Object.fromEntries(SHEET_KEYS.filter(key => options[key] !== undefined).map(key => [key, options[key]]))
+    const { frameWidth, frameHeight, grid, animations = {} } = { ...defaults, ...spec, ...explicit }
+
+    const gridSize = grid === undefined
+        ? null
+        : (typeof grid === 'object' ? [grid.columns, grid.rows] : parseSize(grid))
+
+    if (grid !== undefined && !(gridSize && gridSize.every(value => Number.isInteger(value) && value > 0))) {
+        throw new Error(`Invalid sheet grid "${typeof grid === 'object' ? JSON.stringify(grid) : grid}", expected columns x rows (e.g. 4x2)`)
+    }
+
+    if (!gridSize && (frameWidth === undefined || frameHeight === undefined)) {
+        throw new Error('Sheet mode needs a frame width and height or a grid')
+    }
+
+    const invalidSize = gridSize
+        ? undefined
+        : [frameWidth, frameHeight].find(size => !(Number.isInteger(size) && size > 0 && size % TILE_SIZE === 0))
+    if (invalidSize !== undefined) {
+        throw new Error(`Frame size must be a positive multiple of ${TILE_SIZE} pixels (got ${invalidSize})`)
+    }
+
+    return {
+        frameWidth: gridSize ? null : frameWidth,
+        frameHeight: gridSize ? null : frameHeight,
+        grid: gridSize && { columns: gridSize[0], rows: gridSize[1] },
+        animations: Object.entries(animations).map(([name, animation]) => parseAnimation(name, animation))
+    }
+}
+
+/**
+ * Gets the frame layout of a sheet image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} sheet - Result of resolveSheetOptions
+ * @returns {Object} { frameWidth, frameHeight, columns, rows, frameCount }
+ */
+const resolveSheetLayout = (width, height, sheet) => {
+    const frameWidth = sheet.grid ? width / sheet.grid.columns : sheet.frameWidth
+    const frameHeight = sheet.grid ? height / sheet.grid.rows : sheet.frameHeight
+
+    if (!(Number.isInteger(frameWidth) && Number.isInteger(frameHeight) && frameWidth % TILE_SIZE === 0 && frameHeight % TILE_SIZE === 0)) {
+        throw new Error(`Frame size ${frameWidth}x${frameHeight} must be a multiple of ${TILE_SIZE} pixels`)
+    }
+
+    if (width % frameWidth !== 0 || height % frameHeight !== 0) {
+        throw new Error(`Image size ${width}x${height} is not a multiple of the frame size ${frameWidth}x${frameHeight}`)
+    }
+
+    const columns = width / frameWidth
+    const rows = height / frameHeight
+
+    return { frameWidth, frameHeight, columns, rows, frameCount: columns * rows }
+}
+
+/**
+ * Slices a sheet into frames and removes the sprites shared between frames. Sprites are
+ * compared as a whole (both tiles in 8x16 mode), so every frame can be drawn with a
+ * metasprite over the unique tiles.
+ * @param {Array<Array<number>>} allTiles - Encoded tiles of the whole image, row by row
+ * @param {number} tileWidth - Image width in tiles
+ * @param {Object} layout - Result of resolveSheetLayout
+ * @param {Object} options - Sheet options
+ * @param {string} options.spriteSize - '8x8' (default) or '8x16'
+ * @param {Array<number>} options.tileAttributes - CGB attributes of every image tile, optional
+ * @param {Array<Object>} options.animations - Animations of resolveSheetOptions
+ * @returns {Object} { tiles, attributes, frameTiles, metasprites, tileMap, animations } - frameTiles
+ *   holds the unique tile index of every tile of every frame, in VRAM order
+ */
+const buildSpriteSheet = (allTiles, tileWidth, layout, options = {}) => {
+    const { spriteSize = '8x8', tileAttributes = null, animations = [] } = options
+    const { columns, frameCount } = layout
+    const frameTileWidth = layout.frameWidth / TILE_SIZE
+    const frameTileHeight = layout.frameHeight / TILE_SIZE
+    const tilesPerSprite = spriteSize === '8x16' ? 2 : 1
+    const order = spriteTileOrder(frameTileWidth, frameTileHeight, spriteSize)
+
+    const invalidFrame = animations
+        .flatMap(animation => animation.frames.map(({ frame }) => ({ name: animation.name, frame })))
+        .find(({ frame }) => frame >= frameCount)
+    if (invalidFrame) {
+        throw new Error(`Animation "${invalidFrame.name}" uses frame ${invalidFrame.frame}, but the sheet has ${frameCount} frames`)
+    }
+
+    // Image tile of every VRAM tile of every frame (null for 8x16 padding, which takes the
+    // attributes of the tile above it)
+    const frameSources = Array.from({ length: frameCount }, (_, frame) => {
+        const originX = (frame % columns) * frameTileWidth
+        const originY = Math.floor(frame / columns) * frameTileHeight
+
+        return order.map(tileIndex => tileIndex === null
+            ? null
+            : (originY + Math.floor(tileIndex / frameTileWidth)) * tileWidth + originX + (tileIndex % frameTileWidth))
+    })
+    const tileAt = (source) => source === null ? createEmptyTile() : allTiles[source]
+    const attributeAt = (sources, position) =>
+        tileAttributes[sources[position] === null ? sources[position - 1] : sources[position]]
+
+    // Deduplicate whole sprites
+    const spriteIndexByKey = new Map()
+    const frameSprites = frameSources.map(sources =>
+        Array.from({ length: sources.length / tilesPerSprite }, (_, spriteIndex) => {
+            const position = spriteIndex * tilesPerSprite
+            const spriteTiles = sources.slice(position, position + tilesPerSprite).map(tileAt)
+            const key = spriteTiles.flat().join(',')
+            const existingIndex = spriteIndexByKey.get(key)
+
+            if (existingIndex !== undefined) return { index: existingIndex, isNew: false }
+
+            spriteIndexByKey.set(key, spriteIndexByKey.size)
+            return {
+                index: spriteIndexByKey.size - 1,
+                isNew: true,
+                tiles: spriteTiles,
+                attribute: tileAttributes && attributeAt(sources, position)
+            }
+        })
+    )
+    const uniqueSprites = frameSprites.flat().filter(sprite => sprite.isNew)
+
+    const frameTiles = frameSprites.map(sprites =>
+        sprites.flatMap(({ index }) => Array.from({ length: tilesPerSprite }, (_, offset) => index * tilesPerSprite + offset))
+    )
+
+    const metasprites = frameSources.map((sources, frame) => {
+        const frameAttributes = tileAttributes && sources.map((_, position) => attributeAt(sources, position))
+
+        return buildMetasprite(sources.map(tileAt), frameTileWidth, spriteSize, frameAttributes)
+            .map(item => ({ ...item, tile: frameTiles[frame][item.tile] }))
+    })
+
+    // Unique tile of every tile of the image, row by row
+    const tileBySource = new Map(frameSources.flatMap((sources, frame) =>
+        sources.map((source, position) => [source, frameTiles[frame][position]])
+    ))
+
+    return {
+        tiles: uniqueSprites.flatMap(sprite => sprite.tiles),
+        attributes: tileAttributes && uniqueSprites.flatMap(sprite => Array.from({ length: tilesPerSprite }, () => sprite.attribute)),
+        frameTiles,
+        metasprites,
+        tileMap: allTiles.map((_, source) => tileBySource.get(source)),
+        animations
+    }
+}
+
+export {
+    DEFAULT_FRAME_DURATION,
+    parseSize,
+    loadSheetFile,
+    resolveSheetOptions,
+    resolveSheetLayout,
+    buildSpriteSheet
+}
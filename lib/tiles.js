@@ -0,0 +1,192 @@
+// Game Boy tiles are always 8x8 pixels, 2 bytes per row
+const TILE_SIZE = 8
+const BYTES_PER_TILE = 16
+
+/**
+ * Encodes one 8x8 tile in the Game Boy 2bpp format
+ * Each row becomes two bytes: the low bits and the high bits of the 8 pixels.
+ * Pixels outside the image are encoded as color 0.
+ * @param {Uint8Array|Array<number>} indices - Palette index (0-3) of every pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {Array<number>} 16 bytes of tile data
+ */
+const encodeTile = (indices, width, height, tileX, tileY) =>
+    Array.from({ length: TILE_SIZE }, (_, row) => {
+        const { lowByte, highByte } = Array.from({ length: TILE_SIZE }, (_, col) => {
+            const pixelX = tileX * TILE_SIZE + col
+            const pixelY = tileY * TILE_SIZE + row
+
+            if (pixelX < width && pixelY < height) {
+                const colorValue = indices[pixelY * width + pixelX]
+                const bit = 7 - col
+
+                return {
+                    lowBit: (colorValue & 1) ? (1 << bit) : 0,
+                    highBit: (colorValue & 2) ? (1 << bit) : 0
+                }
+            }
+            return { lowBit: 0, highBit: 0 }
+        }).reduce(
+            (acc, { lowBit, highBit }) => ({
+                lowByte: acc.lowByte | lowBit,
+                highByte: acc.highByte | highBit
+            }),
+            { lowByte: 0, highByte: 0 }
+        )
+
+        return [lowByte, highByte]
+    }).flat()
+
+/**
+ * Encodes a whole indexed image in the Game Boy 2bpp format in a single pass over its
+ * pixels. Tiles are stored row by row; pixels outside the image are encoded as color 0.
+ * @param {Uint8Array|Array<number>} indices - Palette index (0-3) of every pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Uint8Array} Tile data (BYTES_PER_TILE bytes per tile)
+ */
+const encodeTileData = (indices, width, height) => {
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const tileHeight = Math.ceil(height / TILE_SIZE)
+    const tileData = new Uint8Array(tileWidth * tileHeight * BYTES_PER_TILE)
+
+    indices.forEach((colorValue, pixelIndex) => {
+        if (!colorValue || pixelIndex >= width * height) return
+
+        const x = pixelIndex % width
+        const y = (pixelIndex - x) / width
+        const offset = (Math.floor(y / TILE_SIZE) * tileWidth + Math.floor(x / TILE_SIZE)) * BYTES_PER_TILE + (y % TILE_SIZE) * 2
+        const bit = 0x80 >> (x % TILE_SIZE)
+
+        if (colorValue & 1) tileData[offset] |= bit
+        if (colorValue & 2) tileData[offset + 1] |= bit
+    })
+
+    return tileData
+}
+
+/**
+ * Splits an indexed image into 8x8 tiles, row by row
+ * @param {Uint8Array|Array<number>} indices - Palette index (0-3) of every pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Array<Array<number>>} Encoded tiles (16 bytes each)
+ */
+const encodeTiles = (indices, width, height) => {
+    const tileData = encodeTileData(indices, width, height)
+
+    return Array.from({ length: tileData.length / BYTES_PER_TILE }, (_, tileIndex) =>
+        Array.from(tileData.subarray(tileIndex * BYTES_PER_TILE, (tileIndex + 1) * BYTES_PER_TILE))
+    )
+}
+
+/**
+ * Reverses the bits of a byte (mirrors 8 pixels of a tile row)
+ * @param {number} byte - Value (0-255)
+ * @returns {number} Mirrored value
+ */
+const reverseBits = (byte) =>
+    Array.from({ length: 8 }).reduce((result, _, bit) => result | (((byte >> bit) & 1) << (7 - bit)), 0)
+
+/**
+ * Flips an encoded tile
+ * @param {Array<number>} tile - 16 bytes of tile data
+ * @param {boolean} horizontal - Mirror left to right
+ * @param {boolean} vertical - Mirror top to bottom
+ * @returns {Array<number>} Flipped tile
+ */
+const flipTile = (tile, horizontal, vertical) =>
+    Array.from({ length: TILE_SIZE }, (_, row) => {
+        const sourceRow = vertical ? TILE_SIZE - 1 - row : row
+        const planes = [tile[sourceRow * 2], tile[sourceRow * 2 + 1]]
+        return horizontal ? planes.map(reverseBits) : planes
+    }).flat()
+
+// Flip combinations tried when looking for a tile, in order of preference
+const FLIP_VARIANTS = [
+    { x: false, y: false },
+    { x: true, y: false },
+    { x: false, y: true },
+    { x: true, y: true }
+]
+
+/**
+ * Removes identical tiles and builds the tile map that references the unique ones
+ * @param {Array<Array<number>>} tiles - Encoded tiles
+ * @param {Object} options - Deduplication options
+ * @param {boolean} options.allowFlips - Also reuse horizontally/vertically mirrored tiles
+ *   (only the CGB can flip background tiles)
+ * @returns {Object} { tiles: unique tiles, map: unique tile index of every input tile,
+ *   flips: { x, y } flip needed to draw every input tile }
+ */
+const deduplicateTiles = (tiles, options = {}) => {
+    const { allowFlips = false } = options
+    const variants = allowFlips ? FLIP_VARIANTS : FLIP_VARIANTS.slice(0, 1)
+    const tileIndexByKey = new Map()
+
+    const entries = tiles.map(tile => {
+        const match = variants
+            .map(flip => {
+                const flipped = flip.x || flip.y ? flipTile(tile, flip.x, flip.y) : tile
+                return { flip, index: tileIndexByKey.get(flipped.join(',')) }
+            })
+            .find(({ index }) => index !== undefined)
+
+        if (match) return { index: match.index, flip: match.flip, isNew: false }
+
+        tileIndexByKey.set(tile.join(','), tileIndexByKey.size)
+        return { index: tileIndexByKey.size - 1, flip: FLIP_VARIANTS[0], isNew: true }
+    })
+
+    return {
+        tiles: tiles.filter((_, i) => entries[i].isNew),
+        map: entries.map(entry => entry.index),
+        flips: entries.map(entry => entry.flip)
+    }
+}
+
+/**
+ * Finds the tiles that repeat an earlier tile of the same list
+ * @param {Array<Array<number>>} tiles - Encoded tiles
+ * @param {Object} options - Deduplication options (see deduplicateTiles)
+ * @returns {Array<number|null>} Index of the first identical tile for every repeated tile,
+ *   null for the others
+ */
+const findDuplicateTiles = (tiles, options = {}) => {
+    const { map } = deduplicateTiles(tiles, options)
+    const firstPositions = new Map()
+    map.forEach((index, position) => firstPositions.has(index) || firstPositions.set(index, position))
+
+    return map.map((index, position) => firstPositions.get(index) === position ? null : firstPositions.get(index))
+}
+
+/**
+ * Decodes one 8x8 tile from the Game Boy 2bpp format (inverse of encodeTile)
+ * @param {Uint8Array|Array<number>} bytes - Tile data
+ * @param {number} offset - Offset of the first byte of the tile (default: 0)
+ * @returns {Array<number>} Palette index (0-3) of the 64 pixels, row by row
+ */
+const decodeTile = (bytes, offset = 0) =>
+    Array.from({ length: TILE_SIZE * TILE_SIZE }, (_, i) => {
+        const row = Math.floor(i / TILE_SIZE)
+        const bit = 7 - (i % TILE_SIZE)
+        const lowByte = bytes[offset + row * 2]
+        const highByte = bytes[offset + row * 2 + 1]
+
+        return ((lowByte >> bit) & 1) | (((highByte >> bit) & 1) << 1)
+    })
+
+export {
+    TILE_SIZE,
+    BYTES_PER_TILE,
+    encodeTile,
+    encodeTileData,
+    encodeTiles,
+    decodeTile,
+    flipTile,
+    deduplicateTiles,
+    findDuplicateTiles
+}
@@ -0,0 +1,33 @@
+import { parseColor } from './palettes.js'
+
+// Pixels with a lower alpha value are transparent by default
+const DEFAULT_ALPHA_THRESHOLD = 128
+
+/**
+ * Makes the transparency of an image explicit: transparent pixels get alpha 0 and
+ * every other pixel alpha 255
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Object} options - Transparency options
+ * @param {number} options.alphaThreshold - Pixels with a lower alpha are transparent (default: 128)
+ * @param {string|Array|Object} options.transparentColor - Optional key color that is also
+ *   transparent, for images without alpha channel
+ * @returns {Uint8ClampedArray} New RGBA pixel data
+ */
+const applyTransparency = (data, options = {}) => {
+    const { alphaThreshold = DEFAULT_ALPHA_THRESHOLD, transparentColor } = options
+    const keyColor = transparentColor === undefined || transparentColor === null
+        ? null
+        : parseColor(transparentColor)
+
+    const isTransparent = (i) => data[i + 3] < alphaThreshold || (keyColor !== null &&
+        data[i] === keyColor.r && data[i + 1] === keyColor.g && data[i + 2] === keyColor.b)
+
+    return Uint8ClampedArray.from(data, (value, i) =>
+        i % 4 === 3 ? (isTransparent(i - 3) ? 0 : 255) : value
+    )
+}
+
+export {
+    DEFAULT_ALPHA_THRESHOLD,
+    applyTransparency
+}
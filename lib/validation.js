@@ -0,0 +1,192 @@
+import { TILE_SIZE } from './tiles.js'
+import { CGB_MAX_PALETTES, CGB_COLORS_PER_PALETTE } from './cgb.js'
+
+// Tile slots in VRAM: 3 blocks of 128 tiles (twice on the CGB, VRAM banks 0 and 1)
+const VRAM_TILES = { dmg: 384, cgb: 768 }
+
+// Tile IDs of tile maps and OAM entries are bytes
+const MAX_TILE_IDS = 256
+
+// OAM entries, and sprites the PPU draws on one scanline
+const MAX_SPRITES = 40
+const MAX_SPRITES_PER_LINE = 10
+
+// Width and height of the background map in tiles
+const BACKGROUND_MAP_SIZE = 32
+
+/**
+ * Creates a validation result
+ * @param {Array<Object>} errors - Issues { code, message } that will not work on hardware
+ * @param {Array<Object>} warnings - Issues { code, message } that work with some loss or effort
+ * @returns {Object} { valid, errors, warnings } - valid is false if there are errors
+ */
+const createValidation = (errors = [], warnings = []) => ({ valid: errors.length === 0, errors, warnings })
+
+/**
+ * Merges validation results, skipping missing ones
+ * @param {...Object} validations - Validation results (or null/undefined)
+ * @returns {Object} Merged validation result
+ */
+const mergeValidations = (...validations) => {
+    const present = validations.filter(Boolean)
+
+    return createValidation(
+        present.flatMap(validation => validation.errors),
+        present.flatMap(validation => validation.warnings)
+    )
+}
+
+/**
+ * Checks the CGB limits of a conversion: colors per tile and number of palettes
+ * @param {Object} quantization - { tileColorCounts, requiredPalettes } of quantizeCGB
+ * @param {Object} options - { maxPalettes, transparent } - transparent reserves color 0 (sprites)
+ * @returns {Object} Validation result
+ */
+const validateCGBConversion = ({ tileColorCounts, requiredPalettes }, { maxPalettes = CGB_MAX_PALETTES, transparent = false } = {}) => {
+    const colorsPerTile = transparent ? CGB_COLORS_PER_PALETTE - 1 : CGB_COLORS_PER_PALETTE
+    const colorfulTiles = tileColorCounts.filter(count => count > colorsPerTile).length
+
+    return createValidation([], [
+        ...(colorfulTiles > 0 ? [{
+            code: 'tile-colors',
+            message: `${colorfulTiles} tiles have more than ${colorsPerTile} ${transparent ? 'visible ' : ''}colors; their colors were reduced`
+        }] : []),
+        ...(requiredPalettes > maxPalettes ? [{
+            code: 'palette-count',
+            message: `The tiles need ${requiredPalettes} palettes; they were merged into ${maxPalettes}`
+        }] : [])
+    ])
+}
+
+/**
+ * Gets the top edge of every sprite of a metasprite
+ * @param {Array<Object>} items - Metasprite items { dy, dx, ... } relative to the previous one
+ * @returns {Array<number>} Y coordinate of every sprite
+ */
+const spriteTops = (items) => items.reduce(
+    (tops, item) => [...tops, (tops.length > 0 ? tops[tops.length - 1] : 0) + item.dy],
+    []
+)
+
+/**
+ * Counts the sprites of a metasprite on its busiest scanline
+ * @param {Array<Object>} items - Metasprite items
+ * @param {number} spriteHeight - Sprite height in pixels (8 or 16)
+ * @returns {number} Maximum number of sprites on one scanline
+ */
+const maxSpritesPerLine = (items, spriteHeight) => {
+    const tops = spriteTops(items)
+    return Math.max(0, ...tops.map(line => tops.filter(top => top <= line && top + spriteHeight > line).length))
+}
+
+/**
+ * Checks the OAM limits of the metasprites of an asset
+ * @param {Array<Array<Object>>} metasprites - Items of every metasprite
+ * @param {number} spriteHeight - Sprite height in pixels (8 or 16)
+ * @param {boolean} isSheet - The metasprites are the frames of a sheet
+ * @returns {Array<Object>} Errors { code, message }
+ */
+const validateMetasprites = (metasprites, spriteHeight, isSheet) => metasprites.flatMap((items, index) => {
+    const name = isSheet ? `Frame ${index}` : 'The sprite'
+    const perLine = maxSpritesPerLine(items, spriteHeight)
+
+    return [
+        ...(items.length > MAX_SPRITES ? [{
+            code: 'sprite-count',
+            message: `${name} uses ${items.length} hardware sprites; OAM holds ${MAX_SPRITES}`
+        }] : []),
+        ...(perLine > MAX_SPRITES_PER_LINE ? [{
+            code: 'sprites-per-line',
+            message: `${name} has ${perLine} sprites on one scanline; the hardware draws ${MAX_SPRITES_PER_LINE} per line`
+        }] : [])
+    ]
+})
+
+/**
+ * Checks the generated data of an asset against the hardware limits: VRAM tiles, 8-bit
+ * tile IDs, the background map size, OAM sprites and CGB palettes
+ * @param {Object} asset - Generated asset
+ * @param {number} asset.width - Image width in pixels
+ * @param {number} asset.height - Image height in pixels
+ * @param {string} asset.mode - Conversion mode
+ * @param {string} asset.target - 'dmg' or 'cgb'
+ * @param {string} asset.spriteSize - '8x8' or '8x16'
+ * @param {number} asset.tileCount - Number of tiles loaded into VRAM
+ * @param {Array<Array<Object>>} asset.metasprites - Items of every metasprite (sprite and sheet modes)
+ * @param {number} asset.paletteCount - Number of CGB palettes
+ * @returns {Object} Validation result
+ */
+const validateAsset = ({ width, height, mode, target = 'dmg', spriteSize = '8x8', tileCount, metasprites = [], paletteCount = 0 }) => {
+    const tileWidth = Math.ceil(width / TILE_SIZE)
+    const tileHeight = Math.ceil(height / TILE_SIZE)
+    const spriteHeight = spriteSize === '8x16' ? TILE_SIZE * 2 : TILE_SIZE
+    const isSprite = mode === 'sprite' || mode === 'sheet'
+    const paddedHeight = Math.ceil(height / (mode === 'sprite' ? spriteHeight : TILE_SIZE)) * (mode === 'sprite' ? spriteHeight : TILE_SIZE)
+
+    const errors = [
+        ...(tileCount > VRAM_TILES[target] ? [{
+            code: 'vram-tiles',
+            message: `${tileCount} tiles do not fit in VRAM (${VRAM_TILES[target]} tiles${target === 'cgb' ? ' in 2 banks' : ''})`
+        }] : []),
+        ...(tileCount <= VRAM_TILES[target] && tileCount > MAX_TILE_IDS && mode !== 'tiles' ? [{
+            code: 'tile-ids',
+            message: `${tileCount} tiles cannot be referenced by 8-bit tile IDs (${MAX_TILE_IDS} at most)`
+        }] : []),
+        ...(isSprite ? validateMetasprites(metasprites, spriteHeight, mode === 'sheet') : []),
+        ...(paletteCount > CGB_MAX_PALETTES ? [{
+            code: 'palette-count',
+            message: `${paletteCount} palettes do not fit in CGB palette memory (${CGB_MAX_PALETTES} at most)`
+        }] : [])
+    ]
+
+    const warnings = [
+        ...(width % TILE_SIZE !== 0 || paddedHeight !== height ? [{
+            code: 'image-size',
+            message: `The image size ${width}x${height} is not a multiple of the ${mode === 'sprite' ? `${TILE_SIZE}x${spriteHeight} sprite` : 'tile'} size; it is padded to ${tileWidth * TILE_SIZE}x${paddedHeight}`
+        }] : []),
+        ...(tileCount <= VRAM_TILES[target] && tileCount > MAX_TILE_IDS && mode === 'tiles' ? [{
+            code: 'tile-ids',
+            message: `${tileCount} tiles cannot all be referenced by 8-bit tile IDs (${MAX_TILE_IDS} at most); load them into different VRAM blocks`
+        }] : []),
+        ...(mode === 'background' && (tileWidth > BACKGROUND_MAP_SIZE || tileHeight > BACKGROUND_MAP_SIZE) ? [{
+            code: 'map-size',
+            message: `The ${tileWidth}x${tileHeight} tile map is larger than the ${BACKGROUND_MAP_SIZE}x${BACKGROUND_MAP_SIZE} background map; it must be scrolled in`
+        }] : [])
+    ]
+
+    return createValidation(errors, warnings)
+}
+
+/**
+ * Gets the error of a validation result in strict mode, where errors and warnings are fatal
+ * @param {Object} validation - Validation result
+ * @returns {string|null} Error message, or null if there are no issues
+ */
+const getStrictError = ({ errors, warnings }) => {
+    const issues = [...errors, ...warnings]
+    return issues.length > 0 ? `Hardware validation failed: ${issues.map(issue => issue.message).join('; ')}` : null
+}
+
+/**
+ * Formats the issues of a validation result for the console
+ * @param {Object} validation - Validation result
+ * @returns {Array<string>} One line per issue
+ */
+const formatValidation = ({ errors, warnings }) => [
+    ...errors.map(issue => `🚫 ${issue.message}`),
+    ...warnings.map(issue => `⚠️  ${issue.message}`)
+]
+
+export {
+    VRAM_TILES,
+    MAX_TILE_IDS,
+    MAX_SPRITES,
+    MAX_SPRITES_PER_LINE,
+    BACKGROUND_MAP_SIZE,
+    createValidation,
+    mergeValidations,
+    validateCGBConversion,
+    validateAsset,
+    getStrictError,
+    formatValidation
+}
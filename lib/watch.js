@@ -0,0 +1,89 @@
+import fs from 'fs'
+import path from 'path'
+import { convertImage } from './gameboy-converter.js'
+
+// Time to wait for more changes of the same file before converting it (ms)
+const DEFAULT_DEBOUNCE = 100
+
+/**
+ * Watches directories with fs.watch and calls onChange once per burst of changes of a file.
+ * Directories are watched instead of files so that editors that save by replacing the file
+ * are still detected. Changes are handled one at a time, in the order they settle.
+ * @param {Array<string>} directories - Directories to watch (not recursive)
+ * @param {Function} matches - absolutePath => whether changes of the file are handled
+ * @param {Function} onChange - async absolutePath => void, called after the debounce time
+ * @param {Object} options - Watch options
+ * @param {number} options.debounce - Time to wait for more changes in ms (default: 100)
+ * @param {Function} options.onError - error => void, called when onChange throws
+ * @returns {Object} Watcher { close, idle } - idle() resolves when no change is pending
+ */
+const watchFiles = (directories, matches, onChange, options = {}) => {
+    const { debounce = DEFAULT_DEBOUNCE, onError = () => {} } = options
+    const timers = new Map()
+    const state = { queue: Promise.resolve() }
+
+    const handleChange = (filePath) => {
+        timers.delete(filePath)
+        state.queue = state.queue
+            .then(() => fs.existsSync(filePath) && onChange(filePath))
+            .catch(onError)
+    }
+
+    const watchers = [...new Set(directories.map(directory => path.resolve(directory)))].map(directory =>
+        fs.watch(directory, (eventType, fileName) => {
+            if (!fileName) return
+
+            const filePath = path.join(directory, fileName.toString())
+            if (!matches(filePath)) return
+
+            clearTimeout(timers.get(filePath))
+            timers.set(filePath, setTimeout(() => handleChange(filePath), debounce))
+        })
+    )
+
+    return {
+        close: () => {
+            watchers.forEach(watcher => watcher.close())
+            timers.forEach(timer => clearTimeout(timer))
+            timers.clear()
+        },
+        idle: () => state.queue
+    }
+}
+
+/**
+ * Watches images and converts each one again with convertImage when it changes.
+ * Errors are reported by convertImage (when verbose) and watching goes on.
+ * @param {Array<string>} inputPaths - PNG file paths
+ * @param {Object} options - convertImage options, plus:
+ * @param {number} options.debounce - Time to wait for more changes in ms (default: 100)
+ * @param {Function} options.onResult - (inputPath, result) => void, called after every conversion
+ * @returns {Object} Watcher { close, idle }
+ */
+const watchImages = (inputPaths, options = {}) => {
+    const { debounce, onResult = () => {}, ...convertOptions } = options
+    const { verbose = true } = convertOptions
+    const watchedPaths = new Map(inputPaths.map(inputPath => [path.resolve(inputPath), inputPath]))
+
+    return watchFiles(
+        [...watchedPaths.keys()].map(filePath => path.dirname(filePath)),
+        filePath => watchedPaths.has(filePath),
+        async (filePath) => {
+            const inputPath = watchedPaths.get(filePath)
+
+            verbose && console.log(`\n👀 ${inputPath} changed`)
+
+            onResult(inputPath, await convertImage(inputPath, convertOptions))
+        },
+        {
+            debounce,
+            onError: (error) => verbose && console.error(`❌ ${error.message}`)
+        }
+    )
+}
+
+export {
+    DEFAULT_DEBOUNCE,
+    watchFiles,
+    watchImages
+}
@@ -0,0 +1,90 @@
+import { Worker } from 'worker_threads'
+import os from 'os'
+
+// Default pool size: one worker per CPU core
+const DEFAULT_POOL_SIZE = os.cpus().length
+
+/**
+ * Creates a pool of worker threads. Every worker runs one task at a time and tasks wait in
+ * a queue until a worker is free. Workers receive { task } messages and answer with
+ * { result } or { error } (an error message).
+ * @param {string|URL} workerPath - Worker script
+ * @param {Object} options - Pool options
+ * @param {number} options.size - Number of workers (default: one per CPU core)
+ * @returns {Object} Pool { size, run: task => Promise of the result, close: () => Promise }
+ */
+const createWorkerPool = (workerPath, options = {}) => {
+    const { size = DEFAULT_POOL_SIZE } = options
+
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error(`Invalid worker count ${size}. It must be a positive integer`)
+    }
+
+    const queue = []
+    const workers = []
+    const running = new Map() // worker -> task entry { task, resolve, reject }
+    const state = { closed: false }
+
+    const dispatch = (worker) => {
+        const entry = queue.shift()
+        if (!entry) return
+
+        running.set(worker, entry)
+        worker.postMessage({ task: entry.task })
+    }
+
+    const finish = (worker, settle) => {
+        const entry = running.get(worker)
+        running.delete(worker)
+        entry && settle(entry)
+        dispatch(worker)
+    }
+
+    const startWorker = () => {
+        const worker = new Worker(workerPath)
+
+        worker.on('message', ({ error, result }) => finish(worker, entry =>
+            error === undefined ? entry.resolve(result) : entry.reject(new Error(error))))
+
+        // A crashed or exited worker fails its task and is replaced by a new one. A crash
+        // emits 'error' and then 'exit': only the first one counts.
+        const stopWorker = (error) => {
+            if (!workers.includes(worker)) return
+
+            const entry = running.get(worker)
+            running.delete(worker)
+            workers.splice(workers.indexOf(worker), 1)
+            entry && entry.reject(error)
+            if (!state.closed) dispatch(startWorker())
+        }
+
+        worker.on('error', stopWorker)
+        worker.on('exit', (code) => stopWorker(new Error(`The worker stopped with exit code ${code}`)))
+
+        workers.push(worker)
+        return worker
+    }
+
+    Array.from({ length: size }).forEach(startWorker)
+
+    return {
+        size,
+        run: (task) => new Promise((resolve, reject) => {
+            if (state.closed) return reject(new Error('The worker pool is closed'))
+
+            queue.push({ task, resolve, reject })
+            const idleWorker = workers.find(worker => !running.has(worker))
+            idleWorker && dispatch(idleWorker)
+        }),
+        close: () => {
+            state.closed = true
+            queue.splice(0).forEach(entry => entry.reject(new Error('The worker pool is closed')))
+            return Promise.all(workers.map(worker => worker.terminate()))
+        }
+    }
+}
+
+export {
+    DEFAULT_POOL_SIZE,
+    createWorkerPool
+}
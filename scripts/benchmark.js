@@ -0,0 +1,176 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { performance } from 'perf_hooks'
+import { createCanvas, ImageData } from 'canvas'
+import { convertImageData } from '../lib/gameboy-converter.js'
+import { PALETTES } from '../lib/palettes.js'
+import { colorDistance } from '../lib/color-matching.js'
+import { encodeTile, encodeTiles } from '../lib/tiles.js'
+import { buildProject } from '../lib/project.js'
+import { DEFAULT_POOL_SIZE } from '../lib/worker-pool.js'
+
+/**
+ * Benchmarks the conversion pipeline on a synthetic multi-megapixel image and compares it
+ * with the previous implementation (per-pixel arrays and uncached color matching).
+ *
+ * Usage: node scripts/benchmark.js [--width 2048] [--height 1536] [--batch 8] [--workers n]
+ */
+
+/**
+ * Gets a numeric option of the command line
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value when the option is missing
+ * @returns {number} Option value
+ */
+const getNumberOption = (name, defaultValue) => {
+    const index = process.argv.indexOf(name)
+    return index !== -1 && index + 1 < process.argv.length ? Number(process.argv[index + 1]) : defaultValue
+}
+
+/**
+ * Creates a synthetic image with gradients and a pattern, so it has many distinct colors
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} ImageData-like object { width, height, data }
+ */
+const createTestImage = (width, height) => ({
+    width,
+    height,
+    data: new Uint8ClampedArray(width * height * 4).map((_, i) => {
+        const x = (i >> 2) % width
+        const y = Math.floor((i >> 2) / width)
+        const channel = i % 4
+
+        if (channel === 0) return x * 255 / width
+        if (channel === 1) return y * 255 / height
+        if (channel === 2) return (x * y) % 256
+        return 255
+    })
+})
+
+/**
+ * Previous conversion: an array per pixel and every distance measured twice per step
+ * @param {Object} image - ImageData-like object
+ * @param {Array<Object>} palette - Palette of 4 RGB colors
+ * @returns {Object} { indices, data }
+ */
+const legacyConvert = ({ width, height, data }, palette) => {
+    const findClosest = (r, g, b) => palette.reduce((closest, paletteColor) =>
+        colorDistance({ r, g, b }, paletteColor) < colorDistance({ r, g, b }, closest) ? paletteColor : closest)
+
+    const indices = Uint8Array.from({ length: width * height }, (_, pixelIndex) =>
+        palette.indexOf(findClosest(data[pixelIndex * 4], data[pixelIndex * 4 + 1], data[pixelIndex * 4 + 2])))
+
+    const convertedData = new Uint8ClampedArray(
+        Array.from(indices, (colorIndex, pixelIndex) => {
+            const color = palette[colorIndex]
+            return [color.r, color.g, color.b, data[pixelIndex * 4 + 3]]
+        }).flat()
+    )
+
+    return { indices, data: convertedData }
+}
+
+/**
+ * Previous tile encoding: every tile encoded on its own, pixel by pixel
+ * @param {Uint8Array} indices - Palette index of every pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Array<Array<number>>} Encoded tiles
+ */
+const legacyEncodeTiles = (indices, width, height) => {
+    const tileWidth = Math.ceil(width / 8)
+
+    return Array.from({ length: tileWidth * Math.ceil(height / 8) }, (_, tileIndex) =>
+        encodeTile(indices, width, height, tileIndex % tileWidth, Math.floor(tileIndex / tileWidth)))
+}
+
+/**
+ * Runs a function and measures its duration
+ * @param {Function} run - Function to measure (can be async)
+ * @returns {Promise<Object>} { result, time } - time in ms
+ */
+const measure = async (run) => {
+    const start = performance.now()
+    const result = await run()
+    return { result, time: performance.now() - start }
+}
+
+/**
+ * Formats a benchmark row
+ * @param {string} name - Benchmark name
+ * @param {number} before - Time of the baseline in ms
+ * @param {number} after - Time of the current implementation in ms
+ * @returns {string} Table row
+ */
+const formatRow = (name, before, after) =>
+    `${name.padEnd(28)}${`${before.toFixed(0)} ms`.padStart(12)}${`${after.toFixed(0)} ms`.padStart(12)}${`${(before / after).toFixed(1)}x`.padStart(10)}`
+
+/**
+ * Writes PNG copies of an image for the batch benchmark
+ * @param {Object} image - ImageData-like object
+ * @param {string} directory - Target directory
+ * @param {number} count - Number of files
+ */
+const writeBatchImages = (image, directory, count) => {
+    const canvas = createCanvas(image.width, image.height)
+    canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0)
+    const png = canvas.toBuffer('image/png')
+
+    fs.mkdirSync(directory, { recursive: true })
+    Array.from({ length: count }).forEach((_, i) => fs.writeFileSync(path.join(directory, `image${i}.png`), png))
+}
+
+const main = async () => {
+    const width = getNumberOption('--width', 2048)
+    const height = getNumberOption('--height', 1536)
+    const batchSize = getNumberOption('--batch', 8)
+    const workers = getNumberOption('--workers', DEFAULT_POOL_SIZE)
+    const palette = PALETTES.dmg
+    const image = createTestImage(width, height)
+
+    console.log(`🏁 ${width}x${height} image (${(width * height / 1e6).toFixed(1)} megapixels), ${os.cpus().length} CPU cores`)
+    console.log('')
+    console.log(`${'Benchmark'.padEnd(28)}${'Baseline'.padStart(12)}${'Now'.padStart(12)}${'Speedup'.padStart(10)}`)
+
+    const legacyConversion = await measure(() => legacyConvert(image, palette))
+    const conversion = await measure(() => convertImageData(image, { palette: 'dmg' }))
+    console.log(formatRow('Color conversion', legacyConversion.time, conversion.time))
+
+    const { indices } = conversion.result
+    const legacyTiles = await measure(() => legacyEncodeTiles(indices, width, height))
+    const tiles = await measure(() => encodeTiles(indices, width, height))
+    console.log(formatRow('Tile encoding', legacyTiles.time, tiles.time))
+
+    const sameOutput = Buffer.from(legacyConversion.result.data).equals(Buffer.from(conversion.result.data)) &&
+        legacyTiles.result.flat().join(',') === tiles.result.flat().join(',')
+
+    // Batch: the same project built in this thread and in a worker pool
+    if (batchSize > 0) {
+        const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gameboy-benchmark-'))
+        const config = { outputDir: 'out', assets: [{ pattern: 'images/*.png', mode: 'background' }] }
+
+        try {
+            writeBatchImages(createTestImage(512, 512), path.join(rootDir, 'images'), batchSize)
+
+            const sequential = await measure(() => buildProject(config, { rootDir, verbose: false }))
+            const parallel = await measure(() => buildProject(config, { rootDir, verbose: false, workers }))
+            console.log(formatRow(`Batch of ${batchSize} (1 vs ${workers} workers)`, sequential.time, parallel.time))
+        } finally {
+            fs.rmSync(rootDir, { recursive: true, force: true })
+        }
+    }
+
+    console.log('')
+    console.log(sameOutput ? '✅ Same output as the previous implementation' : '❌ The output differs from the previous implementation')
+
+    if (!sameOutput) {
+        process.exit(1)
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+})
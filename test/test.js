@@ -2,11 +2,45 @@ import {
     convertImage, 
     convertToGameBoy, 
     generateGBDKCode,
+    convertImageData,
+    convertBuffer,
+    generateCode,
+    decodeToPNG,
     findClosestGameBoyColor,
     colorToGBDKValue,
-    GAMEBOY_PALETTE 
+    GAMEBOY_PALETTE,
+    PALETTES,
+    COLOR_MATCH_MODES,
+    resolvePalette
 } from '../lib/gameboy-converter.js';
+import { deltaE2000, createColorLookup } from '../lib/color-matching.js';
+import { encodeTile, encodeTileData, encodeTiles, decodeTile, flipTile, deduplicateTiles, findDuplicateTiles } from '../lib/tiles.js';
+import { toRGB555, fromRGB555, quantizeCGB } from '../lib/cgb.js';
+import { ditherImage } from '../lib/dithering.js';
+import { applyTransparency } from '../lib/transparency.js';
+import { spriteTileOrder, buildMetasprite } from '../lib/sprites.js';
+import { encodePalettes } from '../lib/binary-export.js';
+import { formatSection } from '../lib/rgbds-code.js';
+import { parseCArrays, findCTileData } from '../lib/decoder.js';
+import { rleCompress, rleDecompress, gbCompress, gbDecompress } from '../lib/compression.js';
+import { resolveSheetOptions, buildSpriteSheet } from '../lib/spritesheet.js';
+import { parseCharset, buildCharMap, measureGlyphWidths } from '../lib/font.js';
+import { globToRegExp, findFiles, formatVariableName, buildProject, watchProject } from '../lib/project.js';
+import { watchImages } from '../lib/watch.js';
+import { createWorkerPool } from '../lib/worker-pool.js';
+import { detectImageFormat } from '../lib/image-input.js';
+import { decodeGIF } from '../lib/gif.js';
+import { decodeAseprite } from '../lib/aseprite.js';
+import { encodeIndexedPNG, decodeIndexedPNG } from '../lib/png.js';
+import { validateAsset } from '../lib/validation.js';
+import { parseColorMap } from '../lib/color-map.js';
+import { resolvePreviewOptions, renderPreview } from '../lib/preview.js';
+import { buildHTMLReport } from '../lib/report.js';
+import { resolvePreprocessOptions } from '../lib/preprocess.js';
+import { resolveAdjustments, parseThresholds } from '../lib/adjustments.js';
+import { createCanvas, loadImage, ImageData } from 'canvas';
 import fs from 'fs';
+import zlib from 'zlib';
 
 async function runTests() {
     console.log('🧪 Running tests for gameboy-png-converter\n');
@@ -66,6 +100,929 @@ async function runTests() {
         3
     );
     
+    // Test 3b: Selectable palettes
+    test(
+        'All palette presets have 4 colors',
+        Object.values(PALETTES).every(palette => palette.length === 4)
+    );
+    
+    const grayWhite = findClosestGameBoyColor(250, 250, 250, PALETTES.grayscale);
+    test(
+        'White color maps to white with grayscale palette',
+        grayWhite.r === 255 && grayWhite.g === 255 && grayWhite.b === 255
+    );
+    
+    test(
+        'Dark gray = GBDK value 2 with grayscale palette',
+        colorToGBDKValue(85, 85, 85, PALETTES.grayscale),
+        2
+    );
+    
+    const customPalette = resolvePalette(['#FFFFFF', '#FF0000', [0, 0, 255], { r: 0, g: 0, b: 0 }]);
+    test(
+        'Custom palette accepts hex, array and object colors',
+        customPalette[1].r === 255 && customPalette[2].b === 255 && customPalette[3].g === 0
+    );
+    
+    test(
+        'Custom palette colors map to their index',
+        colorToGBDKValue(255, 0, 0, customPalette),
+        1
+    );
+    
+    const invalidPalette = (() => {
+        try {
+            resolvePalette(['#FFFFFF']);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    })();
+    test(
+        'Palette with wrong number of colors is rejected',
+        invalidPalette
+    );
+    
+    test(
+        'Null palettes use the default and prototype member names are unknown palettes',
+        resolvePalette(null) === PALETTES.dmg &&
+            ['constructor', 'toString'].every(name => {
+                try {
+                    resolvePalette(name);
+                    return false;
+                } catch (error) {
+                    return error.message.startsWith(`Unknown palette "${name}"`);
+                }
+            })
+    );
+    
+    // Test 3c: Dithering
+    const grayPixels = new Uint8ClampedArray(Array.from({ length: 64 }, (_, i) => i % 4 === 3 ? 255 : 128));
+    const grayIndex = (r) => Math.round((255 - r) / 85);
+    const ditherCounts = (mode) => Array.from(
+        ditherImage(grayPixels, 4, 4, { palette: PALETTES.grayscale, findColorIndex: grayIndex, mode })
+    ).reduce((counts, index) => ({ ...counts, [index]: (counts[index] || 0) + 1 }), {});
+    
+    test(
+        'No dithering maps a flat gray to a single shade',
+        Object.keys(ditherCounts('none')).length,
+        1
+    );
+    
+    test(
+        'Floyd-Steinberg mixes two shades for a flat gray',
+        Object.keys(ditherCounts('floyd-steinberg')).length,
+        2
+    );
+    
+    test(
+        'Bayer 4x4 mixes two shades for a flat gray',
+        Object.keys(ditherCounts('bayer4')).length,
+        2
+    );
+    
+    // Test 3d: Color matching strategies
+    test(
+        'Default color matching is backward compatible',
+        findClosestGameBoyColor(230, 20, 20),
+        findClosestGameBoyColor(230, 20, 20, GAMEBOY_PALETTE, 'rgb')
+    );
+    
+    test(
+        'Every color matching mode maps a light gray to white',
+        COLOR_MATCH_MODES.every(mode => findClosestGameBoyColor(240, 240, 240, PALETTES.grayscale, mode) === PALETTES.grayscale[0])
+    );
+    
+    test(
+        'Luminance matching maps bright red to a dark shade',
+        findClosestGameBoyColor(230, 20, 20, PALETTES.grayscale, 'luma601'),
+        PALETTES.grayscale[2]
+    );
+    
+    test(
+        'CIEDE2000 matches reference value',
+        Math.abs(deltaE2000({ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 }) - 2.0425) < 0.0001
+    );
+    
+    const lookupColors = Array.from({ length: 50 }, (_, i) => [(i * 97) % 256, (i * 53) % 256, (i * 181) % 256]);
+    test(
+        'Cached color lookup finds the same colors as findClosestGameBoyColor',
+        COLOR_MATCH_MODES.every(mode => {
+            const lookup = createColorLookup(mode);
+            return [...lookupColors, ...lookupColors].every(([r, g, b]) =>
+                PALETTES.pocket[lookup(r, g, b, PALETTES.pocket)] === findClosestGameBoyColor(r, g, b, PALETTES.pocket, mode));
+        })
+    );
+    
+    test(
+        'Cached color lookup can skip the first palette colors',
+        createColorLookup()(255, 255, 255, GAMEBOY_PALETTE, 1),
+        1
+    );
+    
+    // Test 3e: Tile encoding and deduplication
+    const stripedIndices = Array.from({ length: 64 }, (_, i) => i % 8 < 4 ? 3 : 1);
+    test(
+        'Tile rows are encoded as low and high bit planes',
+        encodeTile(stripedIndices, 8, 8, 0, 0).slice(0, 2).join(),
+        '255,240'
+    );
+    
+    const repeatedTiles = encodeTiles(Array.from({ length: 256 }, (_, i) => (i % 16 < 8 ? 0 : 2)), 16, 16);
+    const { tiles: uniqueTiles, map: tileMap } = deduplicateTiles(repeatedTiles);
+    test(
+        'Identical tiles are removed',
+        uniqueTiles.length,
+        2
+    );
+    
+    test(
+        'Tile map references the unique tiles',
+        tileMap.join(),
+        '0,1,0,1'
+    );
+    
+    const flippedDedup = deduplicateTiles([encodeTile(stripedIndices, 8, 8, 0, 0), flipTile(encodeTile(stripedIndices, 8, 8, 0, 0), true, false)], { allowFlips: true });
+    test(
+        'Mirrored tiles are reused with a flip when flips are allowed',
+        flippedDedup.tiles.length === 1 && flippedDedup.flips[1].x && !flippedDedup.flips[1].y
+    );
+    
+    // 13x11 image: partial tiles on the right and bottom edges
+    const oddIndices = Uint8Array.from({ length: 13 * 11 }, (_, i) => (i * 7) % 4);
+    const oddTiles = Array.from({ length: 4 }, (_, tile) => encodeTile(oddIndices, 13, 11, tile % 2, Math.floor(tile / 2)));
+    test(
+        'Whole images are encoded like tile by tile, also with partial tiles',
+        Array.from(encodeTileData(oddIndices, 13, 11)).join() === oddTiles.flat().join() &&
+            JSON.stringify(encodeTiles(oddIndices, 13, 11)) === JSON.stringify(oddTiles)
+    );
+    
+    // Test 3f: Game Boy Color quantization
+    test(
+        'White converts to RGB555 0x7FFF',
+        toRGB555({ r: 255, g: 255, b: 255 }),
+        0x7FFF
+    );
+    
+    test(
+        'RGB555 red expands back to full red',
+        JSON.stringify(fromRGB555(0x001F)),
+        JSON.stringify({ r: 255, g: 0, b: 0 })
+    );
+    
+    const rainbowPixels = new Uint8ClampedArray(Array.from({ length: 32 * 32 }, (_, i) => {
+        const tile = Math.floor((i % 32) / 8) + Math.floor(i / 256) * 4;
+        return [(tile * 53) % 256, (tile * 97 + (i % 3) * 40) % 256, (tile * 31) % 256, 255];
+    }).flat());
+    const { palettes: cgbPalettes, tilePalettes } = quantizeCGB(rainbowPixels, 32, 32, { maxPalettes: 3 });
+    test(
+        'CGB quantization respects the palette limit',
+        cgbPalettes.length <= 3 && cgbPalettes.every(palette => palette.length === 4)
+    );
+    
+    test(
+        'CGB quantization assigns a palette to every tile',
+        tilePalettes.length === 16 && tilePalettes.every(index => index >= 0 && index < cgbPalettes.length)
+    );
+    
+    // Noisy 160x144 screen: more than a hundred packed palettes merged into 8
+    const noisePixels = new Uint8ClampedArray(160 * 144 * 4).map((_, i) => i % 4 === 3 ? 255 : (i * 2654435761) >>> 24);
+    const noiseQuantization = quantizeCGB(noisePixels, 160, 144);
+    test(
+        'CGB quantization merges the palettes of a full noisy screen',
+        noiseQuantization.requiredPalettes > 100 && noiseQuantization.palettes.length === 8 &&
+            noiseQuantization.tilePalettes.length === 360
+    );
+    
+    // Test 3g: Sprite transparency
+    const spritePixels = new Uint8ClampedArray([
+        255, 0, 255, 255,   // Key color
+        10, 20, 30, 100,    // Below the alpha threshold
+        10, 20, 30, 200     // Visible
+    ]);
+    test(
+        'Transparency uses the alpha threshold',
+        Array.from(applyTransparency(spritePixels)).filter((_, i) => i % 4 === 3).join(','),
+        '255,0,255'
+    );
+    
+    test(
+        'Transparency uses the key color',
+        Array.from(applyTransparency(spritePixels, { transparentColor: '#FF00FF', alphaThreshold: 50 })).filter((_, i) => i % 4 === 3).join(','),
+        '0,255,255'
+    );
+    
+    // Test 3h: 8x16 sprites and metasprites
+    test(
+        '8x16 order keeps top and bottom tiles together',
+        spriteTileOrder(2, 3, '8x16').join(','),
+        '0,2,1,3,4,,5,'
+    );
+    
+    const filledTile = Array.from({ length: 16 }, () => 0xFF);
+    const emptyTile = Array.from({ length: 16 }, () => 0);
+    test(
+        'Metasprite offsets are relative and skip empty sprites',
+        JSON.stringify(buildMetasprite([filledTile, emptyTile, emptyTile, filledTile], 2)),
+        JSON.stringify([{ dy: 0, dx: 0, tile: 0, props: 0 }, { dy: 8, dx: 8, tile: 3, props: 0 }])
+    );
+    
+    // Sprite image: left tile fully transparent, right tile opaque white
+    const spriteCanvas = createCanvas(16, 8);
+    const spriteContext = spriteCanvas.getContext('2d');
+    spriteContext.fillStyle = '#FFFFFF';
+    spriteContext.fillRect(8, 0, 8, 8);
+    fs.writeFileSync('sprite_source_test.png', spriteCanvas.toBuffer('image/png'));
+    
+    const spriteResult = await convertImage('sprite_source_test.png', {
+        outputPath: 'sprite_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sprite',
+        palette: 'grayscale'
+    });
+    
+    if (spriteResult.gbdk && spriteResult.gbdk.success) {
+        const spriteBytes = fs.readFileSync('sprite_test.c', 'utf8')
+            .split('_data[] = {')[1].split('};')[0]
+            .split(',').map(value => parseInt(value, 16));
+        test(
+            'Sprite transparent pixels use color 0',
+            spriteBytes.slice(0, 16).every(byte => byte === 0)
+        );
+        
+        test(
+            'Sprite visible white pixels use color 1',
+            spriteBytes.slice(16).join(','),
+            Array.from({ length: 8 }, () => '255,0').join(',')
+        );
+        
+        test(
+            'Sprite metasprite leaves out the transparent tile',
+            fs.readFileSync('sprite_test.c', 'utf8').includes('METASPR_ITEM(0, 8, 1, 0),\n    METASPR_TERM')
+        );
+    } else {
+        test('Sprite conversion successful', false);
+    }
+    
+    // Test 3i: Binary exports
+    test(
+        'Binary palettes are little-endian RGB555',
+        Array.from(encodePalettes([[{ r: 255, g: 255, b: 255 }, { r: 255, g: 0, b: 0 }]])).join(','),
+        '255,127,31,0'
+    );
+    
+    // Test 3j: RGBDS assembly
+    test(
+        'RGBDS sections use ROM0, a fixed ROMX bank or any ROMX bank',
+        [formatSection('Gfx', 0), formatSection('Gfx', 3), formatSection('Gfx')].join('|'),
+        'SECTION "Gfx", ROM0|SECTION "Gfx", ROMX, BANK[3]|SECTION "Gfx", ROMX'
+    );
+    
+    // Test 3k: Decoding
+    const decodePixels = Array.from({ length: 64 }, (_, i) => (i * 7 + Math.floor(i / 8)) % 4);
+    test(
+        'Decoding a tile gives back the encoded pixels',
+        decodeTile(encodeTile(decodePixels, 8, 8, 0, 0)).join(','),
+        decodePixels.join(',')
+    );
+    
+    test(
+        'C arrays are parsed and metasprites skipped',
+        JSON.stringify(parseCArrays('const unsigned char a_data[] = {\n    0x0F, 255,\n    0x00\n};\nconst metasprite_t a_metasprite[] = {\n    METASPR_TERM\n};')),
+        JSON.stringify({ a_data: [15, 255, 0] })
+    );
+    
+    // Test 3l: Compression
+    test(
+        'gbcompress encodes runs and back references',
+        Array.from(gbCompress([5, 5, 5, 5, 1, 2, 3, 4, 1, 2, 3, 4, 1, 2, 3, 4])).join(','),
+        [0x03, 5, 0xC3, 1, 2, 3, 4, 0x87, 0xFC, 0xFF, 0x00].join(',')
+    );
+    
+    test(
+        'RLE encodes repeated bytes with a negative count',
+        Array.from(rleCompress([7, 9, 9, 9, 9])).join(','),
+        [1, 7, 0xFC, 9, 0].join(',')
+    );
+    
+    const compressionSample = Array.from({ length: 2000 }, (_, i) => (i % 97 < 40 ? 0 : (i * 31) % 11));
+    test(
+        'Compressed data decompresses to the original bytes',
+        Array.from(gbDecompress(gbCompress(compressionSample))).join(',') === compressionSample.join(',') &&
+            Array.from(rleDecompress(rleCompress(compressionSample))).join(',') === compressionSample.join(',')
+    );
+    
+    // Test 3m: Sprite sheets
+    const sheetTile = (value) => Array.from({ length: 16 }, () => value);
+    const sheetResult = buildSpriteSheet(
+        [sheetTile(1), sheetTile(2), sheetTile(1), sheetTile(2), sheetTile(3), sheetTile(3), sheetTile(4), sheetTile(3)],
+        4,
+        { frameWidth: 8, frameHeight: 16, columns: 4, rows: 1, frameCount: 4 },
+        { spriteSize: '8x16' }
+    );
+    test(
+        '8x16 sheet frames share whole sprites only',
+        JSON.stringify(sheetResult.frameTiles),
+        JSON.stringify([[0, 1], [2, 3], [4, 5], [2, 3]])
+    );
+    
+    const sharedSheetResult = buildSpriteSheet(
+        [sheetTile(1), sheetTile(2), sheetTile(1), sheetTile(3)],
+        4,
+        { frameWidth: 16, frameHeight: 8, columns: 2, rows: 1, frameCount: 2 }
+    );
+    test(
+        'Sheet tiles shared between frames are stored once',
+        sharedSheetResult.tiles.length === 3 &&
+            JSON.stringify(sharedSheetResult.frameTiles) === JSON.stringify([[0, 1], [0, 2]]) &&
+            sharedSheetResult.metasprites[1][1].tile === 2
+    );
+    
+    test(
+        'Sheet animations get the default duration',
+        JSON.stringify(resolveSheetOptions({ grid: '2x1', animations: { walk: [1, { frame: 0, duration: 20 }] } }).animations),
+        JSON.stringify([{ name: 'walk', frames: [{ frame: 1, duration: 8 }, { frame: 0, duration: 20 }] }])
+    );
+    
+    // Sheet image: 4 frames of 8x8, frames 0 and 2 are equal
+    const sheetCanvas = createCanvas(32, 8);
+    const sheetContext = sheetCanvas.getContext('2d');
+    sheetContext.fillStyle = '#000000';
+    [0, 1, 2, 3].forEach(frame => sheetContext.fillRect(frame * 8, 0, frame % 2 === 0 ? 4 : 8 - frame, 4));
+    fs.writeFileSync('sheet_source_test.png', sheetCanvas.toBuffer('image/png'));
+    
+    const sheetConvertResult = await convertImage('sheet_source_test.png', {
+        outputPath: 'sheet_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sheet',
+        frameWidth: 8,
+        frameHeight: 8,
+        animations: { walk: { frames: [0, 1, 2, 3], duration: 6 } }
+    });
+    
+    if (sheetConvertResult.gbdk && sheetConvertResult.gbdk.success) {
+        const sheetArrays = parseCArrays(fs.readFileSync('sheet_test.c', 'utf8'));
+        test(
+            'Sheet mode writes frame tiles, metasprites and animations',
+            sheetConvertResult.gbdk.tilesGenerated === 3 &&
+                sheetArrays.sheet_test_frame_tiles.join(',') === '0,1,0,2' &&
+                sheetArrays.sheet_test_anim_walk.join(',') === '0,6,1,6,2,6,3,6' &&
+                fs.readFileSync('sheet_test.c', 'utf8').includes('const metasprite_t* const sheet_test_metasprites[] = {')
+        );
+    } else {
+        test('Sprite sheet conversion successful', false);
+    }
+    
+    const invalidSheetResult = await convertImage('sheet_source_test.png', {
+        outputPath: 'sheet_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sheet',
+        frameWidth: 8,
+        frameHeight: 8,
+        animations: { walk: [4] }
+    });
+    test(
+        'Sheet animations with missing frames are rejected',
+        !invalidSheetResult.success || !invalidSheetResult.gbdk.success
+    );
+    
+    // The sheet file is read once, for the conversion and the code generation
+    fs.writeFileSync('sheet_file_test.json', JSON.stringify({ frameWidth: 8, frameHeight: 8, animations: { walk: { frames: [0, 1], duration: 6 } } }));
+    const readFileSync = fs.readFileSync;
+    const sheetFileReads = [];
+    fs.readFileSync = (filePath, ...args) => {
+        if (filePath === 'sheet_file_test.json') sheetFileReads.push(filePath);
+        return readFileSync(filePath, ...args);
+    };
+    const sheetFileResult = await convertImage('sheet_source_test.png', {
+        outputPath: 'sheet_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sheet',
+        sheet: 'sheet_file_test.json'
+    });
+    fs.readFileSync = readFileSync;
+    test(
+        'Sheet files are read once',
+        sheetFileResult.success && sheetFileResult.gbdk.success && sheetFileReads.length === 1 &&
+            parseCArrays(fs.readFileSync('sheet_test.c', 'utf8')).sheet_test_anim_walk.join(',') === '0,6,1,6'
+    );
+    
+    // Test 3n: Fonts
+    test(
+        'Character ranges list every character between both ends',
+        parseCharset("' '..'~'").length === 95 && parseCharset('A..D').join('') === 'ABCD' && parseCharset('A.B').join('') === 'A.B'
+    );
+    
+    test(
+        'Character lookup table uses the space glyph for missing characters',
+        buildCharMap(['A', ' ', 'C']).slice(64).join(','),
+        '1,0,1,2'
+    );
+    
+    const glyphIndices = Uint8Array.from({ length: 16 * 8 }, (_, i) => (i % 16 === 10 ? 3 : 0));
+    test(
+        'Glyph widths end at the last inked column',
+        measureGlyphWidths(glyphIndices, 16, 8, 2).join(','),
+        '4,3'
+    );
+    
+    // Font image: 2x2 glyphs, " ", "A" (5 pixels wide), "B" (3 pixels wide), "!" (1 pixel wide)
+    const fontCanvas = createCanvas(16, 16);
+    const fontContext = fontCanvas.getContext('2d');
+    fontContext.fillStyle = '#FFFFFF';
+    fontContext.fillRect(0, 0, 16, 16);
+    fontContext.fillStyle = '#000000';
+    fontContext.fillRect(8, 0, 5, 7);
+    fontContext.fillRect(0, 8, 3, 7);
+    fontContext.fillRect(8, 8, 1, 7);
+    fs.writeFileSync('font_source_test.png', fontCanvas.toBuffer('image/png'));
+    
+    const fontResult = await convertImage('font_source_test.png', {
+        outputPath: 'font_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'font',
+        charset: ' AB!',
+        variableWidth: true
+    });
+    
+    if (fontResult.gbdk && fontResult.gbdk.success) {
+        const fontArrays = parseCArrays(fs.readFileSync('font_test.c', 'utf8'));
+        test(
+            'Font mode writes glyphs, character lookup table and widths',
+            fontResult.gbdk.glyphCount === 4 &&
+                fontArrays.font_test_charmap.length === 67 &&
+                [32, 33, 34, 65, 66].map(code => fontArrays.font_test_charmap[code]).join(',') === '0,3,0,1,2' &&
+                fontArrays.font_test_widths.join(',') === '4,5,3,1'
+        );
+    } else {
+        test('Font conversion successful', false);
+    }
+    
+    const invalidFontResult = await convertImage('font_source_test.png', {
+        outputPath: 'font_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'font'
+    });
+    test(
+        'Font with more characters than glyphs is rejected',
+        invalidFontResult.gbdk && !invalidFontResult.gbdk.success
+    );
+    
+    // Test 3o: Input formats
+    // GIF with 8x8 frames of a single color index (a clear code every 2 pixels keeps 3-bit LZW codes)
+    const createGIF = (frames, delay) => {
+        const imageBlock = (colorIndex) => {
+            const codes = [...Array.from({ length: 64 }, (_, i) => i % 2 === 0 ? [4, colorIndex] : [colorIndex]).flat(), 5];
+            const bits = codes.flatMap(code => [0, 1, 2].map(bit => (code >> bit) & 1));
+            const data = Array.from({ length: Math.ceil(bits.length / 8) }, (_, i) =>
+                bits.slice(i * 8, i * 8 + 8).reduce((value, bit, position) => value | (bit << position), 0));
+            return [0x21, 0xF9, 4, 0, delay, 0, 0, 0, 0x2C, 0, 0, 0, 0, 8, 0, 8, 0, 0, 2, data.length, ...data, 0];
+        };
+        return Buffer.from([
+            ...Buffer.from('GIF89a'), 8, 0, 8, 0, 0x81, 0, 0,
+            0, 0, 0, 85, 85, 85, 170, 170, 170, 255, 255, 255,
+            ...frames.flatMap(imageBlock), 0x3B
+        ]);
+    };
+    
+    // Aseprite file with 8x8 RGBA frames
+    const asepriteChunk = (type, data) => {
+        const header = Buffer.alloc(6);
+        header.writeUInt32LE(data.length + 6, 0);
+        header.writeUInt16LE(type, 4);
+        return Buffer.concat([header, data]);
+    };
+    const asepriteString = (text) => Buffer.concat([Buffer.from([text.length, 0]), Buffer.from(text)]);
+    const asepriteLayer = (name, flags) => asepriteChunk(0x2004, Buffer.concat([Buffer.from([flags, 0, 0, 0, 0, 0, 8, 0, 8, 0, 0, 0, 255, 0, 0, 0]), asepriteString(name)]));
+    const asepriteCel = (layer, celType, data) => asepriteChunk(0x2005, Buffer.concat([Buffer.from([layer, 0, 0, 0, 0, 0, 255, celType, 0, 0, 0, 0, 0, 0, 0, 0]), data]));
+    const asepritePixels = (isInked) => Buffer.concat([
+        Buffer.from([8, 0, 8, 0]),
+        Buffer.from(Array.from({ length: 64 }, (_, pixel) => isInked(pixel % 8, Math.floor(pixel / 8)) ? [0, 0, 0, 255] : [0, 0, 0, 0]).flat())
+    ]);
+    const asepriteFrame = (chunks) => {
+        const header = Buffer.alloc(16);
+        const body = Buffer.concat(chunks);
+        header.writeUInt32LE(body.length + 16, 0);
+        header.writeUInt16LE(0xF1FA, 4);
+        header.writeUInt16LE(chunks.length, 6);
+        header.writeUInt16LE(100, 8);
+        header.writeUInt32LE(chunks.length, 12);
+        return Buffer.concat([header, body]);
+    };
+    const asepriteHeader = Buffer.alloc(128);
+    asepriteHeader.writeUInt16LE(0xA5E0, 4);
+    asepriteHeader.writeUInt16LE(3, 6);
+    asepriteHeader.writeUInt16LE(8, 8);
+    asepriteHeader.writeUInt16LE(8, 10);
+    asepriteHeader.writeUInt16LE(32, 12);
+    asepriteHeader.writeUInt32LE(1, 14);
+    const asepriteFile = Buffer.concat([
+        asepriteHeader,
+        asepriteFrame([
+            asepriteLayer('body', 1),
+            asepriteLayer('hidden', 0),
+            asepriteChunk(0x2018, Buffer.concat([Buffer.from([1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 2]), Buffer.alloc(12), asepriteString('walk-cycle')])),
+            asepriteCel(0, 0, asepritePixels(x => x < 4)),
+            asepriteCel(1, 0, asepritePixels(() => true))
+        ]),
+        asepriteFrame([asepriteCel(0, 2, Buffer.concat([Buffer.from([8, 0, 8, 0]), zlib.deflateSync(asepritePixels((x, y) => y < 4).subarray(4))]))]),
+        asepriteFrame([asepriteCel(0, 1, Buffer.from([0, 0]))])
+    ]);
+    
+    test(
+        'Input formats are detected by content',
+        [
+            createCanvas(8, 8).toBuffer('image/png'),
+            createCanvas(8, 8).toBuffer('image/jpeg'),
+            createGIF([0], 0),
+            Buffer.from('BM000000'),
+            asepriteFile,
+            Buffer.from('not an image')
+        ].map(detectImageFormat).join(','),
+        'png,jpeg,gif,bmp,aseprite,'
+    );
+    
+    const decodedGIF = decodeGIF(createGIF([0, 3], 5));
+    test(
+        'GIF frames are decoded with their duration',
+        decodedGIF.frames.length === 2 && decodedGIF.frames[1].duration === 50 &&
+            decodedGIF.frames[0].data[0] === 0 && decodedGIF.frames[1].data[252] === 255
+    );
+    
+    const decodedAseprite = decodeAseprite(asepriteFile);
+    const asepriteAlpha = (frame, x, y) => decodedAseprite.frames[frame].data[(y * 8 + x) * 4 + 3];
+    test(
+        'Aseprite frames compose the visible layers, with compressed and linked cels',
+        decodedAseprite.layers.join(',') === 'body' &&
+            asepriteAlpha(0, 0, 7) === 255 && asepriteAlpha(0, 7, 7) === 0 &&
+            asepriteAlpha(1, 7, 0) === 255 && asepriteAlpha(1, 0, 7) === 0 &&
+            decodedAseprite.frames[2].data.join(',') === decodedAseprite.frames[0].data.join(',') &&
+            JSON.stringify(decodedAseprite.tags) === JSON.stringify([{ name: 'walk-cycle', from: 0, to: 2, direction: 'pingpong' }])
+    );
+    
+    test(
+        'Aseprite layers can be chosen by name',
+        decodeAseprite(asepriteFile, { layers: ['hidden'] }).frames[0].data[(7 * 8 + 7) * 4 + 3],
+        255
+    );
+    
+    fs.writeFileSync('anim_source_test.aseprite', asepriteFile);
+    const asepriteResult = await convertImage('anim_source_test.aseprite', {
+        outputPath: 'anim_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sheet'
+    });
+    
+    if (asepriteResult.gbdk && asepriteResult.gbdk.success) {
+        const animArrays = parseCArrays(fs.readFileSync('anim_test.c', 'utf8'));
+        test(
+            'Aseprite frames become sheet frames and tags become animations',
+            asepriteResult.conversion.width === 24 && asepriteResult.gbdk.frameCount === 3 &&
+                animArrays.anim_test_anim_walk_cycle.join(',') === '0,6,1,6,2,6,1,6'
+        );
+    } else {
+        test('Aseprite conversion successful', false);
+    }
+    
+    // GIF saved with a .png extension: the format comes from the content
+    fs.writeFileSync('anim_source_test.png', createGIF([0, 3, 0], 10));
+    const gifResult = await convertImage('anim_source_test.png', {
+        outputPath: 'anim_test.png',
+        generateGBDK: true,
+        verbose: false,
+        mode: 'sheet'
+    });
+    
+    test(
+        'GIF frames are extracted into a sheet with one animation of every frame',
+        gifResult.gbdk && gifResult.gbdk.success && gifResult.gbdk.frameCount === 3 &&
+            parseCArrays(fs.readFileSync('anim_test.c', 'utf8')).anim_test_anim_all.join(',') === '0,6,1,6,2,6'
+    );
+    
+    fs.writeFileSync('anim_source_test.png', 'not an image');
+    test(
+        'Unsupported input formats are rejected',
+        (await convertImage('anim_source_test.png', { verbose: false })).success,
+        false
+    );
+    
+    // Test 3p: In-memory API
+    // 16x8 image: a white tile and a tile with a black top half
+    const memoryPixels = new Uint8ClampedArray(Array.from({ length: 16 * 8 }, (_, pixel) =>
+        pixel % 16 >= 8 && pixel < 64 ? [0, 0, 0, 255] : [255, 255, 255, 255]).flat());
+    const memoryImage = convertImageData({ width: 16, height: 8, data: memoryPixels });
+    test(
+        'ImageData-like objects are converted to palette indices',
+        memoryImage.indices.length === 128 && memoryImage.indices[0] === 0 && memoryImage.indices[8] === 3 &&
+            memoryImage.indices[72] === 0 && memoryPixels[0] === 255
+    );
+    
+    const memoryCode = generateCode(memoryImage, { variableName: 'memory', mode: 'background', outputFormats: ['c', 'bin'] });
+    const memoryArrays = parseCArrays(memoryCode.code);
+    test(
+        'Indexed images generate code strings and file contents',
+        memoryCode.files['.c'] === memoryCode.code && memoryCode.tilesGenerated === 2 &&
+            memoryArrays.memory_map.join(',') === '0,1' && memoryCode.files['.2bpp'] instanceof Uint8Array &&
+            memoryCode.files['.2bpp'].length === 32
+    );
+    
+    const rleTileData = findCTileData(generateCode(memoryImage, { variableName: 'memory', mode: 'background', compression: 'rle' }).code);
+    test(
+        'RLE compressed C arrays are decompressed for decoding',
+        rleTileData.tiles.join(',') === memoryArrays.memory_tiles.join(',') && rleTileData.map.join(',') === '0,1'
+    );
+    
+    const memoryTilesCode = generateCode(memoryImage, { variableName: 'memory', mode: 'tiles', spriteSize: '8x16' });
+    test(
+        'Tiles mode keeps the image tile order and has no metasprite',
+        memoryTilesCode.tilesGenerated === 2 && memoryTilesCode.metaspriteItems === 0 &&
+            !memoryTilesCode.code.includes('metasprite')
+    );
+    
+    const memoryCanvas = createCanvas(16, 8);
+    memoryCanvas.getContext('2d').putImageData(new ImageData(memoryPixels, 16, 8), 0, 0);
+    const memoryBuffer = await convertBuffer(memoryCanvas.toBuffer('image/png'), { target: 'cgb', mode: 'sprite' });
+    const memoryCgbCode = generateCode(memoryBuffer, { variableName: 'memory', mode: 'sprite', target: 'cgb' });
+    test(
+        'PNG buffers are converted to PNG buffers and CGB code without files',
+        detectImageFormat(memoryBuffer.buffer) === 'png' && memoryBuffer.width === 16 &&
+            memoryCgbCode.paletteCount === memoryBuffer.palettes.length &&
+            memoryCgbCode.code.includes('memory_palettes')
+    );
+    
+    // Test 3q: Indexed PNG
+    const indexedPNG = decodeIndexedPNG(encodeIndexedPNG({
+        width: 5,
+        height: 3,
+        indices: Uint8Array.from({ length: 15 }, (_, i) => i % 4),
+        palette: PALETTES.grayscale,
+        transparentIndices: [0]
+    }));
+    test(
+        'Indexed PNG images keep their 2-bit indices, palette and transparency',
+        indexedPNG.bitDepth === 2 && Array.from(indexedPNG.indices).join('') === '012301230123012' &&
+            indexedPNG.palette[3].r === PALETTES.grayscale[3].r && indexedPNG.alphas.join(',') === '0,255,255,255'
+    );
+    
+    const indexedBuffer = await convertBuffer(memoryCanvas.toBuffer('image/png'), { mode: 'sprite', indexed: true });
+    const rgbaBuffer = await convertBuffer(memoryCanvas.toBuffer('image/png'), { mode: 'sprite' });
+    const indexedCanvas = createCanvas(16, 8);
+    indexedCanvas.getContext('2d').drawImage(await loadImage(indexedBuffer.buffer), 0, 0);
+    test(
+        'Indexed PNG output is a valid PNG with the converted colors',
+        decodeIndexedPNG(indexedBuffer.buffer).bitDepth === 2 && decodeIndexedPNG(rgbaBuffer.buffer) === null &&
+            Array.from(indexedCanvas.getContext('2d').getImageData(0, 0, 16, 8).data).every((value, i) =>
+                rgbaBuffer.data[i + 3 - (i % 4)] === 0 ? i % 4 !== 3 || value === 0 : value === rgbaBuffer.data[i])
+    );
+    
+    const indexedCgbBuffer = await convertBuffer(memoryCanvas.toBuffer('image/png'), { target: 'cgb', indexed: true });
+    const indexedCgbPNG = decodeIndexedPNG(indexedCgbBuffer.buffer);
+    test(
+        'CGB indexed PNG images hold every palette',
+        indexedCgbPNG.bitDepth === (indexedCgbBuffer.palettes.length > 1 ? 8 : 2) && indexedCgbPNG.palette.length === indexedCgbBuffer.palettes.length * 4 &&
+            Array.from(indexedCgbPNG.indices).every((value, pixel) => value % 4 === indexedCgbBuffer.indices[pixel])
+    );
+    
+    // Test 3r: Hardware limit validation
+    const issueCodes = (issues) => issues.map(issue => issue.code).join(',');
+    const tooManyTiles = validateAsset({ width: 160, height: 144, mode: 'background', tileCount: 360 });
+    test(
+        'More than 256 background tiles are an error, a map within 32x32 tiles is fine',
+        !tooManyTiles.valid && issueCodes(tooManyTiles.errors) === 'tile-ids' && tooManyTiles.warnings.length === 0
+    );
+    
+    const vramValidation = validateAsset({ width: 13, height: 11, mode: 'tiles', tileCount: 400 });
+    const cgbVramValidation = validateAsset({ width: 16, height: 16, mode: 'tiles', target: 'cgb', tileCount: 400 });
+    test(
+        'VRAM tile limits depend on the target and odd sizes are reported as padded',
+        issueCodes(vramValidation.errors) === 'vram-tiles' && issueCodes(vramValidation.warnings) === 'image-size' &&
+            vramValidation.warnings[0].message.includes('16x16') &&
+            cgbVramValidation.errors.length === 0 && issueCodes(cgbVramValidation.warnings) === 'tile-ids'
+    );
+    
+    // 96x8 sprite: 12 hardware sprites on the same scanlines
+    const wideSprite = convertImageData({ width: 96, height: 8, data: new Uint8ClampedArray(96 * 8 * 4).fill(255) }, { mode: 'sprite', palette: 'grayscale' });
+    const wideSpriteCode = generateCode(wideSprite, { variableName: 'wide', mode: 'sprite' });
+    test(
+        'Sprites with more than 10 hardware sprites on one scanline are reported',
+        !wideSpriteCode.validation.valid &&
+            issueCodes(wideSpriteCode.validation.errors) === 'sprites-per-line' &&
+            wideSpriteCode.validation.errors[0].message.includes('12 sprites')
+    );
+    
+    test(
+        'Strict mode makes hardware limit issues fatal',
+        (() => {
+            try {
+                generateCode(wideSprite, { variableName: 'wide', mode: 'sprite', strict: true });
+                return false;
+            } catch (error) {
+                return error.message.startsWith('Hardware validation failed');
+            }
+        })()
+    );
+    
+    // CGB: a tile with 8 reds and a tile with 8 blues, one palette allowed
+    const stripePixels = new Uint8ClampedArray(Array.from({ length: 16 * 8 }, (_, i) =>
+        i % 16 < 8 ? [(i % 8) * 32, 0, 0, 255] : [0, 0, (i % 8) * 32, 255]).flat());
+    const stripeValidation = convertImageData({ width: 16, height: 8, data: stripePixels }, { target: 'cgb', maxPalettes: 1 }).validation;
+    test(
+        'CGB conversions report tiles with too many colors and merged palettes',
+        stripeValidation.valid && issueCodes(stripeValidation.warnings) === 'tile-colors,palette-count' &&
+            stripeValidation.warnings[0].message.startsWith('2 tiles')
+    );
+    
+    // Test 3s: Exact colors and color maps
+    const parsedColorMap = parseColorMap('#FFFFFF=1, #000000=2');
+    test(
+        'Color maps are parsed from strings and objects',
+        parsedColorMap.get(0xFFFFFF) === 1 && parsedColorMap.get(0) === 2 &&
+            parseColorMap({ '#FF0000': 3 }).get(0xFF0000) === 3
+    );
+    
+    test(
+        'Color maps reject invalid palette indices',
+        (() => {
+            try {
+                parseColorMap('#FFFFFF=4');
+                return false;
+            } catch (error) {
+                return error.message.includes('#FFFFFF');
+            }
+        })()
+    );
+    
+    const exactImage = convertImageData({ width: 16, height: 8, data: memoryPixels }, { palette: 'grayscale', exact: true, dither: 'atkinson' });
+    const offPaletteImage = convertImageData({ width: 16, height: 8, data: memoryPixels }, { exact: true });
+    test(
+        'Exact colors accept palette pixels and list the others with their tile',
+        exactImage.offPalettePixels.length === 0 && exactImage.dither === 'none' &&
+            Array.from(exactImage.indices).join('') === Array.from(memoryImage.indices).join('') &&
+            offPaletteImage.offPalettePixels.length === 128 &&
+            JSON.stringify(offPaletteImage.offPalettePixels[72]) === JSON.stringify({ x: 8, y: 4, tile: 1, tileX: 1, tileY: 0, color: '#FFFFFF' })
+    );
+    
+    const colorMapImage = convertImageData({ width: 16, height: 8, data: memoryPixels }, { colorMap: { '#FFFFFF': 1, '#000000': 2 } });
+    test(
+        'Color maps assign the palette index of every color',
+        colorMapImage.offPalettePixels.length === 0 && colorMapImage.indices[0] === 1 && colorMapImage.indices[8] === 2 &&
+            colorMapImage.data[0] === GAMEBOY_PALETTE[1].r
+    );
+    
+    // Test 3t: Preview and report
+    const previewPixels = async (png) => {
+        const previewImage = await loadImage(png);
+        const previewCanvas = createCanvas(previewImage.width, previewImage.height);
+        previewCanvas.getContext('2d').drawImage(previewImage, 0, 0);
+        return previewCanvas.getContext('2d').getImageData(0, 0, previewImage.width, previewImage.height);
+    };
+    const plainPreview = await previewPixels(renderPreview(memoryImage, { scale: 4 }));
+    const gridPreview = await previewPixels(renderPreview(memoryImage, { scale: 4, grid: true }));
+    const previewColor = (pixels, x, y) => Array.from(pixels.data.slice((y * pixels.width + x) * 4, (y * pixels.width + x) * 4 + 3)).join(',');
+    test(
+        'Previews are upscaled with nearest-neighbor sampling and draw the tile grid',
+        plainPreview.width === 64 && plainPreview.height === 32 &&
+            previewColor(plainPreview, 3, 3) === [GAMEBOY_PALETTE[0].r, GAMEBOY_PALETTE[0].g, GAMEBOY_PALETTE[0].b].join(',') &&
+            previewColor(plainPreview, 39, 15) === [GAMEBOY_PALETTE[3].r, GAMEBOY_PALETTE[3].g, GAMEBOY_PALETTE[3].b].join(',') &&
+            previewColor(gridPreview, 32, 20) !== previewColor(plainPreview, 32, 20) &&
+            previewColor(gridPreview, 33, 20) === previewColor(plainPreview, 33, 20)
+    );
+    
+    const duplicatedTiles = encodeTiles(new Uint8Array(32 * 8).map((_, pixel) => pixel % 32 < 8 || pixel % 32 >= 24 ? 0 : 3), 32, 8);
+    test(
+        'Duplicate tiles point to the first identical tile',
+        findDuplicateTiles(duplicatedTiles).join(',') === ',,1,0'
+    );
+    
+    test(
+        'Preview scales outside 2-8 are rejected',
+        (() => {
+            try {
+                resolvePreviewOptions({ scale: 9 });
+                return false;
+            } catch (error) {
+                return error.message.includes('between 2 and 8');
+            }
+        })() && resolvePreviewOptions(false) === null && resolvePreviewOptions(true).scale === 4
+    );
+    
+    const memoryReport = buildHTMLReport({
+        title: '<memory>',
+        image: memoryImage,
+        images: { original: Buffer.from('original'), converted: Buffer.from('converted'), preview: null },
+        scale: 4,
+        validation: memoryCode.validation
+    });
+    test(
+        'HTML reports embed the images and list tile statistics',
+        memoryReport.includes('data:image/png;base64,' + Buffer.from('original').toString('base64')) &&
+            memoryReport.includes('<h1>&lt;memory&gt;</h1>') &&
+            memoryReport.includes('<tr><th>Unique tiles</th><td>2</td></tr>') &&
+            memoryReport.includes('No issues found.')
+    );
+    
+    // Test 3u: Crop, resize and padding
+    // 20x10 image: black left half, white right half
+    const halvesPixels = new Uint8ClampedArray(Array.from({ length: 20 * 10 }, (_, pixel) =>
+        pixel % 20 < 10 ? [0, 0, 0, 255] : [255, 255, 255, 255]).flat());
+    const halvesImage = { width: 20, height: 10, data: halvesPixels };
+    const rowIndices = (image, row) => Array.from(image.indices.slice(row * image.width, (row + 1) * image.width)).join('');
+    const fitImage = convertImageData(halvesImage, { resize: '16x16', resample: 'nearest', backgroundIndex: 2 });
+    test(
+        'Fit mode keeps the aspect ratio with bars of the background index',
+        fitImage.width === 16 && fitImage.height === 16 && fitImage.sourceWidth === 20 &&
+            JSON.stringify(fitImage.content) === JSON.stringify({ x: 0, y: 4, width: 16, height: 8 }) &&
+            rowIndices(fitImage, 0) === '2222222222222222' && rowIndices(fitImage, 4) === '3333333300000000'
+    );
+    
+    const fillImage = convertImageData(halvesImage, { resize: { width: 4, height: 4 }, fit: 'fill', resample: 'nearest' });
+    const stretchImage = convertImageData(halvesImage, { resize: '4x2', fit: 'stretch' });
+    test(
+        'Fill mode crops the overflow and stretch mode changes the aspect ratio',
+        rowIndices(fillImage, 0) === '3300' && rowIndices(fillImage, 3) === '3300' &&
+            stretchImage.width === 4 && stretchImage.height === 2 && rowIndices(stretchImage, 1) === '3300'
+    );
+    
+    const averagedImage = convertImageData({ width: 4, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255]) },
+        { resize: '2x1', fit: 'stretch', palette: 'grayscale' });
+    const nearestImage = convertImageData({ width: 4, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255]) },
+        { resize: '2x1', fit: 'stretch', resample: 'nearest', palette: 'grayscale' });
+    test(
+        'Area resampling averages the covered pixels and nearest resampling keeps them',
+        Array.from(averagedImage.indices).join('') === '11' && Array.from(nearestImage.indices).join('') === '00'
+    );
+    
+    const paddedSprite = convertImageData(halvesImage, { crop: '5,0,10,10', pad: true, mode: 'sprite' });
+    test(
+        'Crops are padded to a multiple of 8 with transparent pixels in sprite mode',
+        paddedSprite.width === 16 && paddedSprite.height === 16 && rowIndices(paddedSprite, 0) === '3333311111000000' &&
+            paddedSprite.data[15 * 4 + 3] === 0 && rowIndices(paddedSprite, 12) === '0000000000000000'
+    );
+    
+    test(
+        'Invalid crop rectangles and preprocessing options are rejected',
+        (() => {
+            try {
+                convertImageData(halvesImage, { crop: '10,0,20,10' });
+                return false;
+            } catch (error) {
+                return error.message.includes('outside the 20x10 image');
+            }
+        })() && (() => {
+            try {
+                resolvePreprocessOptions({ resize: 'screen', fit: 'cover' });
+                return false;
+            } catch (error) {
+                return error.message.includes('Unknown fit mode');
+            }
+        })() && resolvePreprocessOptions({ fit: 'fill' }) === null && resolvePreprocessOptions({ resize: 'screen' }).resize.height === 144
+    );
+    
+    // Test 3v: Adjustments and thresholds
+    // 16x1 dark gradient (luminance 0-60)
+    const darkRamp = { width: 16, height: 1, data: new Uint8ClampedArray(Array.from({ length: 16 }, (_, i) => [i * 4, i * 4, i * 4, 255]).flat()) };
+    const rampIndices = (options) => Array.from(convertImageData(darkRamp, { palette: 'grayscale', ...options }).indices).join('');
+    test(
+        'Dark images use more shades with auto levels, brightness and gamma',
+        rampIndices({}) === '3333333333322222' && rampIndices({ autoLevels: true }) === '3332222211111000' &&
+            rampIndices({ brightness: 0.5 }) === '1111111111111111' && rampIndices({ gamma: 3 }) === '3222222211111111'
+    );
+    
+    test(
+        'Thresholds choose the shade by luminance, keeping color 0 transparent in sprite mode',
+        rampIndices({ thresholds: [10, 30, 50] }) === '3332222211111000' &&
+            rampIndices({ thresholds: '10,30,50', mode: 'sprite' }) === '3332222211111111' &&
+            convertImageData(darkRamp, { thresholds: [10, 30, 50] }).thresholds.join(',') === '10,30,50'
+    );
+    
+    test(
+        'Adjustments and thresholds are validated',
+        resolveAdjustments({}) === null && resolveAdjustments({ contrast: 0.5 }).gamma === 1 &&
+            [{ brightness: 2 }, { contrast: -1.5 }, { gamma: 0 }].every(options => {
+                try {
+                    resolveAdjustments(options);
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            }) &&
+            [[10, 5, 50], '10,30', [0, 128, 256]].every(thresholds => {
+                try {
+                    parseThresholds(thresholds);
+                    return false;
+                } catch (error) {
+                    return error.message.includes('3 ascending');
+                }
+            })
+    );
+    
     // Test 4: Verify test image exists
     const testImageExists = fs.existsSync('test_image.png');
     test(
@@ -120,6 +1077,12 @@ async function runTests() {
                     'C code contains definitions',
                     cContent.includes('#define TEST_SPRITE_WIDTH')
                 );
+                
+                test(
+                    'C array lines are separated by commas',
+                    cContent.split('};')[0].split('\n').filter(line => line.startsWith('    ')).slice(0, -1)
+                        .every(line => line.endsWith(','))
+                );
             }
         }
         
@@ -145,6 +1108,676 @@ async function runTests() {
             'GBDK included in result',
             fullResult.gbdk && fullResult.gbdk.success
         );
+        
+        // Test 7b: Conversion with a palette preset
+        const paletteResult = await convertImage('test_image.png', {
+            outputPath: 'palette_test.png',
+            generateGBDK: true,
+            verbose: false,
+            palette: 'grayscale'
+        });
+        
+        test(
+            'Conversion with palette preset successful',
+            paletteResult.success && paletteResult.gbdk && paletteResult.gbdk.success
+        );
+        
+        test(
+            'Palette is used in GBDK code',
+            paletteResult.success && fs.readFileSync('palette_test.c', 'utf8').includes('#FFFFFF, #AAAAAA, #555555, #000000')
+        );
+        
+        const unknownPaletteResult = await convertImage('test_image.png', {
+            outputPath: 'palette_test.png',
+            verbose: false,
+            palette: 'unknown'
+        });
+        
+        test(
+            'Unknown palette is rejected',
+            !unknownPaletteResult.success
+        );
+        
+        // Test 7c: Conversion with dithering
+        const ditherResult = await convertImage('test_image.png', {
+            outputPath: 'dither_test.png',
+            generateGBDK: true,
+            verbose: false,
+            dither: 'atkinson',
+            ditherStrength: 0.75
+        });
+        
+        test(
+            'Conversion with dithering successful',
+            ditherResult.success && ditherResult.gbdk && ditherResult.gbdk.success
+        );
+        
+        const readArrayData = (file) => fs.readFileSync(file, 'utf8').split('[] = {')[1].split('};')[0];
+        test(
+            'Dithered GBDK data differs from undithered data',
+            ditherResult.success && readArrayData('dither_test.c') !== readArrayData('full_test.c')
+        );
+        
+        const unknownDitherResult = await convertImage('test_image.png', {
+            outputPath: 'dither_test.png',
+            verbose: false,
+            dither: 'unknown'
+        });
+        
+        test(
+            'Unknown dithering mode is rejected',
+            !unknownDitherResult.success
+        );
+        
+        // Test 7d: Background mode with tile deduplication
+        const backgroundResult = await convertImage('test_image.png', {
+            outputPath: 'background_test.png',
+            generateGBDK: true,
+            verbose: false,
+            mode: 'background'
+        });
+        
+        test(
+            'Background mode generation successful',
+            backgroundResult.success && backgroundResult.gbdk && backgroundResult.gbdk.success
+        );
+        
+        if (backgroundResult.gbdk && backgroundResult.gbdk.success) {
+            const backgroundCode = fs.readFileSync('background_test.c', 'utf8');
+            test(
+                'Background mode emits tiles and map arrays',
+                backgroundCode.includes('background_test_tiles[]') && backgroundCode.includes('background_test_map[]')
+            );
+            
+            test(
+                'Background mode reports saved tiles',
+                backgroundResult.gbdk.tilesGenerated + backgroundResult.gbdk.tilesSaved,
+                backgroundResult.gbdk.mapSize
+            );
+        }
+        
+        // Test 7e: Game Boy Color output
+        const cgbResult = await convertImage('test_image.png', {
+            outputPath: 'cgb_test.png',
+            generateGBDK: true,
+            verbose: false,
+            mode: 'background',
+            target: 'cgb'
+        });
+        
+        test(
+            'CGB conversion successful',
+            cgbResult.success && cgbResult.gbdk && cgbResult.gbdk.success
+        );
+        
+        test(
+            'CGB conversion returns up to 8 palettes',
+            cgbResult.success && cgbResult.conversion.palettes.length <= 8
+        );
+        
+        if (cgbResult.gbdk && cgbResult.gbdk.success) {
+            const cgbCode = fs.readFileSync('cgb_test.c', 'utf8');
+            test(
+                'CGB code contains palettes and attribute map',
+                cgbCode.includes('const UWORD cgb_test_palettes[]') && cgbCode.includes('cgb_test_attributes[]')
+            );
+            
+            const rebuiltResult = await generateGBDKCode('cgb_test.png', 'cgb_rebuilt_test.c', {
+                verbose: false,
+                mode: 'background',
+                target: 'cgb'
+            });
+            test(
+                'CGB palettes are rebuilt from a converted image',
+                rebuiltResult.success && rebuiltResult.paletteCount <= 8
+            );
+        }
+        
+        // Test 7f: Conversion with perceptual color matching
+        const colorMatchResult = await convertImage('test_image.png', {
+            outputPath: 'color_match_test.png',
+            verbose: false,
+            colorMatch: 'ciede2000'
+        });
+        
+        test(
+            'Conversion with CIEDE2000 color matching successful',
+            colorMatchResult.success
+        );
+        
+        const unknownColorMatchResult = await convertImage('test_image.png', {
+            outputPath: 'color_match_test.png',
+            verbose: false,
+            colorMatch: 'unknown'
+        });
+        
+        test(
+            'Unknown color matching mode is rejected',
+            !unknownColorMatchResult.success
+        );
+        
+        // Test 7g: rgbgfx-compatible binary files
+        const binaryResult = await convertImage('test_image.png', {
+            outputPath: 'binary_test.png',
+            verbose: false,
+            mode: 'background',
+            outputFormats: ['bin']
+        });
+        
+        test(
+            'Binary export successful without C code',
+            binaryResult.gbdk && binaryResult.gbdk.success && !fs.existsSync('binary_test.c')
+        );
+        
+        if (binaryResult.gbdk && binaryResult.gbdk.success) {
+            test(
+                'Binary tile data has 16 bytes per unique tile',
+                fs.statSync('binary_test.2bpp').size,
+                binaryResult.gbdk.tilesGenerated * 16
+            );
+            
+            test(
+                'Binary tile map has one byte per tile',
+                fs.statSync('binary_test.tilemap').size,
+                binaryResult.gbdk.mapSize
+            );
+        }
+        
+        // Test 7h: RGBDS assembly files
+        const asmResult = await convertImage('test_image.png', {
+            outputPath: 'asm_test.png',
+            verbose: false,
+            outputFormats: ['asm'],
+            sectionName: 'Test Graphics',
+            bank: 2
+        });
+        
+        if (asmResult.gbdk && asmResult.gbdk.success) {
+            const asmCode = fs.readFileSync('asm_test.asm', 'utf8');
+            test(
+                'RGBDS source has the section, an exported label and its .end label',
+                asmCode.includes('SECTION "Test Graphics", ROMX, BANK[2]') &&
+                    asmCode.includes('asm_test_data::\n    db $') &&
+                    asmCode.includes('\n.end')
+            );
+            
+            test(
+                'RGBDS include mirrors the #defines',
+                fs.readFileSync('asm_test.inc', 'utf8').includes('DEF ASM_TEST_TILE_COUNT EQU 64')
+            );
+        } else {
+            test('RGBDS export successful', false);
+        }
+        
+        // Test 7i: Header/source split with ROM banking
+        const headerResult = await convertImage('test_image.png', {
+            outputPath: 'header_test.png',
+            generateGBDK: true,
+            verbose: false,
+            header: true,
+            bank: 3
+        });
+        
+        if (headerResult.gbdk && headerResult.gbdk.success) {
+            const headerCode = fs.readFileSync('header_test.h', 'utf8');
+            const sourceCode = fs.readFileSync('header_test.c', 'utf8');
+            test(
+                'Header has include guard, defines and extern declarations',
+                headerCode.includes('#ifndef HEADER_TEST_H') &&
+                    headerCode.includes('#define HEADER_TEST_TILE_COUNT 64') &&
+                    headerCode.includes('extern const unsigned char header_test_data[];') &&
+                    headerCode.includes('BANKREF_EXTERN(header_test)')
+            );
+            
+            test(
+                'Banked source includes the header without repeating the defines',
+                sourceCode.includes('#pragma bank 3') &&
+                    sourceCode.includes('#include "header_test.h"') &&
+                    sourceCode.includes('BANKREF(header_test)') &&
+                    !sourceCode.includes('#define')
+            );
+        } else {
+            test('Header generation successful', false);
+        }
+        
+        const invalidBankResult = await convertImage('test_image.png', {
+            outputPath: 'header_test.png',
+            generateGBDK: true,
+            verbose: false,
+            bank: 512
+        });
+        
+        test(
+            'Invalid ROM bank is rejected',
+            !invalidBankResult.success
+        );
+        
+        // Test 7j: Decoding generated code back to PNG
+        if (fs.existsSync('background_test.c')) {
+            const decodeResult = await decodeToPNG('background_test.c', 'decoded_test.png', { verbose: false });
+            test(
+                'Decoded background matches the converted image',
+                decodeResult.success &&
+                    fs.readFileSync('decoded_test.png').equals(fs.readFileSync('background_test.png'))
+            );
+        }
+        
+        fs.writeFileSync('decoded_test.2bpp', Buffer.alloc(10));
+        const invalidDecodeResult = await decodeToPNG('decoded_test.2bpp', 'decoded_test.png', { verbose: false });
+        test(
+            'Decoding incomplete tile data fails',
+            !invalidDecodeResult.success && invalidDecodeResult.error.includes('multiple of 16 bytes')
+        );
+        
+        // Test 7k: Compressed background
+        const compressedResult = await convertImage('test_image.png', {
+            outputPath: 'compressed_test.png',
+            generateGBDK: true,
+            verbose: false,
+            mode: 'background',
+            compression: 'gbcompress'
+        });
+        
+        if (compressedResult.gbdk && compressedResult.gbdk.success && fs.existsSync('background_test.c')) {
+            const compressedArrays = parseCArrays(fs.readFileSync('compressed_test.c', 'utf8'));
+            const plainArrays = parseCArrays(fs.readFileSync('background_test.c', 'utf8'));
+            test(
+                'Compressed tiles and map decompress to the uncompressed arrays',
+                Array.from(gbDecompress(compressedArrays.compressed_test_tiles)).join(',') === plainArrays.background_test_tiles.join(',') &&
+                    Array.from(gbDecompress(compressedArrays.compressed_test_map)).join(',') === plainArrays.background_test_map.join(',')
+            );
+            
+            test(
+                'Compressed code has the _COMPRESSED define and both sizes',
+                fs.readFileSync('compressed_test.c', 'utf8').includes('#define COMPRESSED_TEST_COMPRESSED 1') &&
+                    compressedResult.gbdk.compressedSize === compressedArrays.compressed_test_tiles.length &&
+                    compressedResult.gbdk.dataSize === plainArrays.background_test_tiles.length
+            );
+            
+            const compressedDecodeResult = await decodeToPNG('compressed_test.c', 'decoded_test.png', { verbose: false });
+            test(
+                'Decoded compressed background matches the converted image',
+                compressedDecodeResult.success &&
+                    fs.readFileSync('decoded_test.png').equals(fs.readFileSync('background_test.png'))
+            );
+        } else {
+            test('Compressed background successful', false);
+        }
+        
+        // Test 7l: Project build from a config
+        const globMatcher = globToRegExp('art/**/*.png');
+        test(
+            'Glob ** matches nested and top-level files only with the extension',
+            globMatcher.test('art/hero.png') && globMatcher.test('art/sprites/hero.png') &&
+                !globMatcher.test('art/hero.bmp') && !globMatcher.test('other/hero.png')
+        );
+        
+        test(
+            'Variable name template is a valid C identifier',
+            formatVariableName('{dir}_{name}', 'art/sprites/hero-walk.png'),
+            'art_sprites_hero_walk'
+        );
+        
+        fs.mkdirSync('project_test/art/sprites', { recursive: true });
+        fs.copyFileSync('sprite_source_test.png', 'project_test/art/sprites/hero.png');
+        fs.copyFileSync('sprite_source_test.png', 'project_test/art/sprites/enemy.png');
+        fs.copyFileSync('sprite_source_test.png', 'project_test/art/title.png');
+        
+        test(
+            'Project files are found by pattern',
+            findFiles('art/**/*.png', 'project_test').join(','),
+            'art/sprites/enemy.png,art/sprites/hero.png,art/title.png'
+        );
+        
+        const buildResult = await buildProject({
+            outputDir: 'build',
+            defaults: { palette: 'grayscale' },
+            assets: [
+                { pattern: 'art/sprites/*.png', mode: 'sprite', variableName: '{name}_sprite', outputFormats: ['c', 'bin'] },
+                { pattern: 'art/*.png', mode: 'background', outputDir: 'build/backgrounds' }
+            ]
+        }, { rootDir: 'project_test', verbose: false });
+        
+        test(
+            'Project build converts every matched asset with its settings',
+            buildResult.success &&
+                buildResult.results.map(result => `${result.inputPath}:${result.mode}`).join(',') ===
+                    'art/sprites/enemy.png:sprite,art/sprites/hero.png:sprite,art/title.png:background' &&
+                fs.readFileSync('project_test/build/hero_gameboy.c', 'utf8').includes('hero_sprite_data') &&
+                fs.existsSync('project_test/build/hero_gameboy.2bpp') &&
+                fs.existsSync('project_test/build/backgrounds/title_gameboy.c')
+        );
+        
+        const withoutDate = (code) => code.replace(/Generated on: .*/, '');
+        const sequentialHeroCode = withoutDate(fs.readFileSync('project_test/build/hero_gameboy.c', 'utf8'));
+        const parallelBuildResult = await buildProject({
+            outputDir: 'build',
+            defaults: { palette: 'grayscale' },
+            assets: [
+                { pattern: 'art/sprites/*.png', mode: 'sprite', variableName: '{name}_sprite', outputFormats: ['c', 'bin'] },
+                { pattern: 'art/*.png', mode: 'background', outputDir: 'build/backgrounds' }
+            ]
+        }, { rootDir: 'project_test', verbose: false, workers: 2 });
+        
+        test(
+            'Parallel project builds keep the file order and generate the same code',
+            parallelBuildResult.success &&
+                parallelBuildResult.results.map(result => result.inputPath).join(',') ===
+                    buildResult.results.map(result => result.inputPath).join(',') &&
+                withoutDate(fs.readFileSync('project_test/build/hero_gameboy.c', 'utf8')) === sequentialHeroCode
+        );
+        
+        // Outputs written next to the sources are not converted by the next build
+        const inPlaceConfig = { assets: [{ pattern: 'art/*.png' }] };
+        const firstInPlaceBuild = await buildProject(inPlaceConfig, { rootDir: 'project_test', verbose: false });
+        const secondInPlaceBuild = await buildProject(inPlaceConfig, { rootDir: 'project_test', verbose: false });
+        test(
+            'Building again skips the outputs of the previous build',
+            firstInPlaceBuild.success && firstInPlaceBuild.results.length === 1 &&
+                secondInPlaceBuild.results.length === 1 && !fs.existsSync('project_test/art/title_gameboy_gameboy.png')
+        );
+        
+        const invalidWorkers = await buildProject({ assets: [{ pattern: 'art/*.png' }] }, { rootDir: 'project_test', verbose: false, workers: 0 });
+        test(
+            'Invalid worker counts are rejected',
+            !invalidWorkers.success && invalidWorkers.results.length === 0 && invalidWorkers.error.includes('worker count')
+        );
+        
+        const failedBuildResult = await buildProject({
+            assets: [
+                { pattern: 'art/sprites/hero.png', outputDir: 'build' },
+                { pattern: 'art/title.png', mode: 'unknown', outputDir: 'build' }
+            ]
+        }, { rootDir: 'project_test', verbose: false });
+        
+        test(
+            'Project build reports failed assets',
+            !failedBuildResult.success && failedBuildResult.failed === 1 && !failedBuildResult.results[1].success
+        );
+        
+        // An output directory that is a file cannot be created
+        fs.writeFileSync('project_test/blocked', '');
+        const blockedConfig = {
+            assets: [
+                { pattern: 'art/title.png', outputDir: 'blocked' },
+                { pattern: 'art/sprites/hero.png', outputDir: 'build' }
+            ]
+        };
+        const blockedBuilds = [
+            await buildProject(blockedConfig, { rootDir: 'project_test', verbose: false }),
+            await buildProject(blockedConfig, { rootDir: 'project_test', verbose: false, workers: 2 })
+        ];
+        test(
+            'Assets that cannot be built fail without stopping the build',
+            blockedBuilds.every(build => !build.success && build.failed === 1 && !build.results[0].success &&
+                build.results[0].error.length > 0 && build.results[1].success)
+        );
+        
+        fs.writeFileSync('exit_worker_test.mjs', "import { parentPort } from 'worker_threads';\nparentPort.on('message', () => process.exit(3));\n");
+        const exitPool = createWorkerPool(`${process.cwd()}/exit_worker_test.mjs`, { size: 1 });
+        const exitedTask = await exitPool.run({}).then(() => null, error => error);
+        await exitPool.close();
+        test(
+            'Tasks of workers that exit fail',
+            exitedTask instanceof Error && exitedTask.message.includes('exit code 3')
+        );
+        
+        const projectWatchResults = [];
+        const projectWatchErrors = [];
+        const projectWatcher = watchProject({ assets: [{ pattern: 'art/title.png', outputDir: 'blocked' }] }, {
+            rootDir: 'project_test',
+            debounce: 50,
+            onResult: (result) => {
+                projectWatchResults.push(result);
+                throw new Error('Listener failed');
+            },
+            onError: (error) => projectWatchErrors.push(error)
+        });
+        
+        fs.copyFileSync('sprite_source_test.png', 'project_test/art/title.png');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        await projectWatcher.idle();
+        projectWatcher.close();
+        
+        test(
+            'Project watch mode reports failed assets and listener errors',
+            projectWatchResults.length === 1 && !projectWatchResults[0].success &&
+                projectWatchErrors.length === 1 && projectWatchErrors[0].message === 'Listener failed'
+        );
+        
+        fs.rmSync('project_test', { recursive: true, force: true });
+        
+        // Test 7m: Watch mode
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const watchResults = [];
+        fs.copyFileSync('sprite_source_test.png', 'watch_test.png');
+        
+        const watcher = watchImages(['watch_test.png'], {
+            outputPath: 'watch_output_test.png',
+            generateGBDK: true,
+            verbose: false,
+            debounce: 50,
+            onResult: (inputPath, result) => watchResults.push(result)
+        });
+        
+        fs.writeFileSync('watch_test.png', 'not a png');
+        fs.copyFileSync('sprite_source_test.png', 'watch_test.png');
+        await wait(300);
+        await watcher.idle();
+        
+        test(
+            'Watch mode converts a file once per burst of changes',
+            watchResults.length === 1 && watchResults[0].success && fs.existsSync('watch_output_test.c')
+        );
+        
+        fs.writeFileSync('watch_test.png', 'not a png');
+        await wait(300);
+        await watcher.idle();
+        fs.copyFileSync('sprite_source_test.png', 'watch_test.png');
+        await wait(300);
+        await watcher.idle();
+        watcher.close();
+        
+        test(
+            'Watch mode keeps running after a failed conversion',
+            watchResults.length === 3 && !watchResults[1].success && watchResults[2].success
+        );
+        
+        // Test 7n: Indexed PNG output
+        const indexedResult = await convertImage('test_image.png', {
+            outputPath: 'indexed_test.png',
+            generateGBDK: true,
+            verbose: false,
+            mode: 'background',
+            indexed: true
+        });
+        
+        if (indexedResult.gbdk && indexedResult.gbdk.success && fs.existsSync('background_test.c')) {
+            const indexedArrays = parseCArrays(fs.readFileSync('indexed_test.c', 'utf8'));
+            const plainArrays = parseCArrays(fs.readFileSync('background_test.c', 'utf8'));
+            test(
+                'Code generated from an indexed PNG matches the RGBA path',
+                decodeIndexedPNG(fs.readFileSync('indexed_test.png')).bitDepth === 2 &&
+                    indexedArrays.indexed_test_tiles.join(',') === plainArrays.background_test_tiles.join(',') &&
+                    indexedArrays.indexed_test_map.join(',') === plainArrays.background_test_map.join(',')
+            );
+        } else {
+            test('Indexed PNG conversion successful', false);
+        }
+        
+        // Indices are only read as they are when the colors are the palette ones
+        fs.writeFileSync('indexed_order_test.png', encodeIndexedPNG({
+            width: 8,
+            height: 8,
+            indices: new Uint8Array(64).fill(2),
+            palette: [PALETTES.grayscale[3], PALETTES.grayscale[2], PALETTES.grayscale[1], PALETTES.grayscale[0]]
+        }));
+        const indexedOrderResult = await generateGBDKCode('indexed_order_test.png', 'indexed_order_test.c', { verbose: false, palette: 'grayscale' });
+        test(
+            'Indexed PNG images in other colors are matched by color',
+            indexedOrderResult.success &&
+                parseCArrays(fs.readFileSync('indexed_order_test.c', 'utf8')).indexed_order_test_data.join(',') === '255,0,'.repeat(8).slice(0, -1)
+        );
+        
+        fs.rmSync('indexed_order_test.c', { force: true });
+        fs.writeFileSync('indexed_order_test.png', encodeIndexedPNG({
+            width: 8,
+            height: 8,
+            indices: new Uint8Array(64).fill(1),
+            palette: [PALETTES.grayscale[0], { r: 255, g: 0, b: 0 }]
+        }));
+        const indexedExactResult = await generateGBDKCode('indexed_order_test.png', 'indexed_order_test.c', { verbose: false, palette: 'grayscale', exact: true });
+        test(
+            'Exact mode rejects indexed PNG images with off-palette colors',
+            !indexedExactResult.success && indexedExactResult.offPalettePixels.length === 64 &&
+                !fs.existsSync('indexed_order_test.c')
+        );
+        
+        // Transparent entries (tRNS) of sprites are color 0
+        fs.writeFileSync('indexed_order_test.png', encodeIndexedPNG({
+            width: 8,
+            height: 8,
+            indices: new Uint8Array(64).map((_, pixelIndex) => Math.floor(pixelIndex / 8) % 2 === 0 ? 3 : 2),
+            palette: PALETTES.grayscale,
+            transparentIndices: [0, 3]
+        }));
+        const indexedSpriteResult = await generateGBDKCode('indexed_order_test.png', 'indexed_order_test.c', { verbose: false, palette: 'grayscale', mode: 'sprite' });
+        test(
+            'Transparent entries of indexed PNG sprites are color 0',
+            indexedSpriteResult.success &&
+                parseCArrays(fs.readFileSync('indexed_order_test.c', 'utf8')).indexed_order_test_data.join(',') === '0,0,0,255,'.repeat(4).slice(0, -1)
+        );
+        
+        // Test 7o: Hardware limit validation
+        const wideCanvas = createCanvas(96, 8);
+        const wideContext = wideCanvas.getContext('2d');
+        wideContext.fillStyle = '#000000';
+        wideContext.fillRect(0, 0, 96, 8);
+        fs.writeFileSync('wide_source_test.png', wideCanvas.toBuffer('image/png'));
+        
+        const wideOptions = { outputPath: 'wide_test.png', generateGBDK: true, verbose: false, mode: 'sprite' };
+        const wideResult = await convertImage('wide_source_test.png', wideOptions);
+        test(
+            'Conversions report hardware limit issues without failing',
+            wideResult.success && wideResult.gbdk.success && !wideResult.validation.valid &&
+                wideResult.validation.errors.map(issue => issue.code).join(',') === 'sprites-per-line' &&
+                wideResult.gbdk.validation.errors.length === 1
+        );
+        
+        fs.rmSync('wide_test.c', { force: true });
+        const strictResult = await convertImage('wide_source_test.png', { ...wideOptions, strict: true });
+        test(
+            'Strict conversions fail without writing code for hardware limit issues',
+            !strictResult.success && strictResult.conversion.success && !strictResult.gbdk.success &&
+                strictResult.gbdk.error.includes('sprites on one scanline') && !fs.existsSync('wide_test.c')
+        );
+        
+        // Test 7p: Exact colors
+        const strayCanvas = createCanvas(16, 8);
+        const strayContext = strayCanvas.getContext('2d');
+        strayContext.fillStyle = '#FFFFFF';
+        strayContext.fillRect(0, 0, 16, 8);
+        strayContext.fillStyle = '#000000';
+        strayContext.fillRect(8, 0, 8, 4);
+        strayContext.fillStyle = '#123456';
+        strayContext.fillRect(10, 3, 1, 1);
+        fs.writeFileSync('stray_test.png', strayCanvas.toBuffer('image/png'));
+        
+        const looseResult = await generateGBDKCode('stray_test.png', 'stray_test.c', { verbose: false, palette: 'grayscale' });
+        fs.rmSync('stray_test.c', { force: true });
+        const exactResult = await generateGBDKCode('stray_test.png', 'stray_test.c', { verbose: false, palette: 'grayscale', exact: true });
+        test(
+            'Exact mode rejects off-palette pixels with their position and tile',
+            looseResult.success && !exactResult.success && !fs.existsSync('stray_test.c') &&
+                exactResult.offPalettePixels.length === 1 && exactResult.offPalettePixels[0].tile === 1 &&
+                exactResult.error.includes('#123456 at (10, 3) in tile 1')
+        );
+        
+        const colorMapResult = await convertImage('stray_test.png', {
+            outputPath: 'stray_mapped_test.png',
+            generateGBDK: true,
+            verbose: false,
+            colorMap: '#FFFFFF=0,#123456=1,#000000=3'
+        });
+        const strayArrays = colorMapResult.gbdk && colorMapResult.gbdk.success
+            ? parseCArrays(fs.readFileSync('stray_mapped_test.c', 'utf8'))
+            : null;
+        test(
+            'Color maps convert art drawn in arbitrary colors',
+            strayArrays !== null && strayArrays.stray_mapped_test_data.slice(22, 24).join(',') === '255,223'
+        );
+        
+        // Test 7q: Preview and report
+        const previewResult = await convertImage('test_image.png', {
+            outputPath: 'preview_test.png',
+            verbose: false,
+            preview: { scale: 2, grid: true, labels: true, duplicates: true },
+            report: true
+        });
+        const previewFile = previewResult.conversion.previewPath && fs.existsSync(previewResult.conversion.previewPath)
+            ? await loadImage(previewResult.conversion.previewPath)
+            : null;
+        const reportFile = previewResult.conversion.reportPath && fs.existsSync(previewResult.conversion.reportPath)
+            ? fs.readFileSync(previewResult.conversion.reportPath, 'utf8')
+            : '';
+        test(
+            'Conversions write the upscaled preview and the HTML report next to the output',
+            previewResult.success && previewFile !== null && previewFile.width === 128 && previewFile.height === 128 &&
+                previewResult.conversion.reportPath === 'preview_test_report.html' &&
+                reportFile.includes('Duplicate tiles') && (reportFile.match(/data:image\/png;base64,/g) || []).length === 3
+        );
+        
+        test(
+            'Invalid preview options are rejected',
+            (await convertImage('test_image.png', { outputPath: 'preview_test.png', verbose: false, preview: { scale: 1 } })).success,
+            false
+        );
+        
+        // Test 7r: Resize to the screen
+        const screenResult = await convertImage('test_image.png', {
+            outputPath: 'screen_test.png',
+            generateGBDK: true,
+            verbose: false,
+            mode: 'background',
+            resize: 'screen',
+            fit: 'fill'
+        });
+        const screenImage = fs.existsSync('screen_test.png') ? await loadImage('screen_test.png') : null;
+        const screenCode = fs.existsSync('screen_test.c') ? fs.readFileSync('screen_test.c', 'utf8') : '';
+        test(
+            'Conversions resize the image before the palette mapping and the code uses the new size',
+            screenResult.success && screenImage !== null && screenImage.width === 160 && screenImage.height === 144 &&
+                screenResult.conversion.sourceWidth === 64 && screenCode.includes('#define SCREEN_TEST_TILE_WIDTH 20')
+        );
+        
+        test(
+            'Invalid resize sizes are rejected',
+            (await convertImage('test_image.png', { outputPath: 'screen_test.png', verbose: false, resize: '160' })).success,
+            false
+        );
+        
+        // Test 7s: Adjustments and thresholds
+        const adjustedResult = await convertImage('test_image.png', {
+            outputPath: 'adjusted_test.png',
+            verbose: false,
+            autoLevels: true,
+            gamma: 1.4,
+            thresholds: [60, 120, 180]
+        });
+        test(
+            'Conversions apply adjustments and thresholds',
+            adjustedResult.success && fs.existsSync('adjusted_test.png') &&
+                adjustedResult.conversion.adjustments.autoLevels && adjustedResult.conversion.adjustments.gamma === 1.4 &&
+                adjustedResult.conversion.thresholds.join(',') === '60,120,180'
+        );
+        
+        const cgbThresholdsResult = await convertImage('test_image.png', { outputPath: 'adjusted_test.png', verbose: false, target: 'cgb', thresholds: '60,120,180' });
+        const exactAdjustedResult = await convertImage('test_image.png', { outputPath: 'adjusted_test.png', verbose: false, exact: true, brightness: 0.1 });
+        test(
+            'Thresholds need the dmg target and adjustments cannot be combined with exact colors',
+            !cgbThresholdsResult.success && cgbThresholdsResult.error.includes('dmg target') &&
+                !exactAdjustedResult.success && exactAdjustedResult.error.includes('exact colors')
+        );
     }
     
     // Test 8: Error handling
@@ -162,7 +1795,66 @@ async function runTests() {
         'test_output.png',
         'test_output.c',
         'full_test.png',
-        'full_test.c'
+        'full_test.c',
+        'palette_test.png',
+        'palette_test.c',
+        'dither_test.png',
+        'dither_test.c',
+        'color_match_test.png',
+        'background_test.png',
+        'background_test.c',
+        'cgb_test.png',
+        'cgb_test.c',
+        'cgb_rebuilt_test.c',
+        'sprite_source_test.png',
+        'sprite_test.png',
+        'sprite_test.c',
+        'binary_test.png',
+        'binary_test.2bpp',
+        'binary_test.tilemap',
+        'binary_test.pal',
+        'asm_test.png',
+        'asm_test.asm',
+        'asm_test.inc',
+        'header_test.png',
+        'header_test.c',
+        'header_test.h',
+        'decoded_test.png',
+        'decoded_test.2bpp',
+        'compressed_test.png',
+        'compressed_test.c',
+        'watch_test.png',
+        'watch_output_test.png',
+        'watch_output_test.c',
+        'exit_worker_test.mjs',
+        'sheet_source_test.png',
+        'sheet_test.png',
+        'sheet_test.c',
+        'sheet_file_test.json',
+        'font_source_test.png',
+        'font_test.png',
+        'font_test.c',
+        'anim_source_test.aseprite',
+        'anim_source_test.png',
+        'anim_test.png',
+        'anim_test.c',
+        'indexed_test.png',
+        'indexed_test.c',
+        'indexed_order_test.png',
+        'indexed_order_test.c',
+        'wide_source_test.png',
+        'wide_test.png',
+        'wide_test.c',
+        'stray_test.png',
+        'stray_test.c',
+        'stray_mapped_test.png',
+        'stray_mapped_test.c',
+        'preview_test.png',
+        'preview_test_preview.png',
+        'preview_test_report.html',
+        'screen_test.png',
+        'screen_test.c',
+        'adjusted_test.png'
     ];
     
     testFiles